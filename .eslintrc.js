@@ -0,0 +1,23 @@
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2022: true
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'script'
+  },
+  extends: 'eslint:recommended',
+  ignorePatterns: ['node_modules/', 'logs/', 'coverage/', 'data/'],
+  rules: {
+    // Unused catch bindings and rest siblings are used to drop fields on purpose
+    'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+  },
+  overrides: [
+    {
+      files: ['tests/**/*.js'],
+      env: { jest: true }
+    }
+  ]
+};
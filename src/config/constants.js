@@ -3,7 +3,10 @@
  * This file contains hardcoded configuration values that don't need to change between environments
  */
 
+const path = require('path');
 const { getSystemPrompt } = require('./prompt-loader');
+const { loadPersonas } = require('./persona-loader');
+const { loadExperiments } = require('./experiment-loader');
 
 // Rate Limiting Configuration
 const RATE_LIMITING = {
@@ -49,6 +52,85 @@ const DEVELOPMENT_CONFIG = {
   ENABLE_RATE_LIMIT_IN_DEV: false  // Set to true to enable rate limiting in development
 };
 
+// Notification Configuration
+const NOTIFICATION_CONFIG = {
+  MAX_DEVICES_PER_USER: 10,
+  MAX_BATCH_RECIPIENTS: 100,
+  QUIET_HOURS_BYPASS_CATEGORIES: ['invite', 'call'], // Categories users may allow through quiet hours
+  SCHEDULER: {
+    ENABLED: process.env.NOTIFICATION_SCHEDULER_ENABLED !== 'false',
+    POLL_INTERVAL_MS: 15000,     // Check for due notifications every 15 seconds
+    BATCH_SIZE: 25,              // Jobs claimed per dispatcher tick
+    MAX_ATTEMPTS: 3,
+    RETRY_DELAY_MS: 60000,       // 1 minute, multiplied by the attempt number
+    CLAIM_LEASE_MS: 5 * 60000,   // A job still processing after 5 minutes is claimed again
+    MAX_SCHEDULE_AHEAD_MS: 30 * 24 * 60 * 60 * 1000, // 30 days
+    CLOCK_SKEW_MS: 60000,        // Accept sendAt up to 1 minute in the past
+    LIST_LIMIT: 50
+  }
+};
+
+// Call invite lifecycle configuration
+const CALL_CONFIG = {
+  RING_TIMEOUT_MS: 45000,        // Unanswered invites become missed calls after 45 seconds
+  SWEEP_INTERVAL_MS: 10000,      // Check for timed out invites every 10 seconds
+  SWEEP_BATCH_SIZE: 50           // Invites timed out per sweep
+};
+
+/**
+ * Read a token lifetime override from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Lifetime in seconds when unset or invalid
+ * @returns {number} - Lifetime in seconds
+ */
+const lifetimeFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Agora Notifications (NCS) webhook configuration
+const AGORA_WEBHOOK_CONFIG = {
+  ABANDONED_AFTER_MS: 10 * 60 * 1000,   // Flag channels left with at most one participant for 10 minutes
+  STALE_AFTER_MS: 6 * 60 * 60 * 1000,   // Flag channels with no events for 6 hours (lost destroy notification)
+  SWEEP_INTERVAL_MS: 60000,             // Check for abandoned channels every minute
+  SWEEP_BATCH_SIZE: 100,
+  MAX_BODY_SIZE: '2mb'                  // agent_history notifications carry a whole conversation
+};
+
+// Agora cloud recording configuration
+// Recordings are uploaded straight to third-party storage; vendor and region use Agora's numeric codes
+const AGORA_RECORDING_CONFIG = {
+  API_BASE_URL: 'https://api.agora.io/v1/apps',
+  REQUEST_TIMEOUT_MS: 15000,
+  RECORDER_UID: process.env.AGORA_RECORDING_UID || '4294967000', // Reserved UID the recorder joins with
+  DEFAULT_MODE: 'mix',
+  MODES: ['mix', 'individual'],
+  RESOURCE_EXPIRED_HOUR: 24,
+  MAX_IDLE_SECONDS: 120,          // Agora stops the recorder after the channel is empty this long
+  START_LOCK_TIMEOUT_MS: 60000,   // A start that never finished frees the channel after a minute
+  STORAGE: {
+    VENDOR: parseInt(process.env.AGORA_RECORDING_STORAGE_VENDOR, 10) || 1, // 1 = Amazon S3
+    REGION: parseInt(process.env.AGORA_RECORDING_STORAGE_REGION, 10) || 0,
+    BUCKET: process.env.AGORA_RECORDING_STORAGE_BUCKET,
+    ACCESS_KEY: process.env.AGORA_RECORDING_STORAGE_ACCESS_KEY,
+    SECRET_KEY: process.env.AGORA_RECORDING_STORAGE_SECRET_KEY,
+    FILE_NAME_PREFIX: ['recordings']
+  }
+};
+
+// Agora RTC token configuration
+// Clients renew through /api/agora/renew-token when Agora reports the token is about to expire
+const AGORA_TOKEN_CONFIG = {
+  DEFAULT_CALL_TYPE: 'call',
+  LIFETIME_SECONDS: {
+    call: lifetimeFromEnv('AGORA_TOKEN_TTL_CALL_SECONDS', 30 * 60),              // 1:1 voice/video calls
+    group: lifetimeFromEnv('AGORA_TOKEN_TTL_GROUP_SECONDS', 60 * 60),            // Group calls
+    room: lifetimeFromEnv('AGORA_TOKEN_TTL_ROOM_SECONDS', 2 * 60 * 60),          // Listen-only rooms
+    ai_agent: lifetimeFromEnv('AGORA_TOKEN_TTL_AI_AGENT_SECONDS', 60 * 60)       // Conversations with the AI agent
+  },
+  MAX_LIFETIME_SECONDS: 24 * 60 * 60 // Agora rejects tokens valid for longer than 24 hours
+};
+
 // Agora AI Agent Configuration
 const AGORA_AI_CONFIG = {
   APP_ID: process.env.AGORA_APP_ID,
@@ -58,21 +140,70 @@ const AGORA_AI_CONFIG = {
   API_BASE_URL: 'https://api.agora.io/api/conversational-ai-agent/v2',
   BASIC_AUTH: Buffer.from(`${process.env.AGORA_CUSTOMER_ID}:${process.env.AGORA_CUSTOMER_SECRET}`).toString('base64'),
   
-  // TTS Configuration - Microsoft Azure (Updated per Agora Support #4716)
+  // TTS Configuration - one entry per vendor; personas and user preferences pick the vendor and voice
   TTS: {
-    VENDOR: 'microsoft',
-    API_KEY: process.env.AZURE_TTS_API_KEY,
-    REGION: process.env.AZURE_TTS_REGION,
-    VOICE_NAME: process.env.AZURE_TTS_VOICE_NAME,
-    RATE: 1,         
-    VOLUME: 70       
+    DEFAULT_VENDOR: process.env.AI_TTS_VENDOR || 'microsoft',
+    VENDORS: {
+      // Microsoft Azure (Updated per Agora Support #4716)
+      microsoft: {
+        API_KEY: process.env.AZURE_TTS_API_KEY,
+        REGION: process.env.AZURE_TTS_REGION,
+        VOICE: process.env.AZURE_TTS_VOICE_NAME,
+        RATE: 1,
+        VOLUME: 70
+      },
+      elevenlabs: {
+        API_KEY: process.env.ELEVENLABS_API_KEY,
+        MODEL_ID: process.env.ELEVENLABS_MODEL_ID || 'eleven_flash_v2_5',
+        VOICE: process.env.ELEVENLABS_VOICE_ID,
+        SAMPLE_RATE: 24000
+      },
+      cartesia: {
+        API_KEY: process.env.CARTESIA_API_KEY,
+        MODEL_ID: process.env.CARTESIA_MODEL_ID || 'sonic-2',
+        VOICE: process.env.CARTESIA_VOICE_ID,
+        SAMPLE_RATE: 16000
+      }
+    }
   },
   
-  // LLM Configuration - Gemini AI
+  // LLM Configuration - any OpenAI-compatible chat completions endpoint
+  // The primary provider is used unless it is marked unhealthy, then the fallback
   LLM: {
-    URL: 'https://generativelanguage.googleapis.com/v1beta/openai/chat/completions',
-    API_KEY: process.env.GEMINI_API_KEY,
-    MODEL: 'gemini-2.0-flash-exp',
+    PRIMARY_PROVIDER: process.env.AI_LLM_PRIMARY_PROVIDER || 'gemini',
+    FALLBACK_PROVIDER: process.env.AI_LLM_FALLBACK_PROVIDER || 'openai',
+    HEALTH_CACHE_TTL_MS: 30000,       // How long provider health marks are cached per instance
+    PROVIDERS: {
+      gemini: {
+        URL: 'https://generativelanguage.googleapis.com/v1beta/openai/chat/completions',
+        API_KEY: process.env.GEMINI_API_KEY,
+        MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp',
+        PARAMS: {}
+      },
+      openai: {
+        URL: 'https://api.openai.com/v1/chat/completions',
+        API_KEY: process.env.OPENAI_API_KEY,
+        MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        PARAMS: {}
+      },
+      azure_openai: {
+        // The deployment decides the model; MODEL is sent for logging on Agora's side
+        URL: process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_DEPLOYMENT
+          ? `${process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '')}/openai/deployments/${process.env.AZURE_OPENAI_DEPLOYMENT}/chat/completions?api-version=${process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'}`
+          : undefined,
+        API_KEY: process.env.AZURE_OPENAI_API_KEY,
+        MODEL: process.env.AZURE_OPENAI_DEPLOYMENT,
+        PARAMS: {}
+      },
+      // Self-hosted OpenAI-compatible server (vLLM, Ollama, LiteLLM...); the key is optional
+      custom: {
+        URL: process.env.AI_LLM_CUSTOM_URL,
+        API_KEY: process.env.AI_LLM_CUSTOM_API_KEY,
+        MODEL: process.env.AI_LLM_CUSTOM_MODEL,
+        PARAMS: {},
+        API_KEY_OPTIONAL: true
+      }
+    },
     MAX_HISTORY: 16,
     GREETING_MESSAGE: 'Hi! I am DuckBuck AI. How can I help you?',
     FAILURE_MESSAGE: 'I apologize, but something went wrong. Please try again.',
@@ -84,16 +215,66 @@ const AGORA_AI_CONFIG = {
     LANGUAGE: 'hi-IN'   
   },
   
+  // Personas selectable on join, loaded from src/config/personas; each overrides the
+  // prompt, greeting, max history, ASR language and TTS vendor/voice above
+  PERSONAS: loadPersonas(),
+
+  // A/B experiments loaded from src/config/experiments; each enabled experiment
+  // splits users into variants that override parts of the agent configuration
+  EXPERIMENTS: loadExperiments(),
+
   // Agent Configuration
   AGENT: {
+    DEFAULT_PERSONA: process.env.AI_AGENT_DEFAULT_PERSONA || 'duckbuck',
     IDLE_TIMEOUT: 30,
     ENABLE_AIVAD: true,
-    ENABLE_RTM: false,
+    ENABLE_RTM: true,                 // Live transcripts reach the app over RTM
     VAD_THRESHOLD: 0.5,
     SILENCE_DURATION_MS: 640,
     INTERRUPT_DURATION_MS: 160,
     PREFIX_PADDING_MS: 300,
     INTERRUPTABLE: 'interrupt'
+  },
+
+  // Metering of agentRemainingTime while agents run
+  METERING: {
+    SWEEP_INTERVAL_MS: 10000,         // Stop agents whose owner ran out of time, checked every 10 seconds
+    STATUS_CHECK_INTERVAL_MS: 60000,  // Ask Agora whether a running agent left on its own (idle timeout) once a minute
+    SWEEP_BATCH_SIZE: 50
+  },
+
+  // One active agent per user and per channel
+  CONCURRENCY: {
+    START_LOCK_TIMEOUT_MS: 60000      // A start that never finished frees its slots after a minute
+  },
+
+  // Conversation transcripts stored per agent session; MAX_BYTES keeps a
+  // transcript under Firestore's 1 MiB document size whatever the script
+  // (a Devanagari character takes 3 bytes in UTF-8)
+  TRANSCRIPTS: {
+    NCS_PRODUCT_ID: 17,               // Agora Notifications product id of Conversational AI events
+    MAX_ENTRIES: 400,
+    MAX_CONTENT_LENGTH: 2000,         // Characters kept per message
+    MAX_BYTES: 512 * 1024,            // UTF-8 bytes of message text kept per transcript
+    CAPTURE_TIMEOUT_MS: 5000          // History fetched on stop; leaves room for the leave call
+  },
+
+  // Facts each user approved for the agent to remember between sessions
+  MEMORY: {
+    MAX_FACTS: 50,
+    MAX_FACT_LENGTH: 200,             // Characters per fact
+    PROMPT_BUDGET_CHARS: 1500         // Most recently updated facts first until the budget is spent
+  },
+
+  // Versioned persona prompts published at runtime; a persona without a published
+  // version uses the prompt file it ships with
+  PROMPTS: {
+    // 'firestore' shares versions between instances, 'file' keeps them in FILE_DIR for local work
+    STORE: process.env.AI_PROMPT_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'file'),
+    FILE_DIR: process.env.AI_PROMPT_DIR || path.join(process.cwd(), 'data', 'prompts'),
+    CACHE_TTL_MS: 30000,              // How long an instance keeps a prompt before checking for a new version
+    MAX_LENGTH: 20000,                // Characters per prompt
+    MAX_BODY_SIZE: '150kb'            // Fits MAX_LENGTH characters even when sent as \uXXXX escapes
   }
 };
 
@@ -103,5 +284,10 @@ module.exports = {
   EMAIL_CONFIG,
   LOGGING_CONFIG,
   DEVELOPMENT_CONFIG,
+  NOTIFICATION_CONFIG,
+  CALL_CONFIG,
+  AGORA_TOKEN_CONFIG,
+  AGORA_WEBHOOK_CONFIG,
+  AGORA_RECORDING_CONFIG,
   AGORA_AI_CONFIG
 };
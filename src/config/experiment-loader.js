@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per experiment; the file name is the experiment name recorded on sessions
+const EXPERIMENTS_DIR = path.join(__dirname, 'experiments');
+
+// Settings a variant may override and how each is checked
+const OVERRIDE_CHECKS = {
+  greeting: value => typeof value === 'string' && value.length > 0,
+  maxHistory: value => Number.isInteger(value) && value > 0,
+  vadThreshold: value => typeof value === 'number' && value >= 0 && value <= 1,
+  silenceDurationMs: value => Number.isInteger(value) && value > 0,
+  // Model per LLM provider, so a fallback provider never gets another provider's model
+  llmModels: value => Boolean(value) && typeof value === 'object' &&
+    Object.values(value).every(model => typeof model === 'string' && model.length > 0),
+  tts: value => Boolean(value) && typeof value === 'object' && Boolean(value.vendor || value.voice)
+};
+
+/**
+ * Build a variant from its definition
+ * @param {Object} definition - Variant from the experiment file
+ * @returns {Object} - { name, weight, overrides }
+ * @throws {Error} - If the variant is malformed
+ */
+const buildVariant = (definition) => {
+  if (!definition.name || !/^[a-zA-Z0-9_-]+$/.test(definition.name)) {
+    throw new Error('every variant needs a name made of letters, numbers, underscores or hyphens');
+  }
+  if (!Number.isInteger(definition.weight) || definition.weight < 0) {
+    throw new Error(`variant ${definition.name} needs a non-negative integer weight`);
+  }
+
+  const overrides = definition.overrides || {};
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!OVERRIDE_CHECKS[key]) {
+      throw new Error(`variant ${definition.name} overrides unsupported setting ${key}`);
+    }
+    if (!OVERRIDE_CHECKS[key](value)) {
+      throw new Error(`variant ${definition.name} has an invalid ${key}`);
+    }
+  }
+
+  return {
+    name: definition.name,
+    weight: definition.weight,
+    overrides
+  };
+};
+
+/**
+ * Build an experiment from its config file
+ * @param {string} name - Experiment name (file name without .json)
+ * @param {Object} definition - Parsed experiment file
+ * @returns {Object} - { name, description, enabled, personas, traffic, variants }
+ * @throws {Error} - If the experiment is malformed
+ */
+const buildExperiment = (name, definition) => {
+  if (!Array.isArray(definition.variants) || definition.variants.length < 2) {
+    throw new Error('at least two variants are required');
+  }
+
+  const variants = definition.variants.map(buildVariant);
+  if (new Set(variants.map(variant => variant.name)).size !== variants.length) {
+    throw new Error('variant names must be unique');
+  }
+  if (variants.every(variant => variant.weight === 0)) {
+    throw new Error('at least one variant needs a positive weight');
+  }
+
+  const traffic = definition.traffic === undefined ? 100 : definition.traffic;
+  if (typeof traffic !== 'number' || traffic < 0 || traffic > 100) {
+    throw new Error('traffic must be a percentage between 0 and 100');
+  }
+
+  return {
+    name,
+    description: definition.description || '',
+    enabled: definition.enabled === true,
+    personas: Array.isArray(definition.personas) ? definition.personas : null,
+    traffic,
+    variants
+  };
+};
+
+/**
+ * Load every experiment in src/config/experiments
+ * Invalid experiments are reported and skipped so one bad file cannot stop the server
+ * @returns {Object} - Experiments keyed by name
+ */
+const loadExperiments = () => {
+  const experiments = {};
+
+  let files = [];
+  try {
+    files = fs.readdirSync(EXPERIMENTS_DIR).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    console.error('Error reading experiments directory:', error);
+    return experiments;
+  }
+
+  for (const file of files.sort()) {
+    const name = path.basename(file, '.json');
+    try {
+      const definition = JSON.parse(fs.readFileSync(path.join(EXPERIMENTS_DIR, file), 'utf8'));
+      experiments[name] = buildExperiment(name, definition);
+    } catch (error) {
+      console.error(`Skipping invalid experiment ${name}: ${error.message}`);
+    }
+  }
+
+  return experiments;
+};
+
+module.exports = {
+  loadExperiments
+};
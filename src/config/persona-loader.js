@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { loadPromptFile } = require('./prompt-loader');
+
+// One JSON file per persona; the file name is the persona name used on join
+const PERSONAS_DIR = path.join(__dirname, 'personas');
+
+/**
+ * Build a persona from its config file
+ * Fields left out fall back on the global AGORA_AI_CONFIG values when the agent is built
+ * @param {string} name - Persona name (file name without .json)
+ * @param {Object} definition - Parsed persona file
+ * @returns {Object} - { name, description, systemMessage, greeting, maxHistory, asrLanguage, tts }
+ * @throws {Error} - If the persona has no usable prompt
+ */
+const buildPersona = (name, definition) => {
+  if (!definition.promptFile) {
+    throw new Error('promptFile is required');
+  }
+
+  const systemMessage = loadPromptFile(definition.promptFile);
+  if (!systemMessage) {
+    throw new Error(`prompt file ${definition.promptFile} is missing or empty`);
+  }
+
+  return {
+    name,
+    description: definition.description || '',
+    systemMessage,
+    greeting: definition.greeting || null,
+    maxHistory: Number.isInteger(definition.maxHistory) ? definition.maxHistory : null,
+    asrLanguage: definition.asrLanguage || null,
+    tts: {
+      vendor: (definition.tts && definition.tts.vendor) || null,
+      voice: (definition.tts && definition.tts.voice) || null
+    }
+  };
+};
+
+/**
+ * Load every persona in src/config/personas
+ * Invalid personas are reported and skipped so one bad file cannot stop the server
+ * @returns {Object} - Personas keyed by name
+ */
+const loadPersonas = () => {
+  const personas = {};
+
+  let files = [];
+  try {
+    files = fs.readdirSync(PERSONAS_DIR).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    console.error('Error reading personas directory:', error);
+    return personas;
+  }
+
+  for (const file of files) {
+    const name = path.basename(file, '.json');
+    try {
+      const definition = JSON.parse(fs.readFileSync(path.join(PERSONAS_DIR, file), 'utf8'));
+      personas[name] = buildPersona(name, definition);
+    } catch (error) {
+      console.error(`Skipping invalid persona ${name}: ${error.message}`);
+    }
+  }
+
+  return personas;
+};
+
+module.exports = {
+  loadPersonas
+};
@@ -1,21 +1,31 @@
 const fs = require('fs');
 const path = require('path');
 
+// Used when the default prompt file cannot be read
+const FALLBACK_PROMPT = 'You are DuckBuck AI, a helpful assistant created by DuckBuck Studios. Respond naturally in the language the user speaks - Hindi or English.';
+
 /**
- * Read system prompt from file
- * @returns {string} The system prompt text
+ * Read a prompt file from the config directory
+ * @param {string} relativePath - Path relative to src/config
+ * @returns {string|null} - The prompt text, or null if the file cannot be read
  */
-const getSystemPrompt = () => {
+const loadPromptFile = (relativePath) => {
   try {
-    const promptPath = path.join(__dirname, 'system-prompt.txt');
+    const promptPath = path.join(__dirname, relativePath);
     return fs.readFileSync(promptPath, 'utf8').trim();
   } catch (error) {
-    console.error('Error reading system prompt file:', error);
-    // Fallback prompt if file reading fails
-    return 'You are DuckBuck AI, a helpful assistant created by DuckBuck Studios. Respond naturally in the language the user speaks - Hindi or English.';
+    console.error(`Error reading prompt file ${relativePath}:`, error);
+    return null;
   }
 };
 
+/**
+ * Read system prompt from file
+ * @returns {string} The system prompt text
+ */
+const getSystemPrompt = () => loadPromptFile('system-prompt.txt') || FALLBACK_PROMPT;
+
 module.exports = {
+  loadPromptFile,
   getSystemPrompt
 };
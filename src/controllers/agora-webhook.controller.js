@@ -0,0 +1,57 @@
+const logger = require('../utils/logger');
+const agoraWebhookService = require('../services/agora-webhook.service');
+
+/**
+ * Receive Agora Notifications (NCS) events for channels and users
+ * Authenticated by the Agora signature header instead of API key/Firebase auth.
+ * Agora retries anything other than a 200, so unknown events are acknowledged too.
+ * @route POST /api/agora/webhooks
+ * @access Public - Requires a valid Agora-Signature-V2 (or Agora-Signature) header
+ */
+exports.handleAgoraWebhook = async (req, res) => {
+  const startTime = Date.now();
+
+  if (!process.env.AGORA_NCS_SECRET) {
+    logger.error('Agora webhook configuration missing: AGORA_NCS_SECRET not set');
+    return res.status(500).json({
+      success: false,
+      message: 'Server configuration error'
+    });
+  }
+
+  if (!agoraWebhookService.verifySignature(req.rawBody, req.headers)) {
+    agoraWebhookService.recordRejectedSignature();
+    logger.warn(`Rejected Agora webhook with invalid signature from IP: ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature'
+    });
+  }
+
+  try {
+    const { duplicate, eventName } = await agoraWebhookService.handleNotification(req.body);
+    const executionTime = Date.now() - startTime;
+
+    logger.info(`Agora webhook ${req.body.noticeId} (${eventName}) processed in ${executionTime}ms`, {
+      channelName: req.body.payload && req.body.payload.channelName,
+      duplicate,
+      executionTime
+    });
+
+    return res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    agoraWebhookService.recordFailure();
+    logger.error(`Agora webhook processing failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      noticeId: req.body.noticeId
+    });
+
+    // A non-200 makes Agora retry the notification later
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process notification'
+    });
+  }
+};
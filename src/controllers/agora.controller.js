@@ -1,6 +1,87 @@
-const { RtcTokenBuilder, RtcRole } = require('agora-token');
-const admin = require('firebase-admin');
+const { RtcTokenBuilder, RtcRole, RtmTokenBuilder } = require('agora-token');
 const logger = require('../utils/logger');
+const channelMembership = require('../services/channel-membership.service');
+const cloudRecording = require('../services/cloud-recording.service');
+const deviceRegistry = require('../services/device-registry.service');
+const notificationService = require('../services/notification.service');
+const { AGORA_TOKEN_CONFIG, AGORA_RECORDING_CONFIG } = require('../config/constants');
+
+// Token roles clients may request; subscribers can only receive streams
+const RTC_ROLES = {
+  publisher: RtcRole.PUBLISHER,
+  subscriber: RtcRole.SUBSCRIBER
+};
+
+// RTM logins back long-lived chat and presence sessions
+const RTM_TOKEN_EXPIRY_SECONDS = 24 * 60 * 60; // 24 hours
+// Agora limits RTM user ids to 64 bytes
+const RTM_USER_ID_MAX_BYTES = 64;
+
+/**
+ * Get the token lifetime configured for a call type
+ * @param {string} callType - Key of AGORA_TOKEN_CONFIG.LIFETIME_SECONDS
+ * @returns {number} - Lifetime in seconds
+ */
+const getTokenLifetime = (callType) => {
+  const { LIFETIME_SECONDS, DEFAULT_CALL_TYPE, MAX_LIFETIME_SECONDS } = AGORA_TOKEN_CONFIG;
+  const lifetime = LIFETIME_SECONDS[callType] || LIFETIME_SECONDS[DEFAULT_CALL_TYPE];
+  return Math.min(lifetime, MAX_LIFETIME_SECONDS);
+};
+
+/**
+ * Build an Agora RTC token for a user in a channel
+ * @param {string} appId - Agora app id
+ * @param {string} appCertificate - Agora app certificate
+ * @param {string} channelId - Agora channel id
+ * @param {number} agoraUid - Agora UID of the token holder
+ * @param {string} role - 'publisher' or 'subscriber'
+ * @param {string} callType - Call type deciding the token lifetime
+ * @returns {Object} - { token, expiresAt } with expiresAt as an ISO timestamp
+ */
+const buildRtcToken = (appId, appCertificate, channelId, agoraUid, role = 'publisher', callType = AGORA_TOKEN_CONFIG.DEFAULT_CALL_TYPE) => {
+  // RtcTokenBuilder takes the lifetime in seconds from now, not an absolute timestamp
+  const lifetimeSeconds = getTokenLifetime(callType);
+
+  const token = RtcTokenBuilder.buildTokenWithUid(
+    appId,
+    appCertificate,
+    channelId,
+    agoraUid,
+    RTC_ROLES[role],
+    lifetimeSeconds,
+    lifetimeSeconds
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + lifetimeSeconds * 1000).toISOString()
+  };
+};
+
+/**
+ * Build an Agora RTM login token for a Firebase user
+ * The Firebase UID is used as the RTM user id so chat and presence map directly to users
+ * @param {string} appId - Agora app id
+ * @param {string} appCertificate - Agora app certificate
+ * @param {string} uid - Firebase UID
+ * @returns {Object} - { rtm_token, rtm_user_id, rtm_expires_at }
+ */
+const buildRtmToken = (appId, appCertificate, uid) => {
+  if (Buffer.byteLength(uid, 'utf8') > RTM_USER_ID_MAX_BYTES) {
+    const error = new Error('User ID is too long for Agora RTM');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // RtmTokenBuilder takes the lifetime in seconds from now
+  const token = RtmTokenBuilder.buildToken(appId, appCertificate, uid, RTM_TOKEN_EXPIRY_SECONDS);
+
+  return {
+    rtm_token: token,
+    rtm_user_id: uid,
+    rtm_expires_at: new Date(Date.now() + RTM_TOKEN_EXPIRY_SECONDS * 1000).toISOString()
+  };
+};
 
 /**
  * Generate Agora RTC token for video calling
@@ -11,7 +92,8 @@ exports.generateAgoraToken = async (req, res, next) => {
   const startTime = Date.now();
   
   try {
-    const { channelId } = req.body;
+    const { channelId, includeRtm = false, role = 'publisher', listenOnly = false, callType } = req.body;
+    const { uid } = req.user;
 
     // Note: Basic validation already handled by validateSchema middleware
 
@@ -27,28 +109,45 @@ exports.generateAgoraToken = async (req, res, next) => {
       });
     }
 
-    // Generate a unique Agora UID (integer between 1 and 2^32-1)
-    const agoraUid = Math.floor(Math.random() * 1000000) + 1;
-    
-    // Set token expiration to 30 minutes from now
-    const expirationTimeInSeconds = Math.floor(Date.now() / 1000) + (30 * 60); // 30 minutes
+    // Security check: Only the channel owner and invited users may join
+    // listenOnly and callType only take effect when this request creates the channel
+    const access = await channelMembership.authorizeChannelAccess(channelId, uid, { listenOnly, callType });
+    if (!access.allowed && !req.user.admin) {
+      logger.warn(`Unauthorized Agora token request: User ${uid} is not a member of channel ${channelId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You are not a member of this channel'
+      });
+    }
+
+    // Security check: In listen-only channels only the host and promoted speakers publish
+    if (role === 'publisher' && !channelMembership.canPublish(access.channel, uid) && !req.user.admin) {
+      logger.warn(`Publisher token refused: User ${uid} is not a speaker in channel ${channelId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Only speakers can publish in this channel. Join as a subscriber or ask the host to promote you'
+      });
+    }
+
+    // Agora UID derived from the Firebase UID so participants can be identified
+    const agoraUid = channelMembership.getAgoraUid(uid);
     
-    // Generate Agora RTC token with Publisher role
-    const token = RtcTokenBuilder.buildTokenWithUid(
-      appId,
-      appCertificate,
-      channelId,
-      agoraUid,
-      RtcRole.PUBLISHER,
-      expirationTimeInSeconds
-    );
+    // Generate Agora RTC token with the requested role, valid for the channel's call type
+    const channelCallType = channelMembership.getCallType(access.channel);
+    const { token, expiresAt } = buildRtcToken(appId, appCertificate, channelId, agoraUid, role, channelCallType);
+
+    // Optionally log the user in to RTM with the same request
+    const rtmTokenData = includeRtm ? buildRtmToken(appId, appCertificate, uid) : {};
 
     const executionTime = Date.now() - startTime;
     const currentTimestamp = Date.now();
     
     logger.info(`Agora token generated successfully for channel ${channelId} in ${executionTime}ms`, {
       channelId,
+      uid,
       agoraUid,
+      role,
+      includeRtm,
       executionTime,
       timestamp: currentTimestamp
     });
@@ -60,12 +159,23 @@ exports.generateAgoraToken = async (req, res, next) => {
         agora_token: token,
         agora_uid: agoraUid.toString(),
         agora_channelid: channelId,
+        agora_role: role,
+        agora_call_type: channelCallType,
+        agora_token_expires_at: expiresAt,
+        ...rtmTokenData,
         timestamp: currentTimestamp.toString()
       }
     });
 
   } catch (error) {
     const executionTime = Date.now() - startTime;
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     logger.error(`Agora token generation failed after ${executionTime}ms: ${error.message}`, {
       stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
@@ -79,16 +189,172 @@ exports.generateAgoraToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Renew an Agora RTC token before it expires
+ * Clients call this from Agora's token-privilege-will-expire callback. The token is
+ * re-issued for the same channel and UID only while the user is still a member,
+ * and publisher tokens only while the user may still speak.
+ * @route POST /api/agora/renew-token
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.renewAgoraToken = async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    const { channelId, role = 'publisher' } = req.body;
+    const { uid } = req.user;
+
+    const appId = process.env.AGORA_APP_ID;
+    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+
+    if (!appId || !appCertificate) {
+      logger.error('Agora configuration missing: AGORA_APP_ID or AGORA_APP_CERTIFICATE not set');
+      return res.status(500).json({
+        success: false,
+        message: 'Server configuration error'
+      });
+    }
+
+    // Renewal never creates a channel; the user must have joined it already
+    const channel = await channelMembership.getChannel(channelId);
+    if (!channel || !channelMembership.isMember(channel, uid)) {
+      logger.warn(`Agora token renewal refused: User ${uid} is no longer a member of channel ${channelId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You are no longer a participant in this channel'
+      });
+    }
+
+    if (role === 'publisher' && !channelMembership.canPublish(channel, uid)) {
+      logger.warn(`Agora publisher token renewal refused: User ${uid} is no longer a speaker in channel ${channelId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You are no longer a speaker in this channel. Renew as a subscriber'
+      });
+    }
+
+    const agoraUid = channelMembership.getAgoraUid(uid);
+    const channelCallType = channelMembership.getCallType(channel);
+    const { token, expiresAt } = buildRtcToken(appId, appCertificate, channelId, agoraUid, role, channelCallType);
+
+    const executionTime = Date.now() - startTime;
+    const currentTimestamp = Date.now();
+
+    logger.info(`Agora token renewed for channel ${channelId} in ${executionTime}ms`, {
+      channelId,
+      uid,
+      agoraUid,
+      role,
+      callType: channelCallType,
+      executionTime
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Agora token renewed successfully',
+      data: {
+        agora_token: token,
+        agora_uid: agoraUid.toString(),
+        agora_channelid: channelId,
+        agora_role: role,
+        agora_call_type: channelCallType,
+        agora_token_expires_at: expiresAt,
+        timestamp: currentTimestamp.toString()
+      }
+    });
+
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    logger.error(`Agora token renewal failed after ${executionTime}ms: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.body.channelId
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to renew Agora token'
+    });
+  }
+};
+
+/**
+ * Generate Agora RTM token for chat and presence
+ * @route POST /api/agora/generate-rtm-token
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.generateRtmToken = async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    const { uid } = req.user;
+
+    // Validate Agora configuration
+    const appId = process.env.AGORA_APP_ID;
+    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+
+    if (!appId || !appCertificate) {
+      logger.error('Agora configuration missing: AGORA_APP_ID or AGORA_APP_CERTIFICATE not set');
+      return res.status(500).json({
+        success: false,
+        message: 'Server configuration error'
+      });
+    }
+
+    const rtmTokenData = buildRtmToken(appId, appCertificate, uid);
+
+    const executionTime = Date.now() - startTime;
+    const currentTimestamp = Date.now();
+
+    logger.info(`Agora RTM token generated successfully for user ${uid} in ${executionTime}ms`, {
+      uid,
+      executionTime,
+      timestamp: currentTimestamp
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Agora RTM token generated successfully',
+      data: {
+        ...rtmTokenData,
+        timestamp: currentTimestamp.toString()
+      }
+    });
+
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(`Agora RTM token generation failed after ${executionTime}ms: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate Agora RTM token'
+    });
+  }
+};
+
 /**
  * Internal service method to generate Agora token for notifications
  * Used by notification service when type is 'invite'
- * @param {string} uid - User ID
+ * Callers must add the user to the channel before minting the token
+ * @param {string} uid - User ID of the token holder
  * @param {string} channelId - Agora channel ID
  * @param {string} callerPhoto - Caller's photo URL
  * @param {string} callName - Caller's name
+ * @param {string} role - 'publisher' (default) or 'subscriber'
  * @returns {Object} - Agora token data or null if error
  */
-exports.generateAgoraTokenForNotification = async (uid, channelId, callerPhoto, callName) => {
+exports.generateAgoraTokenForNotification = async (uid, channelId, callerPhoto, callName, role = 'publisher') => {
   try {
     // Validate Agora configuration
     const appId = process.env.AGORA_APP_ID;
@@ -99,21 +365,13 @@ exports.generateAgoraTokenForNotification = async (uid, channelId, callerPhoto,
       return null;
     }
 
-    // Generate a unique Agora UID (integer between 1 and 2^32-1)
-    const agoraUid = Math.floor(Math.random() * 1000000) + 1;
-    
-    // Set token expiration to 30 minutes from now
-    const expirationTimeInSeconds = Math.floor(Date.now() / 1000) + (30 * 60); // 30 minutes
+    // Agora UID derived from the Firebase UID of the token holder
+    const agoraUid = channelMembership.getAgoraUid(uid);
     
-    // Generate Agora RTC token with Publisher role
-    const token = RtcTokenBuilder.buildTokenWithUid(
-      appId,
-      appCertificate,
-      channelId,
-      agoraUid,
-      RtcRole.PUBLISHER,
-      expirationTimeInSeconds
-    );
+    // Generate Agora RTC token with the requested role, valid for the channel's call type
+    const channel = await channelMembership.getChannel(channelId);
+    const channelCallType = channelMembership.getCallType(channel);
+    const { token, expiresAt } = buildRtcToken(appId, appCertificate, channelId, agoraUid, role, channelCallType);
 
     const currentTimestamp = Date.now();
     
@@ -128,8 +386,12 @@ exports.generateAgoraTokenForNotification = async (uid, channelId, callerPhoto,
       agora_token: token,
       agora_uid: agoraUid.toString(),
       agora_channelid: channelId,
-      call_name: callName,
-      caller_photo: callerPhoto,
+      agora_role: role,
+      agora_call_type: channelCallType,
+      agora_token_expires_at: expiresAt,
+      // FCM only accepts string data values, so optional fields are sent empty
+      call_name: callName || '',
+      caller_photo: callerPhoto || '',
       timestamp: currentTimestamp.toString()
     };
 
@@ -143,3 +405,351 @@ exports.generateAgoraTokenForNotification = async (uid, channelId, callerPhoto,
     return null;
   }
 };
+
+/**
+ * Generate a subscriber token for the cloud recorder (used by the recording controller)
+ * @param {string} channelId - Agora channel ID
+ * @param {string} recorderUid - Reserved Agora UID the recorder joins with
+ * @returns {Object} - { token, expiresAt } or null if error
+ */
+exports.generateAgoraTokenForRecorder = (channelId, recorderUid) => {
+  try {
+    const appId = process.env.AGORA_APP_ID;
+    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+
+    if (!appId || !appCertificate) {
+      logger.error('Agora configuration missing for cloud recording');
+      return null;
+    }
+
+    // The recorder cannot renew its token, so it lives as long as the recording resource
+    const lifetimeSeconds = AGORA_RECORDING_CONFIG.RESOURCE_EXPIRED_HOUR * 60 * 60;
+    const token = RtcTokenBuilder.buildTokenWithUid(
+      appId,
+      appCertificate,
+      channelId,
+      Number(recorderUid),
+      RtcRole.SUBSCRIBER,
+      lifetimeSeconds,
+      lifetimeSeconds
+    );
+
+    return {
+      token,
+      expiresAt: new Date(Date.now() + lifetimeSeconds * 1000).toISOString()
+    };
+  } catch (error) {
+    logger.error(`Agora token generation failed for cloud recording: ${error.message}`, {
+      channelId,
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
+    });
+
+    return null;
+  }
+};
+
+/**
+ * Convert a channel record into its public representation
+ * Each member is listed with their Agora UID so clients can map remote users
+ * @param {Object} channel - Channel record
+ * @returns {Object} - Public channel
+ */
+const toPublicChannel = (channel) => ({
+  channelId: channel.channelId,
+  ownerUid: channel.ownerUid,
+  listenOnly: Boolean(channel.listenOnly),
+  members: (channel.members || []).map(memberUid => ({
+    uid: memberUid,
+    agoraUid: channelMembership.getAgoraUid(memberUid).toString(),
+    canPublish: channelMembership.canPublish(channel, memberUid)
+  }))
+});
+
+/**
+ * Get the membership of an Agora channel
+ * @route GET /api/agora/channels/:channelId
+ * @access Protected - Requires API key and Firebase authentication (members or admin)
+ */
+exports.getChannel = async (req, res, next) => {
+  try {
+    const { channelId } = req.params;
+    const channel = await channelMembership.getChannel(channelId);
+
+    // Non-members get the same 404 so channel ids cannot be probed
+    if (!channel || (!channelMembership.isMember(channel, req.user.uid) && !req.user.admin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        channel: toPublicChannel(channel)
+      }
+    });
+  } catch (error) {
+    logger.error(`Fetching Agora channel failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Invite users to an Agora channel
+ * Any member may invite; a channel nobody has used yet is created and owned by the inviter
+ * @route POST /api/agora/channels/:channelId/members
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.addChannelMembers = async (req, res, next) => {
+  try {
+    const { channelId } = req.params;
+    const { uids } = req.body;
+
+    const result = await channelMembership.inviteToChannel(channelId, req.user.uid, [...new Set(uids)]);
+
+    if (!result.allowed) {
+      logger.warn(`Unauthorized channel invite: User ${req.user.uid} is not a member of channel ${channelId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You are not a member of this channel'
+      });
+    }
+
+    // New members who have not consented must not be recorded
+    await cloudRecording.enforceRecordingConsent(result.channel, req.user.uid);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Channel members added successfully',
+      data: {
+        channel: toPublicChannel(result.channel)
+      }
+    });
+  } catch (error) {
+    logger.error(`Adding Agora channel members failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Remove a member from an Agora channel
+ * The owner may remove anyone but themselves; members may remove themselves
+ * @route DELETE /api/agora/channels/:channelId/members/:uid
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.removeChannelMember = async (req, res, next) => {
+  try {
+    const { channelId, uid } = req.params;
+    const channel = await channelMembership.getChannel(channelId);
+
+    if (!channel || (!channelMembership.isMember(channel, req.user.uid) && !req.user.admin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    if (uid === channel.ownerUid) {
+      return res.status(400).json({
+        success: false,
+        message: 'The channel owner cannot be removed'
+      });
+    }
+
+    // Security check: Only the owner (or an admin) may remove other members
+    if (uid !== req.user.uid && channel.ownerUid !== req.user.uid && !req.user.admin) {
+      logger.warn(`Unauthorized member removal: User ${req.user.uid} tried to remove ${uid} from channel ${channelId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Only the channel owner can remove other members'
+      });
+    }
+
+    const result = await channelMembership.removeFromChannel(channelId, uid);
+    if (!result.removed) {
+      return res.status(result.reason === 'owner' ? 400 : 404).json({
+        success: false,
+        message: result.reason === 'owner' ? 'The channel owner cannot be removed' : 'Channel not found'
+      });
+    }
+    logger.info(`User ${uid} removed from Agora channel ${channelId} by ${req.user.uid}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Channel member removed successfully'
+    });
+  } catch (error) {
+    logger.error(`Removing Agora channel member failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Let the host grant or revoke a member's permission to speak
+ * @param {boolean} allowed - Whether the handler grants or revokes
+ * @returns {Function} - Express handler
+ */
+const changeSpeaker = (allowed) => async (req, res, next) => {
+  try {
+    const { channelId } = req.params;
+    const uid = allowed ? req.body.uid : req.params.uid;
+    const channel = await channelMembership.getChannel(channelId);
+
+    if (!channel || (!channelMembership.isMember(channel, req.user.uid) && !req.user.admin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    // Security check: Only the host promotes; speakers may step down themselves
+    const isHost = channel.ownerUid === req.user.uid || req.user.admin;
+    if (!isHost && (allowed || uid !== req.user.uid)) {
+      logger.warn(`Unauthorized speaker change: User ${req.user.uid} tried to change speaker ${uid} in channel ${channelId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Only the channel host can change speakers'
+      });
+    }
+
+    if (uid === channel.ownerUid) {
+      return res.status(400).json({
+        success: false,
+        message: 'The channel host is always a speaker'
+      });
+    }
+
+    const result = await channelMembership.setSpeaker(channelId, uid, allowed);
+
+    if (!result.updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a member of this channel'
+      });
+    }
+
+    logger.info(`User ${uid} ${allowed ? 'promoted to' : 'removed as'} speaker in channel ${channelId} by ${req.user.uid}`);
+
+    // Tell the member's devices so the app can switch role without polling
+    try {
+      const devices = await deviceRegistry.getDevicesForUser(uid);
+      await notificationService.sendToUserDevices(uid, devices, notificationService.buildDataOnlyMessage({
+        type: allowed ? 'speaker_granted' : 'speaker_revoked',
+        agora_channelid: channelId,
+        timestamp: Date.now().toString()
+      }));
+    } catch (error) {
+      logger.warn(`Failed to notify user ${uid} of speaker change in channel ${channelId}: ${error.message}`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: allowed ? 'Speaker added successfully' : 'Speaker removed successfully',
+      data: {
+        channel: toPublicChannel(result.channel)
+      }
+    });
+  } catch (error) {
+    logger.error(`Changing channel speaker failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Allow a member to speak in a listen-only channel
+ * @route POST /api/agora/channels/:channelId/speakers
+ * @access Protected - Requires API key and Firebase authentication (host only)
+ */
+exports.addChannelSpeaker = changeSpeaker(true);
+
+/**
+ * Return a speaker to the audience
+ * @route DELETE /api/agora/channels/:channelId/speakers/:uid
+ * @access Protected - Requires API key and Firebase authentication (host, or the speaker stepping down)
+ */
+exports.removeChannelSpeaker = changeSpeaker(false);
+
+/**
+ * Upgrade the authenticated user from audience to speaker
+ * Issues a publisher token only after the host has promoted the user
+ * @route POST /api/agora/channels/:channelId/promote
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.promoteToSpeaker = async (req, res, next) => {
+  try {
+    const { channelId } = req.params;
+    const { uid } = req.user;
+
+    const appId = process.env.AGORA_APP_ID;
+    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+
+    if (!appId || !appCertificate) {
+      logger.error('Agora configuration missing: AGORA_APP_ID or AGORA_APP_CERTIFICATE not set');
+      return res.status(500).json({
+        success: false,
+        message: 'Server configuration error'
+      });
+    }
+
+    const channel = await channelMembership.getChannel(channelId);
+
+    if (!channel || !channelMembership.isMember(channel, uid)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    if (!channelMembership.canPublish(channel, uid)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The channel host has not allowed you to speak'
+      });
+    }
+
+    const agoraUid = channelMembership.getAgoraUid(uid);
+    const channelCallType = channelMembership.getCallType(channel);
+    const { token, expiresAt } = buildRtcToken(appId, appCertificate, channelId, agoraUid, 'publisher', channelCallType);
+    const currentTimestamp = Date.now();
+
+    logger.info(`Publisher token issued to promoted speaker ${uid} in channel ${channelId}`, {
+      agoraUid
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Agora token generated successfully',
+      data: {
+        agora_token: token,
+        agora_uid: agoraUid.toString(),
+        agora_channelid: channelId,
+        agora_role: 'publisher',
+        agora_call_type: channelCallType,
+        agora_token_expires_at: expiresAt,
+        timestamp: currentTimestamp.toString()
+      }
+    });
+  } catch (error) {
+    logger.error(`Speaker promotion failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate Agora token'
+    });
+  }
+};
@@ -1,35 +1,15 @@
-const { RtcTokenBuilder, RtcRole } = require('agora-token');
-const admin = require('firebase-admin');
-const {Firestore} = require('@google-cloud/firestore');
 const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const agentSessions = require('../services/ai-agent-session.service');
+const channelMembership = require('../services/channel-membership.service');
+const agentTranscripts = require('../services/ai-agent-transcript.service');
+const agentMemory = require('../services/ai-agent-memory.service');
+const agentPrompts = require('../services/ai-agent-prompt.service');
+const agentExperiments = require('../services/ai-agent-experiment.service');
+const llmProviders = require('../services/llm-provider.service');
+const ttsVendors = require('../services/tts-vendor.service');
 const { AGORA_AI_CONFIG } = require('../config/constants');
 
-// Cached Firestore client instance for duckbuck database only
-let duckbuckFirestoreClient = null;
-
-// Initialization of Firestore client for duckbuck database only
-const getFirestoreClient = (projectId, credentials) => {
-  // Return cached instance if available
-  if (duckbuckFirestoreClient) {
-    return duckbuckFirestoreClient;
-  }
-  
-  // Create and cache new instance for duckbuck database only
-  const config = {
-    projectId,
-    credentials: {
-      client_email: credentials.client_email,
-      private_key: credentials.private_key
-    },
-    databaseId: 'duckbuck' // Always use duckbuck database
-  };
-  
-  const client = new Firestore(config);
-  duckbuckFirestoreClient = client;
-  
-  return client;
-};
-
 /**
  * Generate Agora RTC token for agent
  * @param {string} channelName - Channel name
@@ -46,6 +26,11 @@ const generateAgoraToken = (channelName, uid, expirationTimeInSeconds = 3600) =>
   
   const currentTimestamp = Math.floor(Date.now() / 1000);
   const privilegeExpiredTs = currentTimestamp + expirationTimeInSeconds;
+
+  // Delivering transcripts over RTM needs a token that also logs the agent in to RTM
+  if (AGORA_AI_CONFIG.AGENT.ENABLE_RTM) {
+    return RtcTokenBuilder.buildTokenWithRtm(appId, appCertificate, channelName, uid, role, expirationTimeInSeconds, expirationTimeInSeconds);
+  }
   
   return RtcTokenBuilder.buildTokenWithUid(appId, appCertificate, channelName, uid, role, privilegeExpiredTs);
 };
@@ -56,37 +41,51 @@ const generateAgoraToken = (channelName, uid, expirationTimeInSeconds = 3600) =>
  * @param {Object} res - Express response object
  */
 const joinAgent = async (req, res) => {
+  const { channelName, persona: personaName = AGORA_AI_CONFIG.AGENT.DEFAULT_PERSONA } = req.body;
+  const { uid } = req.user;
+  let slotReserved = false;
+
   try {
-    const { uid, channelName } = req.body;
 
-    if (!uid || !channelName) {
+    if (!channelName) {
       return res.status(400).json({
         success: false,
-        message: 'User ID (uid) and channel name are required'
+        message: 'Channel name is required'
       });
     }
 
-    // Check user's agent remaining time from Firebase
-    try {
-      // Parse service account credentials from environment variable
-      let serviceAccount;
-      try {
-        serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
-        if (!serviceAccount || !serviceAccount.project_id) {
-          throw new Error('Invalid service account format');
-        }
-      } catch (parseError) {
-        logger.error(`Failed to parse FIREBASE_SERVICE_ACCOUNT_JSON: ${parseError.message}`);
-        return res.status(500).json({
-          success: false,
-          message: 'Server configuration error'
-        });
-      }
+    // Agent minutes are only ever spent from the caller's own balance
+    if (req.body.uid !== undefined && String(req.body.uid) !== uid) {
+      logger.warn(`AI agent join refused: User ${uid} tried to start an agent for user ${req.body.uid}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot start an AI agent for another user'
+      });
+    }
 
-      const projectId = serviceAccount.project_id;
+    // Agents only join channels the caller belongs to, as recorders and tokens do
+    const channel = await channelMembership.getChannel(channelName);
+    if (!channel || !channelMembership.isMember(channel, uid)) {
+      logger.warn(`AI agent join refused: User ${uid} is not a member of channel ${channelName}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
 
-      // Connect to duckbuck database (same as notification controller)
-      const firestore = getFirestoreClient(projectId, serviceAccount);
+    const persona = AGORA_AI_CONFIG.PERSONAS[personaName];
+    if (!persona) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown persona: ${personaName}`
+      });
+    }
+
+    // Check user's agent remaining time from Firebase
+    let agentRemainingTime;
+    let voicePreference;
+    try {
+      const firestore = getDuckbuckFirestore();
       const userDoc = await firestore.collection('users').doc(uid).get();
       
       if (!userDoc.exists) {
@@ -97,7 +96,8 @@ const joinAgent = async (req, res) => {
       }
 
       const userData = userDoc.data();
-      const agentRemainingTime = userData.agentRemainingTime || 0; // Note: correct field name
+      agentRemainingTime = userData.agentRemainingTime || 0; // Note: correct field name, in seconds
+      voicePreference = userData.agentVoice; // Optional { vendor, voice } chosen by the user
 
       if (agentRemainingTime <= 0) {
         return res.status(403).json({
@@ -113,6 +113,49 @@ const joinAgent = async (req, res) => {
       });
     }
 
+    // Pick the LLM backend: the primary provider, or the fallback while the primary is unhealthy
+    const llmProvider = await llmProviders.selectProvider();
+    if (!llmProvider) {
+      logger.error('No LLM provider configured for AI agent');
+      return res.status(500).json({
+        success: false,
+        message: 'Server configuration error'
+      });
+    }
+
+    // Running A/B experiments may override parts of the configuration for this user;
+    // a voice the user chose wins over any experiment, and models are per provider
+    const experiment = agentExperiments.getExperimentOverrides(uid, persona.name, (setting, value) => {
+      if (setting === 'tts') {
+        return !(voicePreference && (voicePreference.vendor || voicePreference.voice));
+      }
+      if (setting === 'llmModels') {
+        return Boolean(value[llmProvider.name]);
+      }
+      return true;
+    });
+    const { overrides } = experiment;
+
+    // Pick the voice: the user's preference, then the experiment's or persona's, then the default vendor
+    let speech;
+    try {
+      speech = ttsVendors.buildTtsConfig({ persona: overrides.tts || persona.tts, preference: voicePreference });
+    } catch (ttsError) {
+      logger.error(`No usable TTS vendor for AI agent: ${ttsError.message}`);
+      return res.status(500).json({
+        success: false,
+        message: 'Server configuration error'
+      });
+    }
+
+    // The persona's published prompt version, then what the user asked the agent to remember
+    const prompt = await agentPrompts.getActivePrompt(persona);
+    const memoryPrompt = await agentMemory.getMemoryPrompt(uid);
+    const systemMessages = [{ role: "system", content: prompt.content }];
+    if (memoryPrompt) {
+      systemMessages.push({ role: "system", content: memoryPrompt });
+    }
+
     // Generate unique agent identifiers
     const timestamp = Date.now();
     const randomId = Math.random().toString(36).substring(2, 8);
@@ -146,47 +189,63 @@ const joinAgent = async (req, res) => {
           enable_rtm: AGORA_AI_CONFIG.AGENT.ENABLE_RTM
         },
         asr: {
-          language: AGORA_AI_CONFIG.ASR.LANGUAGE
-        },
-        tts: {
-          vendor: AGORA_AI_CONFIG.TTS.VENDOR,
-          params: {
-            key: AGORA_AI_CONFIG.TTS.API_KEY,
-            region: AGORA_AI_CONFIG.TTS.REGION,
-            voice_name: AGORA_AI_CONFIG.TTS.VOICE_NAME,
-            rate: AGORA_AI_CONFIG.TTS.RATE,    
-            volume: AGORA_AI_CONFIG.TTS.VOLUME  
-          }, 
+          language: persona.asrLanguage || AGORA_AI_CONFIG.ASR.LANGUAGE
         },
+        tts: speech.tts,
         llm: {
-          url: AGORA_AI_CONFIG.LLM.URL, 
-          api_key: AGORA_AI_CONFIG.LLM.API_KEY,  
+          url: llmProvider.url,
+          api_key: llmProvider.apiKey,
           style: "openai",
-          system_messages: [
-            {
-              role: "system",
-              content: AGORA_AI_CONFIG.LLM.SYSTEM_MESSAGE
-            }
-          ],
+          system_messages: systemMessages,
           params: {
-            model: AGORA_AI_CONFIG.LLM.MODEL
+            ...llmProvider.params,
+            model: (overrides.llmModels && overrides.llmModels[llmProvider.name]) || llmProvider.model
           },
-          max_history: AGORA_AI_CONFIG.LLM.MAX_HISTORY,
-          greeting_message: AGORA_AI_CONFIG.LLM.GREETING_MESSAGE,
+          max_history: overrides.maxHistory || persona.maxHistory || AGORA_AI_CONFIG.LLM.MAX_HISTORY,
+          greeting_message: overrides.greeting || persona.greeting || AGORA_AI_CONFIG.LLM.GREETING_MESSAGE,
           failure_message: AGORA_AI_CONFIG.LLM.FAILURE_MESSAGE
         },
         vad: {
           interrupt_duration_ms: AGORA_AI_CONFIG.AGENT.INTERRUPT_DURATION_MS,
           prefix_padding_ms: AGORA_AI_CONFIG.AGENT.PREFIX_PADDING_MS,
-          silence_duration_ms: AGORA_AI_CONFIG.AGENT.SILENCE_DURATION_MS,
-          threshold: AGORA_AI_CONFIG.AGENT.VAD_THRESHOLD
+          silence_duration_ms: overrides.silenceDurationMs || AGORA_AI_CONFIG.AGENT.SILENCE_DURATION_MS,
+          threshold: overrides.vadThreshold !== undefined ? overrides.vadThreshold : AGORA_AI_CONFIG.AGENT.VAD_THRESHOLD
         },
         parameters: {
-          interruptable: AGORA_AI_CONFIG.AGENT.INTERRUPTABLE
+          interruptable: AGORA_AI_CONFIG.AGENT.INTERRUPTABLE,
+          // Live transcripts go to the app over RTM; the full history arrives by webhook
+          ...(AGORA_AI_CONFIG.AGENT.ENABLE_RTM && { data_channel: 'rtm' })
         }
       }
     };
 
+    // Only one agent per user and per channel; a user joining again gets their running agent back
+    const slot = await agentSessions.reserveAgentSlot(uid, channelName);
+    if (!slot.reserved) {
+      if (slot.session && slot.session.uid === uid) {
+        return res.status(200).json({
+          success: true,
+          message: 'AI agent already running',
+          data: {
+            agent_id: slot.session.agentId,
+            agent_name: slot.session.agentName,
+            channel_name: slot.session.channelName,
+            persona: slot.session.persona,
+            status: 'RUNNING',
+            already_running: true
+          }
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: slot.reason === 'user_busy'
+          ? 'An AI agent is already starting for this user'
+          : 'An AI agent is already active in this channel'
+      });
+    }
+    slotReserved = true;
+
     // Make request to Agora AI Agent API
     const agoraApiUrl = `${AGORA_AI_CONFIG.API_BASE_URL}/projects/${AGORA_AI_CONFIG.APP_ID}/join`;
     
@@ -210,6 +269,7 @@ const joinAgent = async (req, res) => {
       
     } catch (fetchError) {
       clearTimeout(timeoutId);
+      await agentSessions.releaseAgentSlot(uid, channelName);
       
       if (fetchError.name === 'AbortError') {
         console.error('Agora API request timed out after 25 seconds');
@@ -229,6 +289,7 @@ const joinAgent = async (req, res) => {
     if (!response.ok) {
       const errorData = await response.text();
       console.error('Agora API error:', response.status, errorData);
+      await agentSessions.releaseAgentSlot(uid, channelName);
       
       return res.status(response.status).json({
         success: false,
@@ -237,6 +298,40 @@ const joinAgent = async (req, res) => {
     }
 
     const agoraResponse = await response.json();
+
+    // Meter the session from now on; an agent that cannot be metered is not left running
+    try {
+      await agentSessions.createSession({
+        agentId: agoraResponse.agent_id,
+        agentName,
+        uid,
+        channelName,
+        persona: persona.name,
+        promptVersion: prompt.versionId,
+        llmProvider: llmProvider.name,
+        ttsVendor: speech.vendor,
+        ttsVoice: speech.voice,
+        experiments: experiment.assignments,
+        remainingSeconds: agentRemainingTime
+      });
+    } catch (sessionError) {
+      logger.error(`Failed to record AI agent session ${agoraResponse.agent_id}: ${sessionError.message}`);
+      await agentSessions.leaveAgent(agoraResponse.agent_id).catch((leaveError) => {
+        logger.error(`Failed to stop unmetered AI agent ${agoraResponse.agent_id}: ${leaveError.message}`);
+      });
+      await agentSessions.releaseAgentSlot(uid, channelName);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start AI agent'
+      });
+    }
+    slotReserved = false;
+
+    // The request timeout may already have answered; joining again returns the running agent
+    if (res.headersSent) {
+      logger.warn(`AI agent ${agoraResponse.agent_id} started after the request timed out`);
+      return;
+    }
     
     res.status(200).json({
       success: true,
@@ -245,18 +340,32 @@ const joinAgent = async (req, res) => {
         agent_id: agoraResponse.agent_id,
         agent_name: agentName,
         channel_name: channelName,
+        persona: persona.name,
+        prompt_version: prompt.versionId,
+        llm_provider: llmProvider.name,
+        tts_vendor: speech.vendor,
+        tts_voice: speech.voice,
         status: agoraResponse.status,
-        create_ts: agoraResponse.create_ts
+        create_ts: agoraResponse.create_ts,
+        remaining_seconds: agentRemainingTime
       }
     });
 
   } catch (error) {
     console.error('Error in joinAgent:', error);
+
+    if (slotReserved) {
+      await agentSessions.releaseAgentSlot(uid, channelName).catch((releaseError) => {
+        logger.error(`Failed to release AI agent slot of user ${uid}: ${releaseError.message}`);
+      });
+    }
     
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error occurred while starting AI agent'
-    });
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error occurred while starting AI agent'
+      });
+    }
   }
 };
 
@@ -276,75 +385,729 @@ const stopAgent = async (req, res) => {
       });
     }
 
-    // Make request to Agora AI Agent API to stop the agent
-    const agoraApiUrl = `${AGORA_AI_CONFIG.API_BASE_URL}/projects/${AGORA_AI_CONFIG.APP_ID}/agents/${agentId}/leave`;
-    
-    // Set timeout for the fetch request
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+    // Security check: Users can only stop their own agents; others get the same 404
+    const existingSession = await agentSessions.getSession(agentId);
+    if (!existingSession || (existingSession.uid !== req.user.uid && !req.user.admin)) {
+      logger.warn(`AI agent stop refused: User ${req.user.uid} does not own agent ${agentId}`);
+      return res.status(404).json({
+        success: false,
+        message: 'AI agent not found'
+      });
+    }
 
-    let response;
+    // Keep the conversation in case the history webhook never arrives; the
+    // capture has a short timeout so it cannot push the stop past the request timeout
+    if (existingSession.status === agentSessions.SESSION_STATUS.RUNNING) {
+      await agentTranscripts.captureAgentHistory(agentId, AGORA_AI_CONFIG.TRANSCRIPTS.CAPTURE_TIMEOUT_MS);
+    }
+
+    // Ask Agora to remove the agent; 404 means it already left on its own
     try {
-      response = await fetch(agoraApiUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Basic ${AGORA_AI_CONFIG.BASIC_AUTH}`
-        },
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      
-      if (fetchError.name === 'AbortError') {
-        console.error('Agora API stop request timed out after 15 seconds');
-        return res.status(408).json({
+      await agentSessions.leaveAgent(agentId);
+    } catch (leaveError) {
+      if (leaveError.agoraStatus !== 404) {
+        logger.error(`Failed to stop AI agent ${agentId}: ${leaveError.message}`);
+
+        // The request timeout may already have answered the client
+        if (res.headersSent) {
+          return;
+        }
+
+        if (leaveError.statusCode === 408) {
+          return res.status(408).json({
+            success: false,
+            message: 'Stop request timed out - Agora API is not responding'
+          });
+        }
+
+        if (!leaveError.agoraStatus) {
+          return res.status(500).json({
+            success: false,
+            message: 'Network error occurred while contacting Agora API'
+          });
+        }
+
+        return res.status(leaveError.agoraStatus).json({
           success: false,
-          message: 'Stop request timed out - Agora API is not responding'
+          message: 'Failed to stop AI agent',
+          error: leaveError.details
         });
       }
-      
-      console.error('Stop fetch error:', fetchError);
-      return res.status(500).json({
+    }
+
+    // Deduct the time used by the session from the owner's balance
+    const { session } = await agentSessions.finishSession(agentId, { reason: 'stopped' });
+
+    if (res.headersSent) {
+      logger.warn(`AI agent ${agentId} stopped after the request timed out`);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'AI agent stopped successfully',
+      data: {
+        agent_id: agentId,
+        status: 'stopped',
+        used_seconds: session.usedSeconds
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in stopAgent:', error);
+    
+    if (!res.headersSent) {
+      res.status(500).json({
         success: false,
-        message: 'Network error occurred while contacting Agora API'
+        message: 'Internal server error occurred while stopping AI agent'
       });
     }
+  }
+};
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      console.error('Agora API stop error:', response.status, errorData);
-      
-      return res.status(response.status).json({
+/**
+ * Convert a stored agent session into its public representation
+ * @param {Object} session - Agent session
+ * @returns {Object} - Public session
+ */
+const toPublicSession = (session) => ({
+  agent_id: session.agentId,
+  agent_name: session.agentName,
+  channel_name: session.channelName,
+  persona: session.persona || AGORA_AI_CONFIG.AGENT.DEFAULT_PERSONA,
+  prompt_version: session.promptVersion || null,
+  llm_provider: session.llmProvider || null,
+  tts_vendor: session.ttsVendor || null,
+  tts_voice: session.ttsVoice || null,
+  status: session.status,
+  started_at: session.startedAt,
+  stopped_at: session.stoppedAt,
+  used_seconds: session.usedSeconds,
+  stop_reason: session.stopReason
+});
+
+/**
+ * List the authenticated user's AI agent sessions, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listSessions = async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const sessions = await agentSessions.listSessions(req.user.uid, { status, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(toPublicSession),
+        count: sessions.length
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Listing AI agent sessions failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while listing AI agent sessions'
+    });
+  }
+};
+
+/**
+ * Get an AI agent session with its live state from Agora
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAgent = async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const session = await agentSessions.getSession(agentId);
+
+    // Non-owners get the same 404 so agent ids cannot be probed
+    if (!session || (session.uid !== req.user.uid && !req.user.admin)) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to stop AI agent',
-        error: errorData
+        message: 'AI agent not found'
+      });
+    }
+
+    // Only running agents are worth asking Agora about
+    let agora = null;
+    if (session.status === agentSessions.SESSION_STATUS.RUNNING) {
+      try {
+        const agent = await agentSessions.getAgentStatus(agentId);
+        agora = {
+          status: agent.status,
+          start_ts: agent.start_ts,
+          stop_ts: agent.stop_ts
+        };
+      } catch (statusError) {
+        logger.warn(`Failed to fetch Agora status of AI agent ${agentId}: ${statusError.message}`);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        session: toPublicSession(session),
+        agora
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Fetching AI agent failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      agentId: req.params.agentId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while fetching AI agent'
+    });
+  }
+};
+
+/**
+ * List the personas that can be selected when starting an agent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listPersonas = (req, res) => {
+  const personas = Object.values(AGORA_AI_CONFIG.PERSONAS).map(persona => ({
+    name: persona.name,
+    description: persona.description,
+    language: persona.asrLanguage || AGORA_AI_CONFIG.ASR.LANGUAGE,
+    is_default: persona.name === AGORA_AI_CONFIG.AGENT.DEFAULT_PERSONA
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      personas
+    }
+  });
+};
+
+/**
+ * Convert a remembered fact into its public representation
+ * @param {Object} fact - Fact
+ * @returns {Object} - Public fact
+ */
+const toPublicFact = (fact) => ({
+  id: fact.id,
+  text: fact.text,
+  created_at: fact.createdAt,
+  updated_at: fact.updatedAt
+});
+
+/**
+ * List what the AI agent remembers about the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMemory = async (req, res) => {
+  try {
+    const facts = await agentMemory.getFacts(req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        facts: facts.map(toPublicFact),
+        max_facts: AGORA_AI_CONFIG.MEMORY.MAX_FACTS
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Fetching AI agent memory failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while fetching AI agent memory'
+    });
+  }
+};
+
+/**
+ * Add a fact the authenticated user wants the AI agent to remember
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addMemoryFact = async (req, res) => {
+  try {
+    const { fact, reason } = await agentMemory.addFact(req.user.uid, req.body.text);
+
+    if (reason === 'limit_reached') {
+      return res.status(409).json({
+        success: false,
+        message: `AI agent can remember at most ${AGORA_AI_CONFIG.MEMORY.MAX_FACTS} facts. Remove one first.`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Fact remembered successfully',
+      data: {
+        fact: toPublicFact(fact)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Adding AI agent memory fact failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while updating AI agent memory'
+    });
+  }
+};
+
+/**
+ * Change a fact the AI agent remembers about the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateMemoryFact = async (req, res) => {
+  try {
+    const fact = await agentMemory.updateFact(req.user.uid, req.params.factId, req.body.text);
+
+    if (!fact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fact not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Fact updated successfully',
+      data: {
+        fact: toPublicFact(fact)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Updating AI agent memory fact failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid,
+      factId: req.params.factId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while updating AI agent memory'
+    });
+  }
+};
+
+/**
+ * Make the AI agent forget one fact about the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteMemoryFact = async (req, res) => {
+  try {
+    const deleted = await agentMemory.deleteFact(req.user.uid, req.params.factId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fact not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Fact forgotten successfully'
+    });
+
+  } catch (error) {
+    logger.error(`Deleting AI agent memory fact failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid,
+      factId: req.params.factId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while updating AI agent memory'
+    });
+  }
+};
+
+/**
+ * Make the AI agent forget everything about the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const clearMemory = async (req, res) => {
+  try {
+    const deletedCount = await agentMemory.clearFacts(req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      message: 'AI agent memory cleared successfully',
+      data: {
+        deleted_count: deletedCount
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Clearing AI agent memory failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while clearing AI agent memory'
+    });
+  }
+};
+
+/**
+ * List the LLM providers with their configuration state and health (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listLlmProviders = async (req, res) => {
+  try {
+    if (!req.user.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Only administrators can view LLM providers'
+      });
+    }
+
+    const providers = await llmProviders.listProviders();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        providers
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Listing LLM providers failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while listing LLM providers'
+    });
+  }
+};
+
+/**
+ * Mark an LLM provider healthy or unhealthy so new agents avoid it (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateLlmProviderHealth = async (req, res) => {
+  try {
+    if (!req.user.admin) {
+      logger.warn(`Unauthorized LLM provider health change by user ${req.user.uid}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Only administrators can change LLM provider health'
+      });
+    }
+
+    const { provider } = req.params;
+    const { healthy, reason, durationMinutes } = req.body;
+
+    const mark = await llmProviders.markProviderHealth(provider, healthy, {
+      reason,
+      durationMinutes,
+      updatedBy: req.user.uid
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `LLM provider ${provider} marked ${healthy ? 'healthy' : 'unhealthy'}`,
+      data: {
+        provider,
+        ...mark
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Updating LLM provider health failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      provider: req.params.provider
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while updating LLM provider health'
+    });
+  }
+};
+
+/**
+ * Convert a prompt version into its public representation
+ * @param {Object} version - Prompt version
+ * @returns {Object} - Public prompt version
+ */
+const toPublicPromptVersion = (version) => ({
+  version_id: version.versionId,
+  version: version.version,
+  source: version.source || 'published',
+  content: version.content,
+  note: version.note || null,
+  published_by: version.publishedBy || null,
+  published_at: version.publishedAt || null
+});
+
+/**
+ * List the prompt versions of a persona with the one new agents use (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listPromptVersions = async (req, res) => {
+  try {
+    if (!req.user.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Only administrators can view AI agent prompts'
+      });
+    }
+
+    const persona = AGORA_AI_CONFIG.PERSONAS[req.params.persona];
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown persona: ${req.params.persona}`
+      });
+    }
+
+    const { active, builtin, versions } = await agentPrompts.listPromptVersions(persona, req.query.limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        persona: persona.name,
+        active: toPublicPromptVersion(active),
+        builtin: toPublicPromptVersion(builtin),
+        versions: versions.map(toPublicPromptVersion)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Listing AI agent prompt versions failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      persona: req.params.persona
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while listing AI agent prompts'
+    });
+  }
+};
+
+/**
+ * Publish a new prompt version for a persona; new agents pick it up without a redeploy (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const publishPromptVersion = async (req, res) => {
+  try {
+    if (!req.user.admin) {
+      logger.warn(`Unauthorized AI agent prompt publish by user ${req.user.uid}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Only administrators can publish AI agent prompts'
+      });
+    }
+
+    const persona = AGORA_AI_CONFIG.PERSONAS[req.params.persona];
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown persona: ${req.params.persona}`
+      });
+    }
+
+    const { content, note } = req.body;
+    const version = await agentPrompts.publishPrompt(persona, {
+      content,
+      note,
+      publishedBy: req.user.uid
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Prompt ${version.versionId} published for persona ${persona.name}`,
+      data: {
+        persona: persona.name,
+        prompt: toPublicPromptVersion(version)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Publishing AI agent prompt failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      persona: req.params.persona
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while publishing AI agent prompt'
+    });
+  }
+};
+
+/**
+ * Get the conversation transcript of an AI agent session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTranscript = async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const session = await agentSessions.getSession(agentId);
+
+    // Non-owners get the same 404 so agent ids cannot be probed
+    if (!session || (session.uid !== req.user.uid && !req.user.admin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI agent not found'
+      });
+    }
+
+    const transcript = await agentTranscripts.getTranscript(agentId);
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: session.status === agentSessions.SESSION_STATUS.RUNNING
+          ? 'Transcript not available until the AI agent stops'
+          : 'Transcript not found'
       });
     }
 
-    // Response body is empty for successful stop requests
     res.status(200).json({
       success: true,
-      message: 'AI agent stopped successfully',
       data: {
         agent_id: agentId,
-        status: 'stopped'
+        persona: transcript.persona,
+        session_started_at: transcript.sessionStartedAt,
+        captured_at: transcript.capturedAt,
+        entries: transcript.entries
       }
     });
 
   } catch (error) {
-    console.error('Error in stopAgent:', error);
-    
+    logger.error(`Fetching AI agent transcript failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      agentId: req.params.agentId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while fetching AI agent transcript'
+    });
+  }
+};
+
+/**
+ * Delete the conversation transcript of one of the user's AI agent sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTranscript = async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const session = await agentSessions.getSession(agentId);
+
+    // Only the owner may delete; admins cannot remove a user's data on their behalf here
+    if (!session || session.uid !== req.user.uid) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI agent not found'
+      });
+    }
+
+    const deleted = await agentTranscripts.deleteTranscript(agentId);
+
+    res.status(200).json({
+      success: true,
+      message: deleted ? 'Transcript deleted successfully' : 'No transcript to delete',
+      data: {
+        agent_id: agentId,
+        deleted
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Deleting AI agent transcript failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      agentId: req.params.agentId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error occurred while deleting AI agent transcript'
+    });
+  }
+};
+
+/**
+ * Delete every conversation transcript of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTranscripts = async (req, res) => {
+  try {
+    const deletedCount = await agentTranscripts.deleteUserTranscripts(req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      message: 'Transcripts deleted successfully',
+      data: {
+        deleted_count: deletedCount
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Deleting AI agent transcripts failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+
     res.status(500).json({
       success: false,
-      message: 'Internal server error occurred while stopping AI agent'
+      message: 'Internal server error occurred while deleting AI agent transcripts'
     });
   }
 };
 
 module.exports = {
   joinAgent,
-  stopAgent
+  stopAgent,
+  listSessions,
+  getAgent,
+  getTranscript,
+  deleteTranscript,
+  deleteTranscripts,
+  getMemory,
+  addMemoryFact,
+  updateMemoryFact,
+  deleteMemoryFact,
+  clearMemory,
+  listPersonas,
+  listLlmProviders,
+  updateLlmProviderHealth,
+  listPromptVersions,
+  publishPromptVersion
 };
\ No newline at end of file
@@ -0,0 +1,299 @@
+const logger = require('../utils/logger');
+const { generateAgoraTokenForNotification } = require('./agora.controller');
+const callService = require('../services/call.service');
+const deviceRegistry = require('../services/device-registry.service');
+const notificationService = require('../services/notification.service');
+const notificationHistory = require('../services/notification-history.service');
+const notificationPreferences = require('../services/notification-preferences.service');
+const channelMembership = require('../services/channel-membership.service');
+const cloudRecording = require('../services/cloud-recording.service');
+
+const { CALL_STATUS } = callService;
+
+/**
+ * Check whether a user took part in a call
+ * @param {Object} call - Call session
+ * @param {string} uid - Firebase UID
+ * @returns {boolean} - Whether the user is the caller or the callee
+ */
+const isParticipant = (call, uid) => call.callerUid === uid || call.calleeUid === uid;
+
+/**
+ * Invite a user to a call
+ * Creates a ringing call session and rings every device of the callee
+ * @route POST /api/calls/invite
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.inviteCall = async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    const { calleeUid, channelId, callName, callerPhoto } = req.body;
+    const callerUid = req.user.uid;
+
+    if (calleeUid === callerUid) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot call yourself'
+      });
+    }
+
+    // Calls may pass quiet hours when the callee allows it, but never a mute
+    const decision = await notificationPreferences.checkDelivery(calleeUid, {
+      senderUid: callerUid,
+      category: 'invite'
+    });
+
+    if (!decision.allowed) {
+      // The caller sees an unanswered call; the callee is not disturbed, added to
+      // the channel or given a token
+      const channel = await channelMembership.getChannel(channelId);
+      if (channel && !channelMembership.isMember(channel, callerUid)) {
+        logger.warn(`Unauthorized call invite: User ${callerUid} is not a member of channel ${channelId}`);
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized: You are not a member of this channel'
+        });
+      }
+
+      const missedCall = await callService.createCall({
+        callerUid,
+        calleeUid,
+        channelId,
+        callName,
+        callerPhoto,
+        suppressedReason: decision.reason
+      });
+      await notificationHistory.recordDelivery({
+        recipientUid: calleeUid,
+        senderUid: callerUid,
+        channel: 'call',
+        message: { data: { type: 'invite' } },
+        data: { type: 'invite' },
+        suppressedReason: decision.reason
+      });
+
+      logger.info(`Call ${missedCall.id} to user ${calleeUid} suppressed by preferences: ${decision.reason}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Call invite suppressed by recipient preferences',
+        data: {
+          call: missedCall,
+          decision
+        }
+      });
+    }
+
+    // The caller must be a member of the channel; the callee becomes one
+    const access = await channelMembership.inviteToChannel(channelId, callerUid, [calleeUid]);
+    if (!access.allowed) {
+      logger.warn(`Unauthorized call invite: User ${callerUid} is not a member of channel ${channelId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You are not a member of this channel'
+      });
+    }
+
+    // A callee who has not consented must not be recorded
+    await cloudRecording.enforceRecordingConsent(access.channel, callerUid);
+
+    // Listen-only channels only hand publisher tokens to the host and promoted speakers
+    const roleFor = (uid) => (channelMembership.canPublish(access.channel, uid) ? 'publisher' : 'subscriber');
+
+    // Mint both tokens before persisting so a config error leaves no ringing call behind
+    const callerToken = await generateAgoraTokenForNotification(callerUid, channelId, callerPhoto, callName, roleFor(callerUid));
+    const calleeToken = await generateAgoraTokenForNotification(calleeUid, channelId, callerPhoto, callName, roleFor(calleeUid));
+
+    if (!callerToken || !calleeToken) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate Agora token'
+      });
+    }
+
+    const call = await callService.createCall({ callerUid, calleeUid, channelId, callName, callerPhoto });
+
+    const currentTimestamp = Date.now();
+    const message = notificationService.buildDataOnlyMessage({
+      ...calleeToken,
+      type: 'invite',
+      call_id: call.id,
+      caller_uid: callerUid,
+      expires_at: call.expiresAt.toISOString(),
+      timestamp: currentTimestamp.toString(),
+      timestampISO: new Date(currentTimestamp).toISOString(),
+      serverTimestamp: currentTimestamp.toString(),
+      priority: 'high'
+    });
+
+    // Unreachable callees are left ringing; the timeout sweep marks them missed.
+    // A send that throws never rang anyone, so the call is cancelled instead of left ringing.
+    const devices = await deviceRegistry.getDevicesForUser(calleeUid);
+    let result;
+    try {
+      result = await notificationService.sendToUserDevices(calleeUid, devices, message);
+    } catch (sendError) {
+      await callService.transitionCall(call.id, CALL_STATUS.CANCELLED).catch((cancelError) => {
+        logger.error(`Failed to cancel call ${call.id} after its invite could not be sent: ${cancelError.message}`);
+      });
+      throw sendError;
+    }
+    await notificationHistory.recordDelivery({
+      recipientUid: calleeUid,
+      senderUid: callerUid,
+      channel: 'call',
+      message,
+      data: { type: 'invite' },
+      deliveries: result.deliveries
+    });
+
+    const executionTime = Date.now() - startTime;
+    logger.info(`Call ${call.id} invite sent to ${result.successCount}/${devices.length} devices of user ${calleeUid} in ${executionTime}ms`, {
+      channelId,
+      failureCount: result.failureCount,
+      prunedCount: result.prunedCount,
+      executionTime
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Call invite sent successfully',
+      data: {
+        call,
+        agora: callerToken,
+        deviceCount: devices.length,
+        successCount: result.successCount,
+        failureCount: result.failureCount,
+        decision
+      }
+    });
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+
+    logger.error(`Call invite failed after ${executionTime}ms: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      calleeUid: req.body.calleeUid
+    });
+
+    return next(error);
+  }
+};
+
+/**
+ * Build a handler that moves a ringing call to a new state
+ * @param {string} status - Target status
+ * @param {string} role - 'callerUid' or 'calleeUid', the participant allowed to make the change
+ * @param {string} successMessage - Response message on success
+ * @returns {Function} - Express handler
+ */
+const changeCallStatus = (status, role, successMessage) => async (req, res, next) => {
+  try {
+    const { callId } = req.params;
+    const call = await callService.getCall(callId);
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call not found'
+      });
+    }
+
+    // Security check: Only the callee answers and only the caller cancels
+    if (call[role] !== req.user.uid) {
+      logger.warn(`Unauthorized call update: User ${req.user.uid} tried to set call ${callId} to ${status}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You cannot change the state of this call'
+      });
+    }
+
+    const { call: updatedCall, changed } = await callService.transitionCall(callId, status, req.user.uid);
+
+    if (changed) {
+      await callService.notifyCallTransition(updatedCall);
+    }
+
+    if (!changed || updatedCall.status !== status) {
+      return res.status(409).json({
+        success: false,
+        message: updatedCall.status === CALL_STATUS.MISSED
+          ? 'Call invite has expired'
+          : `Call is already ${updatedCall.status}`,
+        data: {
+          call: updatedCall
+        }
+      });
+    }
+
+    logger.info(`Call ${callId} ${status} by user ${req.user.uid}`);
+
+    return res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: {
+        call: updatedCall
+      }
+    });
+  } catch (error) {
+    logger.error(`Updating call to ${status} failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      callId: req.params.callId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Accept a ringing call
+ * @route POST /api/calls/:callId/accept
+ * @access Protected - Requires API key and Firebase authentication (callee only)
+ */
+exports.acceptCall = changeCallStatus(CALL_STATUS.ACCEPTED, 'calleeUid', 'Call accepted successfully');
+
+/**
+ * Decline a ringing call
+ * @route POST /api/calls/:callId/decline
+ * @access Protected - Requires API key and Firebase authentication (callee only)
+ */
+exports.declineCall = changeCallStatus(CALL_STATUS.DECLINED, 'calleeUid', 'Call declined successfully');
+
+/**
+ * Cancel a call invite before it is answered
+ * @route POST /api/calls/:callId/cancel
+ * @access Protected - Requires API key and Firebase authentication (caller only)
+ */
+exports.cancelCall = changeCallStatus(CALL_STATUS.CANCELLED, 'callerUid', 'Call cancelled successfully');
+
+/**
+ * Get the current state of a call
+ * @route GET /api/calls/:callId
+ * @access Protected - Requires API key and Firebase authentication (participants or admin)
+ */
+exports.getCall = async (req, res, next) => {
+  try {
+    const { callId } = req.params;
+    const call = await callService.getCall(callId);
+
+    // Non-participants get the same 404 so call ids cannot be probed
+    if (!call || (!isParticipant(call, req.user.uid) && !req.user.admin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        call
+      }
+    });
+  } catch (error) {
+    logger.error(`Fetching call failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      callId: req.params.callId
+    });
+    return next(error);
+  }
+};
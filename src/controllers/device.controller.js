@@ -0,0 +1,136 @@
+const logger = require('../utils/logger');
+const deviceRegistry = require('../services/device-registry.service');
+const notificationService = require('../services/notification.service');
+
+/**
+ * Strip tokens from device entries before returning them to clients
+ * @param {Array<Object>} devices - Devices from the device registry
+ * @returns {Array<Object>} - Devices without their FCM tokens
+ */
+const toPublicDevices = (devices) => devices.map(({ deviceId, platform, updatedAt }) => ({
+  deviceId,
+  platform,
+  updatedAt
+}));
+
+/**
+ * Register or refresh an FCM device token for the authenticated user
+ * @route POST /api/notifications/devices
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.registerDevice = async (req, res, next) => {
+  try {
+    const { uid } = req.user;
+    const { deviceId, token, platform } = req.body;
+
+    const devices = await deviceRegistry.registerDevice(uid, { deviceId, token, platform });
+
+    if (!devices) {
+      logger.warn(`Device registration for unknown user ${uid}`);
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    logger.info(`FCM device ${deviceId} registered for user ${uid}`, {
+      platform,
+      deviceCount: devices.length
+    });
+
+    // Join the new token to the topics the user already subscribed to
+    const topics = await deviceRegistry.getTopicsForUser(uid);
+    const registered = devices.filter(device => device.deviceId === deviceId);
+    for (const topic of topics) {
+      try {
+        await notificationService.updateTopicSubscription(uid, registered, topic, true);
+      } catch (topicError) {
+        // Topic sync failures shouldn't fail the registration itself
+        logger.error(`Failed to subscribe device ${deviceId} to topic ${topic}: ${topicError.message}`);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Device registered successfully',
+      data: {
+        devices: toPublicDevices(devices)
+      }
+    });
+  } catch (error) {
+    logger.error(`Device registration failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user && req.user.uid
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Remove an FCM device from the authenticated user's registry
+ * @route DELETE /api/notifications/devices/:deviceId
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.unregisterDevice = async (req, res, next) => {
+  try {
+    const { uid } = req.user;
+    const { deviceId } = req.params;
+
+    const removed = await deviceRegistry.unregisterDevice(uid, deviceId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    logger.info(`FCM device ${deviceId} unregistered for user ${uid}`);
+
+    // Take the removed token out of the user's topics so it stops receiving their broadcasts
+    const topics = await deviceRegistry.getTopicsForUser(uid);
+    for (const topic of topics) {
+      try {
+        await notificationService.updateTopicSubscription(uid, [removed], topic, false);
+      } catch (topicError) {
+        // Topic sync failures shouldn't fail the unregistration itself
+        logger.error(`Failed to unsubscribe device ${deviceId} from topic ${topic}: ${topicError.message}`);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Device unregistered successfully'
+    });
+  } catch (error) {
+    logger.error(`Device unregistration failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user && req.user.uid
+    });
+    return next(error);
+  }
+};
+
+/**
+ * List the FCM devices registered for the authenticated user
+ * @route GET /api/notifications/devices
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.listDevices = async (req, res, next) => {
+  try {
+    const devices = await deviceRegistry.getDevicesForUser(req.user.uid);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        devices: toPublicDevices(devices)
+      }
+    });
+  } catch (error) {
+    logger.error(`Listing devices failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user && req.user.uid
+    });
+    return next(error);
+  }
+};
@@ -0,0 +1,85 @@
+const logger = require('../utils/logger');
+const notificationPreferences = require('../services/notification-preferences.service');
+
+/**
+ * Get the authenticated user's notification preferences
+ * @route GET /api/notifications/preferences
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const preferences = await notificationPreferences.getPreferences(req.user.uid);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        preferences
+      }
+    });
+  } catch (error) {
+    logger.error(`Fetching notification preferences failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Update the authenticated user's notification preferences
+ * Only the fields present in the body are changed
+ * @route PUT /api/notifications/preferences
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const { uid } = req.user;
+    const preferences = await notificationPreferences.updatePreferences(uid, req.body);
+
+    logger.info(`Notification preferences updated for user ${uid}`, {
+      fields: Object.keys(req.body)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: {
+        preferences
+      }
+    });
+  } catch (error) {
+    logger.error(`Updating notification preferences failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Reset the authenticated user's notification preferences to the defaults
+ * @route DELETE /api/notifications/preferences
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.resetPreferences = async (req, res, next) => {
+  try {
+    const { uid } = req.user;
+    await notificationPreferences.resetPreferences(uid);
+
+    logger.info(`Notification preferences reset for user ${uid}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notification preferences reset successfully',
+      data: {
+        preferences: notificationPreferences.DEFAULT_PREFERENCES
+      }
+    });
+  } catch (error) {
+    logger.error(`Resetting notification preferences failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+    return next(error);
+  }
+};
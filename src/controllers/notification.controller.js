@@ -1,95 +1,139 @@
-const admin = require('firebase-admin');
 const logger = require('../utils/logger');
-const {Firestore} = require('@google-cloud/firestore');
 const { generateAgoraTokenForNotification } = require('./agora.controller');
+const deviceRegistry = require('../services/device-registry.service');
+const notificationService = require('../services/notification.service');
+const notificationScheduler = require('../services/notification-scheduler.service');
+const notificationHistory = require('../services/notification-history.service');
+const notificationPreferences = require('../services/notification-preferences.service');
+const channelMembership = require('../services/channel-membership.service');
+const cloudRecording = require('../services/cloud-recording.service');
+const { isValidTimeZone, resolveZonedDateTime } = require('../utils/timezone');
+const { NOTIFICATION_CONFIG } = require('../config/constants');
 
-// Cached Firestore client instance for duckbuck database only
-let duckbuckFirestoreClient = null;
+/**
+ * Build the HTTP response for a fan-out delivery
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result of notificationService.sendToUserDevices
+ * @param {string} successMessage - Message used when at least one device received it
+ * @param {Object} extra - Additional fields included in every response body
+ * @returns {Object} - Express response
+ */
+const respondWithDeliveries = (res, result, successMessage, extra = {}) => {
+  const { successCount, failureCount, prunedCount = 0, deliveries } = result;
+  const firstSuccess = deliveries.find(delivery => delivery.success);
 
-// Initialization of Firestore client for duckbuck database only
-const getFirestoreClient = (projectId, credentials) => {
-  // Return cached instance if available
-  if (duckbuckFirestoreClient) {
-    return duckbuckFirestoreClient;
+  if (successCount > 0) {
+    return res.status(200).json({
+      success: true,
+      message: successMessage,
+      messageId: firstSuccess.messageId,
+      successCount,
+      failureCount,
+      prunedCount,
+      deliveries,
+      ...extra
+    });
   }
-  
-  // Create and cache new instance for duckbuck database only
-  const config = {
-    projectId,
-    credentials: {
-      client_email: credentials.client_email,
-      private_key: credentials.private_key
-    },
-    databaseId: 'duckbuck' // Always use duckbuck database
-  };
-  
-  const client = new Firestore(config);
-  duckbuckFirestoreClient = client;
-  
-  return client;
+
+  // Every device failed - surface the same outcomes as the single-token sends did
+  const errorCodes = deliveries.map(delivery => delivery.error);
+
+  if (errorCodes.every(code => code === 'messaging/invalid-argument')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid notification format',
+      ...extra
+    });
+  }
+
+  if (errorCodes.every(code => notificationService.UNREGISTERED_TOKEN_ERRORS.includes(code))) {
+    return res.status(200).json({
+      success: true,
+      message: 'Notification processed successfully',
+      note: 'FCM token is invalid or unregistered',
+      successCount,
+      failureCount,
+      prunedCount,
+      deliveries,
+      ...extra
+    });
+  }
+
+  return res.status(502).json({
+    success: false,
+    message: 'Failed to deliver notification to any device',
+    successCount,
+    failureCount,
+    prunedCount,
+    deliveries,
+    ...extra
+  });
 };
 
 /**
- * Get FCM token for a user from Firestore
- * @param {string} uid - Firebase UID of the user
- * @returns {string|null} - FCM token or null if not found
+ * Respond to a send the recipient's preferences suppressed
+ * @param {Object} res - Express response object
+ * @param {Object} decision - Decision from notificationPreferences.checkDelivery
+ * @returns {Object} - Express response
  */
-const getFCMTokenForUser = async (uid) => {
-  try {
-    // Parse service account credentials from environment variable
-    let serviceAccount;
-    try {
-      serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
-      if (!serviceAccount || !serviceAccount.project_id) {
-        throw new Error('Invalid service account format');
-      }
-    } catch (parseError) {
-      logger.error(`Failed to parse FIREBASE_SERVICE_ACCOUNT_JSON: ${parseError.message}`);
-      throw new Error('Server configuration error');
-    }
+const respondSuppressed = (res, decision) => res.status(200).json({
+  success: true,
+  message: 'Notification suppressed by recipient preferences',
+  decision
+});
 
-    const projectId = serviceAccount.project_id;
+/**
+ * Persist a notification for later delivery instead of sending it now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} notification - { userUid, title, body, data, sendAt, timeZone }
+ * @returns {Promise<Object>} - Express response
+ */
+const scheduleForLater = async (req, res, { userUid, title, body, data, sendAt, timeZone }) => {
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid time zone'
+    });
+  }
 
-    // Connect only to duckbuck database
-    try {
-      const firestore = getFirestoreClient(projectId, serviceAccount);
-      const userRef = firestore.collection('users').doc(uid);
-      
-      // Only fetch FCM token related fields to reduce bandwidth
-      const doc = await userRef.get();
-      
-      if (doc.exists) {
-        const userData = doc.data();
-        
-        // Access the token from fcmTokenData structure
-        if (userData.fcmTokenData && userData.fcmTokenData.token) {
-          const platform = userData.fcmTokenData.platform || 'unknown';
-          logger.info(`FCM token found for user ${uid} on platform ${platform}`);
-          return userData.fcmTokenData.token;
-        }
-        
-        // Fallback to old structure if exists
-        if (userData.fcmToken) {
-          logger.info(`FCM token found for user ${uid} using legacy token field`);
-          return userData.fcmToken;
-        }
-      }
-      
-      logger.warn(`No FCM token found for user ${uid} in duckbuck database`);
-      return null;
-    } catch (dbError) {
-      logger.error(`Error accessing duckbuck database: ${dbError.message}`, { 
-        uid,
-        error: dbError.stack 
-      });
-      throw dbError;
-    }
-  } catch (error) {
-    logger.error(`Error getting FCM token for user ${uid}: ${error.message}`, {
-      stack: error.stack
+  // Local times are read in the requested zone, else the recipient's own zone
+  const resolvedTimeZone = timeZone || await notificationScheduler.getUserTimeZone(userUid);
+  const sendAtDate = resolveZonedDateTime(sendAt, resolvedTimeZone);
+  const now = Date.now();
+  const { CLOCK_SKEW_MS, MAX_SCHEDULE_AHEAD_MS } = NOTIFICATION_CONFIG.SCHEDULER;
+
+  if (!sendAtDate || sendAtDate.getTime() < now - CLOCK_SKEW_MS) {
+    return res.status(400).json({
+      success: false,
+      message: 'sendAt must be a valid time in the future'
     });
-    throw error;
   }
+
+  if (sendAtDate.getTime() > now + MAX_SCHEDULE_AHEAD_MS) {
+    return res.status(400).json({
+      success: false,
+      message: 'sendAt is too far in the future'
+    });
+  }
+
+  const job = await notificationScheduler.scheduleNotification({
+    uid: userUid,
+    createdBy: req.user.uid,
+    payload: { title: title || null, body: body || null, data },
+    sendAt: sendAtDate,
+    timeZone: resolvedTimeZone
+  });
+
+  return res.status(202).json({
+    success: true,
+    message: 'Notification scheduled successfully',
+    data: {
+      jobId: job.id,
+      sendAt: job.sendAt.toISOString(),
+      timeZone: resolvedTimeZone
+    }
+  });
 };
 
 /**
@@ -102,7 +146,7 @@ exports.sendNotification = async (req, res, next) => {
   
   try {
     // Support both uid and recipientUid fields
-    const { uid, recipientUid, title, body, data = {} } = req.body;
+    const { uid, recipientUid, title, body, data = {}, sendAt, timeZone } = req.body;
     const userUid = uid || recipientUid;
 
     // Validate input
@@ -113,125 +157,62 @@ exports.sendNotification = async (req, res, next) => {
       });
     }
 
-    // Get FCM token for the user
-    const fcmToken = await getFCMTokenForUser(userUid);
+    // Defer delivery to the dispatcher when a send time is given
+    if (sendAt) {
+      return await scheduleForLater(req, res, { userUid, title, body, data, sendAt, timeZone });
+    }
+
+    // Prepare notification payload
+    const message = notificationService.buildNotificationMessage({ title, body, data });
+    const historyEntry = { recipientUid: userUid, senderUid: req.user.uid, channel: 'direct', message, data };
+
+    // Honor the recipient's muted senders, muted categories and quiet hours
+    const decision = await notificationPreferences.checkDelivery(userUid, {
+      senderUid: req.user.uid,
+      category: notificationPreferences.getCategory(data)
+    });
+
+    if (!decision.allowed) {
+      logger.info(`FCM notification to user ${userUid} suppressed by preferences: ${decision.reason}`);
+      await notificationHistory.recordDelivery({ ...historyEntry, suppressedReason: decision.reason });
+      return respondSuppressed(res, decision);
+    }
+
+    // Get every registered device for the user
+    const devices = await deviceRegistry.getDevicesForUser(userUid);
     
-    if (!fcmToken) {
+    if (devices.length === 0) {
       const executionTime = Date.now() - startTime;
       logger.info(`FCM token not found for user ${userUid}, returning success without sending notification in ${executionTime}ms`);
+      await notificationHistory.recordDelivery(historyEntry);
       
       return res.status(200).json({
         success: true,
         message: 'Notification processed successfully',
-        note: 'FCM token not available for user'
+        note: 'FCM token not available for user',
+        decision
       });
     }
 
-    // Prepare notification payload
-    const message = {
-      token: fcmToken,
-      data: {
-        ...data,
-        timestamp: Date.now().toString()
-      }
-    };
-
-    // Add notification fields if body is provided (title is optional)
-    if (body) {
-      message.notification = {
-        body: body.trim()
-      };
-      
-      // Only add title if it's provided and not empty
-      if (title && title.trim() !== '') {
-        message.notification.title = title.trim();
-      }
-      
-      message.data.type = 'notification';
-      
-      message.android = {
-        priority: 'normal',
-        notification: {
-          priority: 'default',
-          channelId: 'default_channel',
-          clickAction: 'FLUTTER_NOTIFICATION_CLICK',
-          sound: 'default'
-        }
-      };
-      
-      message.apns = {
-        headers: {
-          'apns-priority': '5'
-        },
-        payload: {
-          aps: {
-            priority: 5,
-            sound: 'default',
-            badge: 1
-          }
-        }
-      };
-    } else {
-      // If no title/body, treat it like a data-only notification
-      message.data.type = 'data_only';
-      message.data.priority = 'high';
-      
-      message.android = {
-        priority: 'high',
-        ttl: 0, // Deliver immediately
-        directBootOk: true,
-        data: {
-          ...data,
-          priority: 'high',
-          click_action: 'FLUTTER_NOTIFICATION_CLICK'
-        }
-      };
-      
-      message.apns = {
-        headers: {
-          'apns-priority': '10',
-          'apns-push-type': 'background',
-          'apns-topic': process.env.APPLE_BUNDLE_ID || 'com.duckbuck.app'
-        },
-        payload: {
-          aps: {
-            'content-available': 1, // Silent background notification
-            priority: 10
-          }
-        }
-      };
-    }
-
-    // Send notification
-    const response = await admin.messaging().send(message);
+    // Fan out to every device and record the outcome
+    const result = await notificationService.sendToUserDevices(userUid, devices, message);
+    await notificationHistory.recordDelivery({ ...historyEntry, deliveries: result.deliveries });
     
     const executionTime = Date.now() - startTime;
-    logger.info(`FCM notification sent successfully to user ${userUid} in ${executionTime}ms`, {
-      messageId: response,
+    logger.info(`FCM notification sent to ${result.successCount}/${devices.length} devices of user ${userUid} in ${executionTime}ms`, {
       title,
       body,
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedCount: result.prunedCount,
       executionTime
     });
 
-    return res.status(200).json({
-      success: true,
-      message: 'Notification sent successfully',
-      messageId: response
-    });
+    return respondWithDeliveries(res, result, 'Notification sent successfully', { decision });
 
   } catch (error) {
     const executionTime = Date.now() - startTime;
     
-    // Handle FCM specific errors
-    if (error.code === 'messaging/registration-token-not-registered') {
-      logger.warn(`FCM token invalid or unregistered for user: ${req.body.uid}`);
-      return res.status(200).json({
-        success: true,
-        message: 'Notification processed successfully',
-        note: 'FCM token is invalid or unregistered'
-      });
-    }
-    
     if (error.code === 'messaging/invalid-argument') {
       logger.warn(`Invalid FCM message format: ${error.message}`);
       return res.status(400).json({
@@ -277,17 +258,44 @@ exports.sendDataOnlyNotification = async (req, res, next) => {
       });
     }
 
-    // Get FCM token for the user
-    const fcmToken = await getFCMTokenForUser(userUid);
+    // Honor the recipient's preferences before minting any call tokens
+    const decision = await notificationPreferences.checkDelivery(userUid, {
+      senderUid: req.user.uid,
+      category: notificationPreferences.getCategory(data, 'data_only')
+    });
+
+    if (!decision.allowed) {
+      logger.info(`FCM data-only notification to user ${userUid} suppressed by preferences: ${decision.reason}`);
+      await notificationHistory.recordDelivery({
+        recipientUid: userUid,
+        senderUid: req.user.uid,
+        channel: 'data_only',
+        message: { data },
+        data,
+        suppressedReason: decision.reason
+      });
+      return respondSuppressed(res, decision);
+    }
+
+    // Get every registered device for the user
+    const devices = await deviceRegistry.getDevicesForUser(userUid);
     
-    if (!fcmToken) {
+    if (devices.length === 0) {
       const executionTime = Date.now() - startTime;
       logger.info(`FCM token not found for user ${userUid}, returning success without sending notification in ${executionTime}ms`);
+      await notificationHistory.recordDelivery({
+        recipientUid: userUid,
+        senderUid: req.user.uid,
+        channel: 'data_only',
+        message: { data },
+        data
+      });
       
       return res.status(200).json({
         success: true,
         message: 'Notification processed successfully',
-        note: 'FCM token not available for user'
+        note: 'FCM token not available for user',
+        decision
       });
     }
 
@@ -304,14 +312,30 @@ exports.sendDataOnlyNotification = async (req, res, next) => {
     };
 
     // Check if this is an invite notification and generate Agora token if needed
+    // Legacy fire-and-forget invite; POST /api/calls/invite tracks accept/decline/cancel/missed state
     if (data.type === 'invite' && data.agora_channelid && data.call_name && data.caller_photo) {
       logger.info(`Generating Agora token for invite notification to user ${userUid}`);
+
+      // The inviter must be a member of the channel; the invitee becomes one
+      const access = await channelMembership.inviteToChannel(data.agora_channelid, req.user.uid, [userUid]);
+      if (!access.allowed) {
+        logger.warn(`Unauthorized invite: User ${req.user.uid} is not a member of channel ${data.agora_channelid}`);
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized: You are not a member of this channel'
+        });
+      }
       
+      // An invitee who has not consented must not be recorded
+      await cloudRecording.enforceRecordingConsent(access.channel, req.user.uid);
+
+      // Listen-only channels only hand publisher tokens to the host and promoted speakers
       const agoraTokenData = await generateAgoraTokenForNotification(
         userUid,
         data.agora_channelid,
         data.caller_photo,
-        data.call_name
+        data.call_name,
+        channelMembership.canPublish(access.channel, userUid) ? 'publisher' : 'subscriber'
       );
       
       if (agoraTokenData) {
@@ -331,75 +355,398 @@ exports.sendDataOnlyNotification = async (req, res, next) => {
       }
     }
 
-    const message = {
-      token: fcmToken,
-      data: enrichedData,
-      android: {
-        priority: 'high',
-        ttl: 0, // Deliver immediately
-        directBootOk: true, // Deliver in direct boot mode if possible
-        data: {
-          ...enrichedData, // Use the enriched data with timestamps
-          click_action: 'FLUTTER_NOTIFICATION_CLICK'
-        }
-      },
-      apns: {
-        headers: {
-          'apns-priority': '10', // High priority
-          'apns-push-type': 'background',
-          'apns-topic': process.env.APPLE_BUNDLE_ID || 'com.duckbuck.app' // App bundle ID
-        },
-        payload: {
-          aps: {
-            'content-available': 1, // Silent background notification
-            priority: 10
-          }
-        }
-      }
-    };
-
-    // Send data-only notification
-    const response = await admin.messaging().send(message);
+    // Send data-only notification to every device
+    const message = notificationService.buildDataOnlyMessage(enrichedData);
+    const result = await notificationService.sendToUserDevices(userUid, devices, message);
+    await notificationHistory.recordDelivery({
+      recipientUid: userUid,
+      senderUid: req.user.uid,
+      channel: 'data_only',
+      message,
+      data,
+      deliveries: result.deliveries
+    });
     
     const executionTime = Date.now() - startTime;
-    logger.info(`FCM data-only notification sent successfully to user ${userUid} in ${executionTime}ms`, {
-      messageId: response,
+    logger.info(`FCM data-only notification sent to ${result.successCount}/${devices.length} devices of user ${userUid} in ${executionTime}ms`, {
       dataKeys: Object.keys(data),
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedCount: result.prunedCount,
+      executionTime
+    });
+
+    return respondWithDeliveries(res, result, 'Data-only notification sent successfully', { decision });
+
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    if (error.code === 'messaging/invalid-argument') {
+      logger.warn(`Invalid FCM message format: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification format'
+      });
+    }
+
+    logger.error(`FCM data-only notification failed after ${executionTime}ms: ${error.message}`, { 
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.body.uid
+    });
+    
+    return next(error);
+  }
+};
+
+/**
+ * Send the same FCM notification to many users in one request
+ * @route POST /api/notifications/send-batch
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.sendBatchNotification = async (req, res, next) => {
+  const startTime = Date.now();
+  
+  try {
+    const { recipientUids, title, body, data = {} } = req.body;
+
+    // Drop duplicate recipients so nobody receives the alert twice
+    const uniqueUids = [...new Set(recipientUids)];
+
+    // Honor each recipient's preferences, reading them all in one batch
+    const decisions = await notificationPreferences.checkDeliveries(uniqueUids, {
+      senderUid: req.user.uid,
+      category: notificationPreferences.getCategory(data)
+    });
+    const allowedUids = uniqueUids.filter(recipientUid => decisions.get(recipientUid).allowed);
+    const suppressedUids = uniqueUids.filter(recipientUid => !decisions.get(recipientUid).allowed);
+
+    // Look up every allowed recipient's devices in one batched read
+    const devicesByUid = await deviceRegistry.getDevicesForUsers(allowedUids);
+
+    const message = notificationService.buildNotificationMessage({ title, body, data });
+    const result = await notificationService.sendToManyUsers(devicesByUid, message);
+
+    const recipients = [
+      ...result.recipients.map(recipient => ({ ...recipient, decision: decisions.get(recipient.uid) })),
+      ...suppressedUids.map(recipientUid => ({
+        uid: recipientUid,
+        status: 'suppressed',
+        successCount: 0,
+        failureCount: 0,
+        prunedCount: 0,
+        deliveries: [],
+        decision: decisions.get(recipientUid)
+      }))
+    ];
+
+    // One history entry per recipient so each user's inbox shows the alert
+    await notificationHistory.recordDeliveries(recipients.map(recipient => notificationHistory.buildEntry({
+      recipientUid: recipient.uid,
+      senderUid: req.user.uid,
+      channel: 'batch',
+      message,
+      data,
+      deliveries: recipient.deliveries,
+      suppressedReason: recipient.decision.allowed ? null : recipient.decision.reason
+    })));
+    
+    const executionTime = Date.now() - startTime;
+    logger.info(`FCM batch notification sent to ${allowedUids.length}/${uniqueUids.length} recipients in ${executionTime}ms`, {
+      senderUid: req.user && req.user.uid,
+      suppressedCount: suppressedUids.length,
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedCount: result.prunedCount,
       executionTime
     });
 
     return res.status(200).json({
       success: true,
-      message: 'Data-only notification sent successfully',
-      messageId: response
+      message: 'Batch notification processed successfully',
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedCount: result.prunedCount,
+      suppressedCount: suppressedUids.length,
+      recipients
     });
 
   } catch (error) {
     const executionTime = Date.now() - startTime;
     
-    // Handle FCM specific errors
-    if (error.code === 'messaging/registration-token-not-registered') {
-      logger.warn(`FCM token invalid or unregistered for user: ${req.body.uid}`);
-      return res.status(200).json({
-        success: true,
-        message: 'Notification processed successfully',
-        note: 'FCM token is invalid or unregistered'
+    if (error.code === 'messaging/invalid-argument') {
+      logger.warn(`Invalid FCM message format: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification format'
       });
     }
+
+    logger.error(`FCM batch notification failed after ${executionTime}ms: ${error.message}`, { 
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      recipientCount: Array.isArray(req.body.recipientUids) ? req.body.recipientUids.length : 0
+    });
     
+    return next(error);
+  }
+};
+
+/**
+ * Subscribe or unsubscribe a user's devices to an FCM topic
+ * Users manage their own subscriptions; admins may target another uid
+ * @param {boolean} subscribe - true to subscribe, false to unsubscribe
+ * @returns {Function} - Express handler
+ */
+const handleTopicSubscription = (subscribe) => async (req, res, next) => {
+  const action = subscribe ? 'subscribe' : 'unsubscribe';
+  
+  try {
+    const { topic, uid } = req.body;
+    const userUid = uid || req.user.uid;
+
+    // Security check: Only allow users to manage their own subscriptions unless admin
+    if (userUid !== req.user.uid && !req.user.admin) {
+      logger.warn(`Unauthorized topic ${action} attempt: User ${req.user.uid} tried to manage topics of user ${userUid}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You can only manage your own topic subscriptions'
+      });
+    }
+
+    const devices = await deviceRegistry.getDevicesForUser(userUid);
+    const result = await notificationService.updateTopicSubscription(userUid, devices, topic, subscribe);
+
+    // Remember the subscription so devices registered later join the topic too
+    await deviceRegistry.setTopicSubscription(userUid, topic, subscribe);
+
+    logger.info(`FCM topic ${action} for user ${userUid} on topic ${topic}`, {
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedCount: result.prunedCount
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: subscribe ? 'Subscribed to topic successfully' : 'Unsubscribed from topic successfully',
+      topic,
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedCount: result.prunedCount
+    });
+  } catch (error) {
     if (error.code === 'messaging/invalid-argument') {
-      logger.warn(`Invalid FCM message format: ${error.message}`);
+      logger.warn(`Invalid FCM topic ${action} request: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid topic'
+      });
+    }
+
+    logger.error(`FCM topic ${action} failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      topic: req.body.topic
+    });
+    
+    return next(error);
+  }
+};
+
+/**
+ * Subscribe the user's devices to an FCM topic
+ * @route POST /api/notifications/topics/subscribe
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.subscribeToTopic = handleTopicSubscription(true);
+
+/**
+ * Unsubscribe the user's devices from an FCM topic
+ * @route POST /api/notifications/topics/unsubscribe
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.unsubscribeFromTopic = handleTopicSubscription(false);
+
+/**
+ * Send an FCM notification to a topic or topic condition
+ * @route POST /api/notifications/send-topic
+ * @access Protected - Requires API key and Firebase authentication (admin only)
+ */
+exports.sendTopicNotification = async (req, res, next) => {
+  const startTime = Date.now();
+  
+  try {
+    const { topic, condition, title, body, data = {} } = req.body;
+
+    // Broadcasts reach users who never interacted with the sender, so restrict to admins
+    if (!req.user.admin) {
+      logger.warn(`Unauthorized topic broadcast attempt by user ${req.user.uid}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: Only administrators can send topic notifications'
+      });
+    }
+
+    const message = notificationService.buildNotificationMessage({ title, body, data });
+    const messageId = await notificationService.sendToTopic({ topic, condition }, message);
+    await notificationHistory.recordDelivery({
+      senderUid: req.user.uid,
+      channel: 'topic',
+      topic: topic || condition,
+      message,
+      data,
+      deliveries: [{ success: true, messageId }]
+    });
+    
+    const executionTime = Date.now() - startTime;
+    logger.info(`FCM topic notification sent in ${executionTime}ms`, {
+      topic,
+      condition,
+      messageId,
+      senderUid: req.user.uid,
+      executionTime
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Topic notification sent successfully',
+      messageId
+    });
+
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    
+    if (error.code === 'messaging/invalid-argument') {
+      logger.warn(`Invalid FCM topic message: ${error.message}`);
       return res.status(400).json({
         success: false,
         message: 'Invalid notification format'
       });
     }
 
-    logger.error(`FCM data-only notification failed after ${executionTime}ms: ${error.message}`, { 
+    logger.error(`FCM topic notification failed after ${executionTime}ms: ${error.message}`, { 
       stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
-      uid: req.body.uid
+      topic: req.body.topic,
+      condition: req.body.condition
     });
     
     return next(error);
   }
 };
+
+/**
+ * List pending scheduled notifications created by the authenticated user
+ * @route GET /api/notifications/scheduled
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.listScheduledNotifications = async (req, res, next) => {
+  try {
+    const jobs = await notificationScheduler.listPendingNotifications(req.user.uid);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => ({
+          jobId: job.id,
+          recipientUid: job.uid,
+          sendAt: job.sendAt.toISOString(),
+          timeZone: job.timeZone,
+          title: job.payload.title,
+          body: job.payload.body,
+          status: job.status
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error(`Listing scheduled notifications failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Cancel a pending scheduled notification
+ * @route DELETE /api/notifications/scheduled/:jobId
+ * @access Protected - Requires API key and Firebase authentication (creator or admin only)
+ */
+exports.cancelScheduledNotification = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const job = await notificationScheduler.getScheduledNotification(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled notification not found'
+      });
+    }
+
+    // Security check: Only the creator or an admin may cancel a job
+    if (job.createdBy !== req.user.uid && !req.user.admin) {
+      logger.warn(`Unauthorized cancel attempt: User ${req.user.uid} tried to cancel scheduled notification ${jobId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You can only cancel your own scheduled notifications'
+      });
+    }
+
+    const cancelled = await notificationScheduler.cancelScheduledNotification(jobId);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scheduled notification is no longer pending'
+      });
+    }
+
+    logger.info(`Scheduled notification ${jobId} cancelled by user ${req.user.uid}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scheduled notification cancelled successfully'
+    });
+  } catch (error) {
+    logger.error(`Cancelling scheduled notification failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      jobId: req.params.jobId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Get notification history for the authenticated user
+ * Admins (support) may look up another user with ?uid=
+ * @route GET /api/notifications/history
+ * @access Protected - Requires API key and Firebase authentication
+ */
+exports.getNotificationHistory = async (req, res, next) => {
+  try {
+    const { uid, limit, before } = req.query;
+    const userUid = uid || req.user.uid;
+
+    // Security check: Only allow users to read their own history unless admin
+    if (userUid !== req.user.uid && !req.user.admin) {
+      logger.warn(`Unauthorized history lookup: User ${req.user.uid} tried to read history of user ${userUid}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized: You can only view your own notification history'
+      });
+    }
+
+    const entries = await notificationHistory.getHistoryForUser(userUid, { limit, before });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        notifications: entries,
+        nextBefore: entries.length === limit ? entries[entries.length - 1].createdAt : null
+      }
+    });
+  } catch (error) {
+    logger.error(`Fetching notification history failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      uid: req.user.uid
+    });
+    return next(error);
+  }
+};
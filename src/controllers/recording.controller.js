@@ -0,0 +1,255 @@
+const logger = require('../utils/logger');
+const { generateAgoraTokenForRecorder } = require('./agora.controller');
+const cloudRecording = require('../services/cloud-recording.service');
+const channelMembership = require('../services/channel-membership.service');
+const { AGORA_AI_CONFIG, AGORA_RECORDING_CONFIG } = require('../config/constants');
+
+const { RECORDING_STATUS } = cloudRecording;
+
+/**
+ * Check that cloud recording credentials and storage are configured
+ * @returns {boolean} - Whether recordings can be started
+ */
+const isRecordingConfigured = () => Boolean(
+  AGORA_AI_CONFIG.APP_ID &&
+  AGORA_AI_CONFIG.CUSTOMER_ID &&
+  AGORA_AI_CONFIG.CUSTOMER_SECRET &&
+  AGORA_RECORDING_CONFIG.STORAGE.BUCKET &&
+  AGORA_RECORDING_CONFIG.STORAGE.ACCESS_KEY &&
+  AGORA_RECORDING_CONFIG.STORAGE.SECRET_KEY
+);
+
+/**
+ * Load a channel the authenticated user belongs to
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Channel, or null if missing or the user is not a member
+ */
+const getMemberChannel = async (req) => {
+  const channel = await channelMembership.getChannel(req.params.channelId);
+  if (!channel || (!channelMembership.isMember(channel, req.user.uid) && !req.user.admin)) {
+    return null;
+  }
+  return channel;
+};
+
+/**
+ * Convert a recording state into its public representation
+ * @param {Object} recording - Recording state
+ * @param {Object} channel - Channel record
+ * @returns {Object} - Public recording state
+ */
+const toPublicRecording = (recording, channel) => ({
+  channelId: recording.channelId,
+  status: recording.status,
+  mode: recording.mode,
+  sid: recording.sid,
+  startedBy: recording.startedBy,
+  startedAt: recording.startedAt,
+  consents: Object.fromEntries(Object.entries(recording.consents)
+    .map(([uid, consent]) => [uid, Boolean(consent && consent.consented)])),
+  missingConsents: cloudRecording.getMissingConsents(channel, recording.consents)
+});
+
+/**
+ * Record whether the authenticated user agrees to the channel being recorded
+ * Withdrawing consent stops a running recording
+ * @route PUT /api/recordings/:channelId/consent
+ * @access Protected - Requires API key and Firebase authentication (members only)
+ */
+exports.setRecordingConsent = async (req, res, next) => {
+  try {
+    const { channelId } = req.params;
+    const { consented } = req.body;
+    const { uid } = req.user;
+
+    const channel = await channelMembership.getChannel(channelId);
+    if (!channel || !channelMembership.isMember(channel, uid)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    let recording = await cloudRecording.setConsent(channelId, uid, consented);
+    logger.info(`User ${uid} ${consented ? 'opted in to' : 'opted out of'} recording channel ${channelId}`);
+
+    // A recording still starting re-checks consents itself before it goes live
+    if (!consented && recording.status === RECORDING_STATUS.RECORDING) {
+      const result = await cloudRecording.stopRecording(channelId, uid, 'consent_withdrawn');
+      recording = result.recording;
+      if (result.stopped) {
+        await cloudRecording.notifyMembers(channel, 'recording_stopped', uid);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: consented ? 'Recording consent given' : 'Recording consent withdrawn',
+      data: {
+        recording: toPublicRecording(recording, channel)
+      }
+    });
+  } catch (error) {
+    logger.error(`Updating recording consent failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Start recording a channel
+ * Every member of the channel must have opted in first
+ * @route POST /api/recordings/:channelId/start
+ * @access Protected - Requires API key and Firebase authentication (members only)
+ */
+exports.startRecording = async (req, res, next) => {
+  try {
+    const { channelId } = req.params;
+    const { mode = AGORA_RECORDING_CONFIG.DEFAULT_MODE } = req.body;
+    const { uid } = req.user;
+
+    if (!isRecordingConfigured()) {
+      logger.error('Cloud recording configuration missing: Agora customer credentials or storage not set');
+      return res.status(500).json({
+        success: false,
+        message: 'Server configuration error'
+      });
+    }
+
+    const channel = await channelMembership.getChannel(channelId);
+    if (!channel || !channelMembership.isMember(channel, uid)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    const recorderToken = generateAgoraTokenForRecorder(channelId, AGORA_RECORDING_CONFIG.RECORDER_UID);
+    if (!recorderToken) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate Agora token'
+      });
+    }
+
+    const result = await cloudRecording.startRecording(channel, uid, recorderToken.token, mode);
+
+    if (result.reason === 'consent_missing') {
+      return res.status(403).json({
+        success: false,
+        message: 'Every participant must consent before the channel can be recorded',
+        data: {
+          missingConsents: result.missingConsents
+        }
+      });
+    }
+
+    if (result.reason === 'already_recording') {
+      return res.status(409).json({
+        success: false,
+        message: 'Channel is already being recorded',
+        data: {
+          recording: toPublicRecording(result.recording, channel)
+        }
+      });
+    }
+
+    await cloudRecording.notifyMembers(channel, 'recording_started', uid);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Recording started successfully',
+      data: {
+        recording: toPublicRecording(result.recording, channel)
+      }
+    });
+  } catch (error) {
+    logger.error(`Starting cloud recording failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Get the recording state of a channel, including Agora's live status while recording
+ * @route GET /api/recordings/:channelId
+ * @access Protected - Requires API key and Firebase authentication (members or admin)
+ */
+exports.getRecording = async (req, res, next) => {
+  try {
+    // Non-members get the same 404 so channel ids cannot be probed
+    const channel = await getMemberChannel(req);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    const { recording, serverResponse } = await cloudRecording.queryRecording(channel.channelId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        recording: toPublicRecording(recording, channel),
+        serverResponse
+      }
+    });
+  } catch (error) {
+    logger.error(`Querying cloud recording failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Stop recording a channel
+ * @route POST /api/recordings/:channelId/stop
+ * @access Protected - Requires API key and Firebase authentication (members or admin)
+ */
+exports.stopRecording = async (req, res, next) => {
+  try {
+    const channel = await getMemberChannel(req);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    const result = await cloudRecording.stopRecording(channel.channelId, req.user.uid);
+
+    if (!result.stopped) {
+      return res.status(409).json({
+        success: false,
+        message: 'Channel is not being recorded',
+        data: {
+          recording: toPublicRecording(result.recording, channel)
+        }
+      });
+    }
+
+    await cloudRecording.notifyMembers(channel, 'recording_stopped', req.user.uid);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recording stopped successfully',
+      data: {
+        recording: toPublicRecording(result.recording, channel),
+        session: result.session
+      }
+    });
+  } catch (error) {
+    logger.error(`Stopping cloud recording failed: ${error.message}`, {
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined,
+      channelId: req.params.channelId
+    });
+    return next(error);
+  }
+};
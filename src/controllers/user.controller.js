@@ -139,7 +139,8 @@ exports.sendWelcomeEmailHandler = async (req, res) => {
  */
 exports.sendLoginNotificationHandler = async (req, res) => {
   try {
-    const { email, username, loginTime } = req.body;
+    const { email, username } = req.body;
+    let { loginTime } = req.body;
     
     // Comprehensive input validation
     if (!email || !username) {
@@ -166,7 +167,7 @@ exports.sendLoginNotificationHandler = async (req, res) => {
     }
     
     // Format timestamp nicely if it appears to be in ISO or standard format
-    if (loginTime && loginTime.match(/^\d{4}-\d{2}-\d{2}/) || loginTime.match(/^\d{4}\/\d{2}\/\d{2}/)) {
+    if (loginTime && (loginTime.match(/^\d{4}-\d{2}-\d{2}/) || loginTime.match(/^\d{4}\/\d{2}\/\d{2}/))) {
       try {
         const date = new Date(loginTime);
         if (!isNaN(date)) {
@@ -357,46 +358,38 @@ exports.deleteUser = async (req, res, next) => {
             results.firestore.message = 'Deleted from duckbuck database';
           } else {
             // Try default database if not found in duckbuck
-            try {
-              const defaultFirestore = getFirestoreClient(projectId, serviceAccount);
-              
-              const defaultUserRef = defaultFirestore.collection('users').doc(firebaseUid);
-              const defaultDoc = await defaultUserRef.get();
-              
-              if (defaultDoc.exists) {
-                await defaultUserRef.delete();
-                results.firestore.success = true;
-                results.firestore.message = 'Deleted from default database';
-              } else {
-                // Document doesn't exist in either database, consider it a success
-                results.firestore.success = true;
-                results.firestore.message = 'No user document found';
-              }
-            } catch (defaultDbError) {
-              throw defaultDbError;
+            const defaultFirestore = getFirestoreClient(projectId, serviceAccount);
+            
+            const defaultUserRef = defaultFirestore.collection('users').doc(firebaseUid);
+            const defaultDoc = await defaultUserRef.get();
+            
+            if (defaultDoc.exists) {
+              await defaultUserRef.delete();
+              results.firestore.success = true;
+              results.firestore.message = 'Deleted from default database';
+            } else {
+              // Document doesn't exist in either database, consider it a success
+              results.firestore.success = true;
+              results.firestore.message = 'No user document found';
             }
           }
         } catch (dbError) {
           // Check if this is a specific database not found error
           if (dbError.code === 5 && dbError.message.includes('NOT_FOUND')) {
-            try {
-              // Try with the default database
-              const defaultFirestore = getFirestoreClient(projectId, serviceAccount);
-              
-              const userRef = defaultFirestore.collection('users').doc(firebaseUid);
-              const doc = await userRef.get();
-              
-              if (doc.exists) {
-                await userRef.delete();
-                results.firestore.success = true;
-                results.firestore.message = 'Deleted from default database';
-              } else {
-                // No document found in either database - still a success
-                results.firestore.success = true; 
-                results.firestore.message = 'No user document found';
-              }
-            } catch (fallbackError) {
-              throw fallbackError;
+            // Try with the default database
+            const defaultFirestore = getFirestoreClient(projectId, serviceAccount);
+            
+            const userRef = defaultFirestore.collection('users').doc(firebaseUid);
+            const doc = await userRef.get();
+            
+            if (doc.exists) {
+              await userRef.delete();
+              results.firestore.success = true;
+              results.firestore.message = 'Deleted from default database';
+            } else {
+              // No document found in either database - still a success
+              results.firestore.success = true; 
+              results.firestore.message = 'No user document found';
             }
           } else {
             throw dbError;
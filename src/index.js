@@ -11,7 +11,27 @@ const hpp = require('hpp');
 const compression = require('compression');
 const logger = require('./utils/logger');
 const httpsRedirect = require('./middlewares/https-redirect');
-const { SECURITY_CONFIG, RATE_LIMITING } = require('./config/constants');
+const { SECURITY_CONFIG, RATE_LIMITING, AGORA_WEBHOOK_CONFIG, AGORA_AI_CONFIG } = require('./config/constants');
+const notificationScheduler = require('./services/notification-scheduler.service');
+const callService = require('./services/call.service');
+const agoraWebhookService = require('./services/agora-webhook.service');
+const agentSessions = require('./services/ai-agent-session.service');
+const ttsVendors = require('./services/tts-vendor.service');
+
+// Check the AI agent TTS vendors before accepting traffic
+const ttsValidation = ttsVendors.validateVendorConfig();
+ttsValidation.warnings.forEach(warning => logger.warn(warning));
+if (!ttsValidation.valid) {
+  ttsValidation.errors.forEach(error => logger.error(error));
+
+  // In production, agents that cannot speak must not be sold; refuse to start
+  if (process.env.NODE_ENV === 'production') {
+    logger.error('TTS configuration invalid in production environment. Exiting process.');
+    process.exit(1);
+  } else {
+    logger.warn('TTS configuration invalid in development. AI agents will fail to start.');
+  }
+}
 
 // Initialize Express app
 const app = express();
@@ -87,6 +107,19 @@ app.use(xss()); // Prevent XSS attacks
 app.use(hpp()); // Prevent HTTP Parameter Pollution
 
 // Standard middleware
+// Agora notifications can carry a whole conversation; parsing them first
+// keeps the general 10kb limit from rejecting them
+app.use('/api/agora/webhooks', express.json({
+  limit: AGORA_WEBHOOK_CONFIG.MAX_BODY_SIZE,
+  // Keep the raw bytes so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+// Published persona prompts are longer than any other request body
+app.use('/api/ai-agent/prompts', express.json({
+  limit: AGORA_AI_CONFIG.PROMPTS.MAX_BODY_SIZE
+}));
 app.use(express.json({ limit: '10kb' })); // Body parser with payload size limit
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(compression()); // Compress responses
@@ -118,7 +151,8 @@ const limiter = rateLimit({
     success: false,
     message: 'Too many requests, please try again later.'
   },
-  skip: (req) => process.env.NODE_ENV !== 'production'
+  // Agora webhooks arrive from a few shared IPs and have their own limiter
+  skip: (req) => process.env.NODE_ENV !== 'production' || req.path === '/api/agora/webhooks'
 });
 
 // Apply rate limiting to all requests
@@ -165,6 +199,8 @@ app.use('/api/health', require('./routes/health.routes'));
 app.use('/api/users', require('./routes/user.routes'));
 app.use('/api/notifications', require('./routes/notification.routes'));
 app.use('/api/agora', require('./routes/agora.routes'));
+app.use('/api/calls', require('./routes/call.routes'));
+app.use('/api/recordings', require('./routes/recording.routes'));
 app.use('/api/ai-agent', require('./routes/ai-agent.routes'));
 
 // Error handling middleware
@@ -202,6 +238,18 @@ app.use((req, res) => {
 // Start server with error handling
 const server = app.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+  
+  // Deliver notifications scheduled with sendAt
+  notificationScheduler.startDispatcher();
+
+  // Turn unanswered call invites into missed calls
+  callService.startTimeoutMonitor();
+
+  // Flag channels that Agora webhooks show were abandoned
+  agoraWebhookService.startAbandonedChannelMonitor();
+
+  // Deduct AI agent time and stop agents whose owner ran out
+  agentSessions.startMeteringMonitor();
 });
 
 // Set server timeouts
@@ -211,6 +259,10 @@ server.keepAliveTimeout = 30000; // 30 seconds
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  notificationScheduler.stopDispatcher();
+  callService.stopTimeoutMonitor();
+  agoraWebhookService.stopAbandonedChannelMonitor();
+  agentSessions.stopMeteringMonitor();
   server.close(() => {
     logger.info('Server closed.');
     process.exit(0);
@@ -1,5 +1,4 @@
 const admin = require('firebase-admin');
-const path = require('path');
 const logger = require('../utils/logger');
 
 // In production, prefer environment variables over files for Firebase config
@@ -58,12 +58,11 @@ const failedRequestTracker = {
 setInterval(() => failedRequestTracker.cleanup(), 3600000);
 
 /**
- * Enhanced security middleware with advanced protection features
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * Build the security middleware
+ * @param {Object} options - { scanBody } where scanBody checks the body for attack patterns
+ * @returns {Function} - Express middleware
  */
-const securityMiddleware = (req, res, next) => {
+const buildSecurityMiddleware = ({ scanBody = true } = {}) => (req, res, next) => {
   try {
     // Check for blacklisted IPs
     const clientIP = req.ip || req.connection.remoteAddress;
@@ -111,7 +110,7 @@ const securityMiddleware = (req, res, next) => {
     }
     
     // Detect potential SQL injection or XSS patterns in request parameters
-    const requestBody = JSON.stringify(req.body).toLowerCase();
+    const requestBody = scanBody ? JSON.stringify(req.body).toLowerCase() : '';
     const requestQuery = JSON.stringify(req.query).toLowerCase();
     const maliciousPatterns = [
       'union select', 'exec(', 'eval(', '<script>', 'javascript:', 'onload=',
@@ -148,4 +147,16 @@ const securityMiddleware = (req, res, next) => {
   }
 };
 
+/**
+ * Enhanced security middleware with advanced protection features
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const securityMiddleware = buildSecurityMiddleware();
+
+// Same checks without the body pattern scan, for bodies of free text that
+// ordinary sentences can match; the query string is still scanned
+securityMiddleware.withoutBodyScan = buildSecurityMiddleware({ scanBody: false });
+
 module.exports = securityMiddleware;
\ No newline at end of file
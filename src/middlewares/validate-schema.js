@@ -1,5 +1,7 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { NOTIFICATION_CONFIG, AGORA_TOKEN_CONFIG, AGORA_AI_CONFIG } = require('../config/constants');
+const { isValidTimeZone } = require('../utils/timezone');
 
 /**
  * Creates a middleware function that validates request data against a schema
@@ -157,7 +159,21 @@ const schemas = {
     body: Joi.string().required(),
     
     // Data can be any type
-    data: Joi.any().optional()
+    data: Joi.any().optional(),
+
+    // Optional delivery time; without an offset it is read in the recipient's time zone
+    // (pattern rather than isoDate() so Joi doesn't normalise local times to UTC)
+    sendAt: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i)
+      .optional()
+      .messages({
+        'string.pattern.base': 'sendAt must be an ISO 8601 date-time'
+      }),
+
+    // Optional IANA time zone overriding the recipient's stored time zone
+    timeZone: Joi.string()
+      .max(64)
+      .optional()
   })
   .custom((value, helpers) => {
     // Ensure at least one of uid or recipientUid is provided
@@ -213,6 +229,149 @@ const schemas = {
   })
   .unknown(true),
 
+  // Schema for sending one FCM notification to many users (for notification.routes.js)
+  sendBatchNotificationSchema: Joi.object({
+    recipientUids: Joi.array()
+      .items(Joi.string().min(1).max(128))
+      .min(1)
+      .max(NOTIFICATION_CONFIG.MAX_BATCH_RECIPIENTS)
+      .required()
+      .messages({
+        'array.min': 'At least one recipient UID is required',
+        'array.max': `At most ${NOTIFICATION_CONFIG.MAX_BATCH_RECIPIENTS} recipients are allowed per batch`,
+        'any.required': 'Recipient UIDs are required'
+      }),
+    title: Joi.string().allow('', null).optional(),
+    body: Joi.string().optional(),
+    data: Joi.object().unknown(true).optional()
+  })
+  .or('body', 'data')
+  .unknown(true),
+
+  // Schema for FCM topic subscriptions (for notification.routes.js)
+  topicSubscriptionSchema: Joi.object({
+    topic: Joi.string()
+      .min(1)
+      .max(900)
+      .pattern(/^[a-zA-Z0-9-_.~%]+$/)
+      .required()
+      .messages({
+        'string.empty': 'Topic cannot be empty',
+        'string.pattern.base': 'Topic can only contain letters, numbers, and -_.~% characters',
+        'any.required': 'Topic is required'
+      }),
+    uid: Joi.string().min(1).max(128).optional()
+  })
+  .unknown(true),
+
+  // Schema for sending FCM notifications to a topic or condition (for notification.routes.js)
+  sendTopicNotificationSchema: Joi.object({
+    topic: Joi.string()
+      .min(1)
+      .max(900)
+      .pattern(/^[a-zA-Z0-9-_.~%]+$/)
+      .messages({
+        'string.pattern.base': 'Topic can only contain letters, numbers, and -_.~% characters'
+      }),
+    condition: Joi.string()
+      .min(1)
+      .max(1024)
+      .pattern(/^[a-zA-Z0-9-_.~%'\s&|!()]+$/)
+      .messages({
+        'string.pattern.base': 'Condition can only contain quoted topic names, "in topics", &&, || and parentheses'
+      }),
+    title: Joi.string().allow('', null).optional(),
+    body: Joi.string().optional(),
+    data: Joi.object().unknown(true).optional()
+  })
+  .xor('topic', 'condition')
+  .or('body', 'data')
+  .unknown(true),
+
+  // Schema for scheduled notification route parameters (for notification.routes.js)
+  scheduledJobParamsSchema: Joi.object({
+    jobId: Joi.string()
+      .min(1)
+      .max(128)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+  }),
+
+  // Schema for notification history query parameters (for notification.routes.js)
+  notificationHistoryQuerySchema: Joi.object({
+    uid: Joi.string().min(1).max(128).optional(),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    before: Joi.date().iso().optional()
+  }),
+
+  // Schema for updating notification preferences (for notification.routes.js)
+  updateNotificationPreferencesSchema: Joi.object({
+    mutedSenders: Joi.array()
+      .items(Joi.string().min(1).max(128))
+      .max(500)
+      .unique()
+      .optional(),
+    mutedCategories: Joi.array()
+      .items(Joi.string().min(1).max(64).pattern(/^[a-zA-Z0-9_-]+$/))
+      .max(50)
+      .unique()
+      .optional(),
+    quietHours: Joi.object({
+      enabled: Joi.boolean().required(),
+      start: Joi.string()
+        .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .required()
+        .messages({ 'string.pattern.base': 'Quiet hours start must be in HH:mm format' }),
+      end: Joi.string()
+        .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .required()
+        .messages({ 'string.pattern.base': 'Quiet hours end must be in HH:mm format' }),
+      timeZone: Joi.string()
+        .max(64)
+        .required()
+        .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+        .messages({ 'any.invalid': 'Quiet hours time zone must be a valid IANA time zone' }),
+      allowCalls: Joi.boolean().default(true)
+    }).optional()
+  })
+  .or('mutedSenders', 'mutedCategories', 'quietHours'),
+
+  // Schema for registering an FCM device (for notification.routes.js)
+  registerDeviceSchema: Joi.object({
+    deviceId: Joi.string()
+      .min(1)
+      .max(128)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+      .messages({
+        'string.empty': 'Device ID cannot be empty',
+        'string.max': 'Device ID must be at most 128 characters long',
+        'string.pattern.base': 'Device ID can only contain letters, numbers, underscores, and hyphens',
+        'any.required': 'Device ID is required'
+      }),
+    token: Joi.string()
+      .min(1)
+      .max(4096)
+      .required()
+      .messages({
+        'string.empty': 'FCM token cannot be empty',
+        'any.required': 'FCM token is required'
+      }),
+    platform: Joi.string()
+      .valid('android', 'ios', 'web')
+      .optional()
+  })
+  .unknown(true),
+
+  // Schema for device id route parameters (for notification.routes.js)
+  deviceIdParamsSchema: Joi.object({
+    deviceId: Joi.string()
+      .min(1)
+      .max(128)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+  }),
+
   // Schema for generating Agora RTC tokens (for agora.routes.js)
   generateAgoraTokenSchema: Joi.object({
     channelId: Joi.string()
@@ -226,12 +385,187 @@ const schemas = {
         'string.max': 'Channel ID must be at most 64 characters long',
         'string.pattern.base': 'Channel ID can only contain letters, numbers, underscores, and hyphens',
         'any.required': 'Channel ID is required'
+      }),
+    includeRtm: Joi.boolean()
+      .optional()
+      .messages({
+        'boolean.base': 'includeRtm must be a boolean'
+      }),
+    role: Joi.string()
+      .valid('publisher', 'subscriber')
+      .default('publisher')
+      .messages({
+        'any.only': 'Role must be either publisher or subscriber'
+      }),
+    listenOnly: Joi.boolean()
+      .optional()
+      .messages({
+        'boolean.base': 'listenOnly must be a boolean'
+      }),
+    callType: Joi.string()
+      .valid(...Object.keys(AGORA_TOKEN_CONFIG.LIFETIME_SECONDS))
+      .optional()
+      .messages({
+        'any.only': `Call type must be one of: ${Object.keys(AGORA_TOKEN_CONFIG.LIFETIME_SECONDS).join(', ')}`
+      })
+  })
+  .unknown(true),
+
+  // Schema for renewing Agora RTC token (for agora.routes.js)
+  renewAgoraTokenSchema: Joi.object({
+    channelId: Joi.string()
+      .min(1)
+      .max(64)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+      .messages({
+        'string.empty': 'Channel ID cannot be empty',
+        'string.max': 'Channel ID must be at most 64 characters long',
+        'string.pattern.base': 'Channel ID can only contain letters, numbers, underscores, and hyphens',
+        'any.required': 'Channel ID is required'
+      }),
+    role: Joi.string()
+      .valid('publisher', 'subscriber')
+      .default('publisher')
+      .messages({
+        'any.only': 'Role must be either publisher or subscriber'
+      })
+  })
+  .unknown(true),
+
+  // Schema for generating Agora RTM token (for agora.routes.js)
+  // RTM tokens are bound to the authenticated user, so no fields are required
+  generateRtmTokenSchema: Joi.object({})
+  .unknown(true),
+
+  // Schema for Agora channel route parameters (for agora.routes.js)
+  agoraChannelParamsSchema: Joi.object({
+    channelId: Joi.string()
+      .min(1)
+      .max(64)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Channel ID can only contain letters, numbers, underscores, and hyphens'
+      }),
+    uid: Joi.string().min(1).max(128).optional()
+  }),
+
+  // Schema for inviting users to an Agora channel (for agora.routes.js)
+  addChannelMembersSchema: Joi.object({
+    uids: Joi.array()
+      .items(Joi.string().min(1).max(128))
+      .min(1)
+      .max(50)
+      .required()
+      .messages({
+        'array.min': 'At least one user is required',
+        'array.max': 'At most 50 users can be invited at once',
+        'any.required': 'uids is required'
+      })
+  })
+  .unknown(true),
+
+  // Schema for promoting a channel member to speaker (for agora.routes.js)
+  addChannelSpeakerSchema: Joi.object({
+    uid: Joi.string()
+      .min(1)
+      .max(128)
+      .required()
+      .messages({
+        'any.required': 'uid is required'
+      })
+  })
+  .unknown(true),
+
+  // Schema for Agora Notifications (NCS) webhook body (for agora.routes.js)
+  agoraWebhookSchema: Joi.object({
+    noticeId: Joi.string().min(1).max(128).required(),
+    productId: Joi.number().integer().optional(),
+    eventType: Joi.number().integer().required(),
+    notifyMs: Joi.number().integer().optional(),
+    payload: Joi.object({
+      channelName: Joi.string().max(64).optional(),
+      uid: Joi.number().integer().min(0).optional(),
+      ts: Joi.number().integer().optional(),
+      clientSeq: Joi.number().integer().optional(),
+      duration: Joi.number().integer().min(0).optional()
+    }).unknown(true).default({})
+  })
+  .unknown(true),
+
+  // Schema for recording consent (for recording.routes.js)
+  recordingConsentSchema: Joi.object({
+    consented: Joi.boolean()
+      .required()
+      .messages({
+        'any.required': 'consented is required'
+      })
+  })
+  .unknown(true),
+
+  // Schema for starting a cloud recording (for recording.routes.js)
+  startRecordingSchema: Joi.object({
+    mode: Joi.string()
+      .valid('mix', 'individual')
+      .optional()
+      .messages({
+        'any.only': 'Recording mode must be either mix or individual'
+      })
+  })
+  .unknown(true),
+
+  // Schema for inviting a user to a call (for call.routes.js)
+  inviteCallSchema: Joi.object({
+    calleeUid: Joi.string()
+      .min(1)
+      .max(128)
+      .required()
+      .messages({
+        'string.empty': 'Callee UID cannot be empty',
+        'any.required': 'Callee UID is required'
+      }),
+    channelId: Joi.string()
+      .min(1)
+      .max(64)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+      .messages({
+        'string.empty': 'Channel ID cannot be empty',
+        'string.max': 'Channel ID must be at most 64 characters long',
+        'string.pattern.base': 'Channel ID can only contain letters, numbers, underscores, and hyphens',
+        'any.required': 'Channel ID is required'
+      }),
+    callName: Joi.string()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Call name is required'
+      }),
+    callerPhoto: Joi.string()
+      .uri({ scheme: ['https', 'http'] })
+      .max(2048)
+      .allow('')
+      .optional()
+      .messages({
+        'string.uri': 'Caller photo must be a valid URL'
       })
   })
   .unknown(true),
 
+  // Schema for call id route parameters (for call.routes.js)
+  callIdParamsSchema: Joi.object({
+    callId: Joi.string()
+      .min(1)
+      .max(128)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+  }),
+
   // Schema for starting AI agent (for ai-agent.routes.js)
   joinAiAgentSchema: Joi.object({
+    // The agent always runs for the authenticated user; older clients still send their uid
     uid: Joi.alternatives()
       .try(
         Joi.string()
@@ -239,10 +573,7 @@ const schemas = {
           .max(128),
         Joi.number()
       )
-      .required()
-      .messages({
-        'any.required': 'UID is required'
-      }),
+      .optional(),
     channelName: Joi.string()
       .min(1)
       .max(64)
@@ -254,6 +585,14 @@ const schemas = {
         'string.max': 'Channel name must be at most 64 characters long',
         'string.pattern.base': 'Channel name can only contain letters, numbers, underscores, and hyphens',
         'any.required': 'Channel name is required'
+      }),
+    persona: Joi.string()
+      .min(1)
+      .max(64)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Persona can only contain letters, numbers, underscores, and hyphens'
       })
   })
   .unknown(true),
@@ -271,7 +610,101 @@ const schemas = {
         'any.required': 'Agent ID is required'
       })
   })
-  .unknown(true)
+  .unknown(true),
+
+  // Schema for listing AI agent sessions (for ai-agent.routes.js)
+  listAiAgentSessionsQuerySchema: Joi.object({
+    status: Joi.string().valid('running', 'stopped').optional(),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  // Schema for LLM provider route parameters (for ai-agent.routes.js)
+  llmProviderParamsSchema: Joi.object({
+    provider: Joi.string()
+      .valid('gemini', 'openai', 'azure_openai', 'custom')
+      .required()
+      .messages({
+        'any.only': 'Provider must be one of gemini, openai, azure_openai or custom'
+      })
+  }),
+
+  // Schema for marking an LLM provider healthy or unhealthy (for ai-agent.routes.js)
+  updateLlmProviderHealthSchema: Joi.object({
+    healthy: Joi.boolean()
+      .required()
+      .messages({
+        'any.required': 'healthy is required'
+      }),
+    reason: Joi.string().max(500).optional(),
+    durationMinutes: Joi.number().integer().min(1).max(7 * 24 * 60).optional()
+  })
+  .unknown(true),
+
+  // Schema for persona prompt route parameters (for ai-agent.routes.js)
+  aiAgentPromptParamsSchema: Joi.object({
+    persona: Joi.string()
+      .min(1)
+      .max(64)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Persona can only contain letters, numbers, underscores, and hyphens'
+      })
+  }),
+
+  // Schema for listing persona prompt versions (for ai-agent.routes.js)
+  listAiAgentPromptsQuerySchema: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  // Schema for publishing a persona prompt version (for ai-agent.routes.js)
+  publishAiAgentPromptSchema: Joi.object({
+    content: Joi.string()
+      .trim()
+      .min(1)
+      .max(AGORA_AI_CONFIG.PROMPTS.MAX_LENGTH)
+      .required()
+      .messages({
+        'string.empty': 'Prompt content cannot be empty',
+        'string.max': `Prompt content must be at most ${AGORA_AI_CONFIG.PROMPTS.MAX_LENGTH} characters long`,
+        'any.required': 'Prompt content is required'
+      }),
+    note: Joi.string().max(500).optional()
+  })
+  .unknown(true),
+
+  // Schema for AI agent id route parameters (for ai-agent.routes.js)
+  aiAgentIdParamsSchema: Joi.object({
+    agentId: Joi.string()
+      .min(1)
+      .max(256)
+      .required()
+  }),
+
+  // Schema for a remembered fact (for ai-agent.routes.js)
+  aiAgentMemoryFactSchema: Joi.object({
+    text: Joi.string()
+      .trim()
+      .min(1)
+      .max(AGORA_AI_CONFIG.MEMORY.MAX_FACT_LENGTH)
+      .required()
+      .messages({
+        'string.empty': 'Fact text cannot be empty',
+        'string.max': `Fact text must be at most ${AGORA_AI_CONFIG.MEMORY.MAX_FACT_LENGTH} characters long`,
+        'any.required': 'Fact text is required'
+      })
+  })
+  .unknown(true),
+
+  // Schema for remembered fact route parameters (for ai-agent.routes.js)
+  aiAgentMemoryFactParamsSchema: Joi.object({
+    factId: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .required()
+      .messages({
+        'string.guid': 'Invalid fact ID'
+      })
+  })
 };
 
 module.exports = {
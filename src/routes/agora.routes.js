@@ -1,7 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
-const { generateAgoraToken } = require('../controllers/agora.controller');
+const {
+  generateAgoraToken,
+  renewAgoraToken,
+  generateRtmToken,
+  getChannel,
+  addChannelMembers,
+  removeChannelMember,
+  addChannelSpeaker,
+  removeChannelSpeaker,
+  promoteToSpeaker
+} = require('../controllers/agora.controller');
+const { handleAgoraWebhook } = require('../controllers/agora-webhook.controller');
 const securityMiddleware = require('../middlewares/security.middleware');
 const firebaseAuthMiddleware = require('../middlewares/firebase-auth.middleware');
 const apiKeyAuth = require('../middlewares/api-key-auth');
@@ -12,6 +23,10 @@ const { SECURITY_CONFIG } = require('../config/constants');
 // Constants for rate limiting configurations
 const AGORA_TOKEN_RATE_LIMIT = 50;              // 50 token generations per hour
 const AGORA_TOKEN_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const AGORA_RENEW_RATE_LIMIT = 120;             // 120 token renewals per hour
+const AGORA_RENEW_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const AGORA_WEBHOOK_RATE_LIMIT = 3000;           // 3000 notifications per minute from Agora
+const AGORA_WEBHOOK_RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
 
 /**
  * Request timeout middleware
@@ -69,6 +84,53 @@ const agoraTokenRateLimiter = rateLimit({
   }
 });
 
+/**
+ * Rate limiting for Agora token renewal
+ * Separate from generation so long calls renewing tokens don't exhaust it
+ */
+const agoraRenewRateLimiter = rateLimit({
+  windowMs: AGORA_RENEW_RATE_LIMIT_WINDOW_MS,
+  max: AGORA_RENEW_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  message: {
+    success: false,
+    message: 'Too many token renewal requests from this IP, please try again later.'
+  },
+  handler: (req, res, _, options) => {
+    logger.warn(`Rate limit exceeded for Agora token renewal: ${req.ip}`, {
+      endpoint: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
+/**
+ * Rate limiting for Agora Notifications (NCS) webhooks
+ * Agora delivers every channel event from a small set of IPs, so the limit is generous
+ */
+const agoraWebhookRateLimiter = rateLimit({
+  windowMs: AGORA_WEBHOOK_RATE_LIMIT_WINDOW_MS,
+  max: AGORA_WEBHOOK_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  message: {
+    success: false,
+    message: 'Too many webhook requests, please try again later.'
+  },
+  handler: (req, res, _, options) => {
+    logger.warn(`Rate limit exceeded for Agora webhooks: ${req.ip}`, {
+      endpoint: req.originalUrl,
+      ip: req.ip
+    });
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
 /**
  * Request tracking middleware
  */
@@ -114,6 +176,24 @@ const responseTrackingMiddleware = (req, res, next) => {
   next();
 };
 
+/**
+ * Receive Agora Notifications (NCS) channel and user events
+ * POST /api/agora/webhooks
+ * Authenticated by the Agora signature header, not the API key or Firebase auth.
+ * Registered ahead of the security middleware: agent_history bodies carry raw
+ * conversations that its attack patterns would reject, and the rejections would
+ * get Agora's addresses blacklisted.
+ */
+router.post(
+  '/webhooks',
+  requestTimeout,
+  agoraWebhookRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraWebhookSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  handleAgoraWebhook,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
 // Apply middlewares to all routes
 router.use(securityMiddleware);
 router.use(requestTimeout);
@@ -122,6 +202,11 @@ router.use(requestTimeout);
  * Generate Agora RTC token for video calling
  * POST /api/agora/generate-token
  * Expects: { "channelId": "channel-name" }
+ * Optional: "includeRtm": true to also return an RTM token for the user
+ * Optional: "role": "publisher" (default) or "subscriber" for audience members
+ * Optional: "listenOnly": true when creating a room where only the host and promoted speakers publish
+ * Optional: "callType": "call", "group", "room" or "ai_agent" when creating the channel; decides token lifetime
+ * The first user to request a token for a channel owns it; others must be invited
  */
 router.post(
   '/generate-token',
@@ -134,4 +219,131 @@ router.post(
   responseTrackingMiddleware  // Response time tracking
 );
 
+/**
+ * Renew Agora RTC token for the same channel and UID
+ * POST /api/agora/renew-token
+ * Expects: { "channelId": "channel-name", "role": "publisher" | "subscriber" }
+ * Call from Agora's onTokenPrivilegeWillExpire callback and pass the token to renewToken
+ */
+router.post(
+  '/renew-token',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  agoraRenewRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.renewAgoraTokenSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  renewAgoraToken,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Generate Agora RTM token for chat and presence
+ * POST /api/agora/generate-rtm-token
+ * Expects: {} - the RTM user id is the authenticated Firebase UID
+ */
+router.post(
+  '/generate-rtm-token',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  agoraTokenRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.generateRtmTokenSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  generateRtmToken,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Get the members of an Agora channel with their Agora UIDs
+ * GET /api/agora/channels/:channelId
+ */
+router.get(
+  '/channels/:channelId',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  agoraTokenRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  getChannel,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Invite users to an Agora channel
+ * POST /api/agora/channels/:channelId/members
+ * Expects: { "uids": ["firebase-uid"] }
+ */
+router.post(
+  '/channels/:channelId/members',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  agoraTokenRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  validateSchema(schemas.addChannelMembersSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  addChannelMembers,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Remove a member from an Agora channel (owner, or the member leaving)
+ * DELETE /api/agora/channels/:channelId/members/:uid
+ */
+router.delete(
+  '/channels/:channelId/members/:uid',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  agoraTokenRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  removeChannelMember,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Allow a member to speak in a listen-only channel (host only)
+ * POST /api/agora/channels/:channelId/speakers
+ * Expects: { "uid": "firebase-uid" }
+ */
+router.post(
+  '/channels/:channelId/speakers',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  agoraTokenRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  validateSchema(schemas.addChannelSpeakerSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  addChannelSpeaker,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Return a speaker to the audience (host, or the speaker stepping down)
+ * DELETE /api/agora/channels/:channelId/speakers/:uid
+ */
+router.delete(
+  '/channels/:channelId/speakers/:uid',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  agoraTokenRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  removeChannelSpeaker,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Exchange an audience token for a publisher token once the host has promoted the user
+ * POST /api/agora/channels/:channelId/promote
+ */
+router.post(
+  '/channels/:channelId/promote',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  agoraTokenRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  promoteToSpeaker,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
 module.exports = router;
@@ -1,8 +1,27 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { joinAgent, stopAgent } = require('../controllers/ai-agent.controller');
+const {
+  joinAgent,
+  stopAgent,
+  listSessions,
+  getAgent,
+  getTranscript,
+  deleteTranscript,
+  deleteTranscripts,
+  getMemory,
+  addMemoryFact,
+  updateMemoryFact,
+  deleteMemoryFact,
+  clearMemory,
+  listPersonas,
+  listLlmProviders,
+  updateLlmProviderHealth,
+  listPromptVersions,
+  publishPromptVersion
+} = require('../controllers/ai-agent.controller');
 const securityMiddleware = require('../middlewares/security.middleware');
 const apiKeyAuth = require('../middlewares/api-key-auth');
+const firebaseAuthMiddleware = require('../middlewares/firebase-auth.middleware');
 const { validateSchema, schemas } = require('../middlewares/validate-schema');
 const sanitizeInput = require('../middlewares/sanitize-input');
 const logger = require('../utils/logger');
@@ -10,9 +29,16 @@ const { SECURITY_CONFIG } = require('../config/constants');
 
 const router = express.Router();
 
+// Remembered facts and persona prompts reach the LLM verbatim. Their bodies skip
+// sanitizeInput, whose HTML escaping would garble them, and the body scan of the
+// security middleware, whose attack patterns ordinary text can match ("-->", "drop table")
+const verbatimBodySecurity = securityMiddleware.withoutBodyScan;
+
 // Constants for rate limiting configurations
 const AI_AGENT_RATE_LIMIT = 20;                // 20 AI agent operations per hour
 const AI_AGENT_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const AI_AGENT_STATUS_RATE_LIMIT = 300;        // 300 session/status lookups per hour
+const AI_AGENT_STATUS_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
 
 /**
  * Request timeout middleware
@@ -73,16 +99,43 @@ const aiAgentRateLimit = rateLimit({
   }
 });
 
+/**
+ * Rate limiting for AI agent session and status lookups
+ */
+const aiAgentStatusRateLimit = rateLimit({
+  windowMs: AI_AGENT_STATUS_RATE_LIMIT_WINDOW_MS,
+  max: AI_AGENT_STATUS_RATE_LIMIT,
+  message: {
+    success: false,
+    message: `Too many AI agent status requests. Maximum ${AI_AGENT_STATUS_RATE_LIMIT} requests per hour allowed.`
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`AI Agent status rate limit exceeded for IP: ${req.ip}`, {
+      ip: req.ip,
+      path: req.originalUrl,
+      userAgent: req.get('User-Agent')
+    });
+    
+    res.status(429).json({
+      success: false,
+      message: `Too many AI agent status requests. Maximum ${AI_AGENT_STATUS_RATE_LIMIT} requests per hour allowed.`
+    });
+  }
+});
+
 /**
  * @route   POST /api/ai-agent/join
- * @desc    Start a conversational AI agent using Agora API with Microsoft TTS and Gemini LLM
- * @access  Protected (API Key required)
- * @body    {uid: string, channelName: string}
+ * @desc    Start a conversational AI agent for the authenticated user using Agora API with the selected TTS vendor and LLM provider
+ * @access  Protected (API Key and Firebase authentication required)
+ * @body    {channelName: string, persona?: string, uid?: string (must match the authenticated user)}
  */
 router.post('/join', 
   requestTimeout,
   securityMiddleware,
   apiKeyAuth,
+  firebaseAuthMiddleware,
   aiAgentRateLimit,
   sanitizeInput,
   validateSchema(schemas.joinAiAgentSchema),
@@ -91,18 +144,249 @@ router.post('/join',
 
 /**
  * @route   POST /api/ai-agent/stop
- * @desc    Stop a conversational AI agent using Agora API
- * @access  Protected (API Key required)
+ * @desc    Stop a conversational AI agent using Agora API and deduct the time it used
+ * @access  Protected (API Key and Firebase authentication required, owner only)
  * @body    {agentId: string}
  */
 router.post('/stop',
   requestTimeout,
   securityMiddleware,
   apiKeyAuth,
+  firebaseAuthMiddleware,
   aiAgentRateLimit,
   sanitizeInput,
   validateSchema(schemas.stopAiAgentSchema),
   stopAgent
 );
 
+/**
+ * @route   GET /api/ai-agent/sessions
+ * @desc    List the authenticated user's AI agent sessions, newest first
+ * @access  Protected (API Key and Firebase authentication required)
+ * @query   {status?: 'running'|'stopped', limit?: number}
+ */
+router.get('/sessions',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  validateSchema(schemas.listAiAgentSessionsQuerySchema, 'query'),
+  listSessions
+);
+
+/**
+ * @route   GET /api/ai-agent/sessions/:agentId/transcript
+ * @desc    Get the conversation transcript of an AI agent session
+ * @access  Protected (API Key and Firebase authentication required, owner only)
+ */
+router.get('/sessions/:agentId/transcript',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  validateSchema(schemas.aiAgentIdParamsSchema, 'params'),
+  getTranscript
+);
+
+/**
+ * @route   DELETE /api/ai-agent/sessions/:agentId/transcript
+ * @desc    Delete the conversation transcript of one of the user's AI agent sessions
+ * @access  Protected (API Key and Firebase authentication required, owner only)
+ */
+router.delete('/sessions/:agentId/transcript',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentRateLimit,
+  validateSchema(schemas.aiAgentIdParamsSchema, 'params'),
+  deleteTranscript
+);
+
+/**
+ * @route   DELETE /api/ai-agent/transcripts
+ * @desc    Delete every conversation transcript of the authenticated user
+ * @access  Protected (API Key and Firebase authentication required)
+ */
+router.delete('/transcripts',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentRateLimit,
+  deleteTranscripts
+);
+
+/**
+ * @route   GET /api/ai-agent/memory
+ * @desc    List the facts the AI agent remembers about the authenticated user
+ * @access  Protected (API Key and Firebase authentication required)
+ */
+router.get('/memory',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  getMemory
+);
+
+/**
+ * @route   POST /api/ai-agent/memory
+ * @desc    Add a fact for the AI agent to remember in future sessions
+ * @access  Protected (API Key and Firebase authentication required)
+ * @body    {text: string}
+ */
+router.post('/memory',
+  requestTimeout,
+  verbatimBodySecurity,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  validateSchema(schemas.aiAgentMemoryFactSchema),
+  addMemoryFact
+);
+
+/**
+ * @route   PUT /api/ai-agent/memory/:factId
+ * @desc    Change a remembered fact
+ * @access  Protected (API Key and Firebase authentication required)
+ * @body    {text: string}
+ */
+router.put('/memory/:factId',
+  requestTimeout,
+  verbatimBodySecurity,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  validateSchema(schemas.aiAgentMemoryFactParamsSchema, 'params'),
+  validateSchema(schemas.aiAgentMemoryFactSchema),
+  updateMemoryFact
+);
+
+/**
+ * @route   DELETE /api/ai-agent/memory/:factId
+ * @desc    Forget one remembered fact
+ * @access  Protected (API Key and Firebase authentication required)
+ */
+router.delete('/memory/:factId',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  validateSchema(schemas.aiAgentMemoryFactParamsSchema, 'params'),
+  deleteMemoryFact
+);
+
+/**
+ * @route   DELETE /api/ai-agent/memory
+ * @desc    Forget everything the AI agent remembers about the authenticated user
+ * @access  Protected (API Key and Firebase authentication required)
+ */
+router.delete('/memory',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  clearMemory
+);
+
+/**
+ * @route   GET /api/ai-agent/personas
+ * @desc    List the personas that can be selected on join
+ * @access  Protected (API Key required)
+ */
+router.get('/personas',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  aiAgentStatusRateLimit,
+  listPersonas
+);
+
+/**
+ * @route   GET /api/ai-agent/llm-providers
+ * @desc    List LLM providers with their configuration state and health
+ * @access  Protected (API Key and Firebase authentication required, admin only)
+ */
+router.get('/llm-providers',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  listLlmProviders
+);
+
+/**
+ * @route   PUT /api/ai-agent/llm-providers/:provider/health
+ * @desc    Mark an LLM provider healthy or unhealthy; new agents fall back while the primary is unhealthy
+ * @access  Protected (API Key and Firebase authentication required, admin only)
+ * @body    {healthy: boolean, reason?: string, durationMinutes?: number}
+ */
+router.put('/llm-providers/:provider/health',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  sanitizeInput,
+  validateSchema(schemas.llmProviderParamsSchema, 'params'),
+  validateSchema(schemas.updateLlmProviderHealthSchema),
+  updateLlmProviderHealth
+);
+
+/**
+ * @route   GET /api/ai-agent/prompts/:persona
+ * @desc    List a persona's prompt versions and the one new agents use
+ * @access  Protected (API Key and Firebase authentication required, admin only)
+ * @query   {limit?: number}
+ */
+router.get('/prompts/:persona',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  validateSchema(schemas.aiAgentPromptParamsSchema, 'params'),
+  validateSchema(schemas.listAiAgentPromptsQuerySchema, 'query'),
+  listPromptVersions
+);
+
+/**
+ * @route   POST /api/ai-agent/prompts/:persona
+ * @desc    Publish a new prompt version for a persona; new agents use it without a redeploy
+ * @access  Protected (API Key and Firebase authentication required, admin only)
+ * @body    {content: string, note?: string}
+ */
+router.post('/prompts/:persona',
+  requestTimeout,
+  verbatimBodySecurity,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  validateSchema(schemas.aiAgentPromptParamsSchema, 'params'),
+  validateSchema(schemas.publishAiAgentPromptSchema),
+  publishPromptVersion
+);
+
+/**
+ * @route   GET /api/ai-agent/:agentId
+ * @desc    Get an AI agent session with its live status from Agora
+ * @access  Protected (API Key and Firebase authentication required, owner only)
+ */
+router.get('/:agentId',
+  requestTimeout,
+  securityMiddleware,
+  apiKeyAuth,
+  firebaseAuthMiddleware,
+  aiAgentStatusRateLimit,
+  validateSchema(schemas.aiAgentIdParamsSchema, 'params'),
+  getAgent
+);
+
 module.exports = router;
\ No newline at end of file
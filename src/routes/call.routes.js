@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { inviteCall, acceptCall, declineCall, cancelCall, getCall } = require('../controllers/call.controller');
+const securityMiddleware = require('../middlewares/security.middleware');
+const firebaseAuthMiddleware = require('../middlewares/firebase-auth.middleware');
+const apiKeyAuth = require('../middlewares/api-key-auth');
+const logger = require('../utils/logger');
+const { validateSchema, schemas } = require('../middlewares/validate-schema');
+const { SECURITY_CONFIG } = require('../config/constants');
+
+// Constants for rate limiting configurations
+const CALL_INVITE_RATE_LIMIT = 50;               // 50 call invites per hour
+const CALL_INVITE_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const CALL_UPDATE_RATE_LIMIT = 200;              // 200 accept/decline/cancel/status requests per hour
+const CALL_UPDATE_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Request timeout middleware
+ */
+const requestTimeout = (req, res, next) => {
+  const timeoutMs = SECURITY_CONFIG.REQUEST_TIMEOUT_MS;
+
+  const timeoutId = setTimeout(() => {
+    const path = req.originalUrl || req.url;
+    logger.warn(`Request timeout after ${timeoutMs}ms for ${path}`, {
+      path,
+      method: req.method,
+      ip: req.ip
+    });
+
+    if (!res.headersSent) {
+      res.status(408).json({
+        success: false,
+        message: 'Request timeout'
+      });
+    }
+  }, timeoutMs);
+
+  res.on('finish', () => {
+    clearTimeout(timeoutId);
+  });
+
+  res.on('close', () => {
+    clearTimeout(timeoutId);
+  });
+
+  next();
+};
+
+/**
+ * Rate limiting for call invites
+ */
+const callInviteRateLimiter = rateLimit({
+  windowMs: CALL_INVITE_RATE_LIMIT_WINDOW_MS,
+  max: CALL_INVITE_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  message: {
+    success: false,
+    message: 'Too many call invites from this IP, please try again later.'
+  },
+  handler: (req, res, _, options) => {
+    logger.warn(`Rate limit exceeded for call invites: ${req.ip}`, {
+      endpoint: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
+/**
+ * Rate limiting for call state changes and lookups
+ */
+const callUpdateRateLimiter = rateLimit({
+  windowMs: CALL_UPDATE_RATE_LIMIT_WINDOW_MS,
+  max: CALL_UPDATE_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  message: {
+    success: false,
+    message: 'Too many call requests from this IP, please try again later.'
+  },
+  handler: (req, res, _, options) => {
+    logger.warn(`Rate limit exceeded for call updates: ${req.ip}`, {
+      endpoint: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
+/**
+ * Request tracking middleware
+ */
+const requestTrackingMiddleware = (req, res, next) => {
+  req.startTime = Date.now();
+  req.requestId = req.headers['x-request-id'] ||
+                 `call-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  logger.info(`Call request started`, {
+    requestId: req.requestId,
+    path: req.originalUrl,
+    method: req.method,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  next();
+};
+
+/**
+ * Response time tracking middleware
+ */
+const responseTrackingMiddleware = (req, res, next) => {
+  const responseTime = Date.now() - req.startTime;
+
+  logger.info(`Call request completed`, {
+    requestId: req.requestId,
+    path: req.originalUrl,
+    method: req.method,
+    responseTime,
+    statusCode: res.statusCode
+  });
+
+  if (responseTime > 3000) {
+    logger.warn(`Slow call request detected`, {
+      requestId: req.requestId,
+      path: req.originalUrl,
+      method: req.method,
+      responseTime
+    });
+  }
+
+  next();
+};
+
+// Apply middlewares to all routes
+router.use(securityMiddleware);
+router.use(requestTimeout);
+
+/**
+ * Invite a user to a call
+ * POST /api/calls/invite
+ * Expects: { "calleeUid": "firebase-uid", "channelId": "channel-name", "callName": "Caller name", "callerPhoto": "https://..." }
+ */
+router.post(
+  '/invite',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  callInviteRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.inviteCallSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  inviteCall,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Get the current state of a call
+ * GET /api/calls/:callId
+ */
+router.get(
+  '/:callId',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  callUpdateRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.callIdParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  getCall,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Accept a ringing call (callee only)
+ * POST /api/calls/:callId/accept
+ */
+router.post(
+  '/:callId/accept',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  callUpdateRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.callIdParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  acceptCall,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Decline a ringing call (callee only)
+ * POST /api/calls/:callId/decline
+ */
+router.post(
+  '/:callId/decline',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  callUpdateRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.callIdParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  declineCall,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Cancel a call invite before it is answered (caller only)
+ * POST /api/calls/:callId/cancel
+ */
+router.post(
+  '/:callId/cancel',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  callUpdateRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.callIdParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  cancelCall,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+module.exports = router;
@@ -1,19 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
-const { sendNotification, sendDataOnlyNotification } = require('../controllers/notification.controller');
+const {
+  sendNotification,
+  sendDataOnlyNotification,
+  sendBatchNotification,
+  subscribeToTopic,
+  unsubscribeFromTopic,
+  sendTopicNotification,
+  listScheduledNotifications,
+  cancelScheduledNotification,
+  getNotificationHistory
+} = require('../controllers/notification.controller');
+const { registerDevice, unregisterDevice, listDevices } = require('../controllers/device.controller');
+const { getPreferences, updatePreferences, resetPreferences } = require('../controllers/notification-preferences.controller');
 const securityMiddleware = require('../middlewares/security.middleware');
 const firebaseAuthMiddleware = require('../middlewares/firebase-auth.middleware');
 const apiKeyAuth = require('../middlewares/api-key-auth');
 const logger = require('../utils/logger');
 const { validateSchema, schemas } = require('../middlewares/validate-schema');
-const { SECURITY_CONFIG, RATE_LIMITING } = require('../config/constants');
+const { SECURITY_CONFIG } = require('../config/constants');
 
 // Constants for rate limiting configurations
 const DEFAULT_NOTIFICATION_RATE_LIMIT = 100;       // 100 notifications per hour
 const NOTIFICATION_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
 const HIGH_PRIORITY_RATE_LIMIT = 50;               // 50 high-priority notifications per hour
 const HIGH_PRIORITY_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const BATCH_NOTIFICATION_RATE_LIMIT = 30;          // 30 batch sends per hour
+const BATCH_NOTIFICATION_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
 
 /**
  * Request timeout middleware - ensures requests don't hang indefinitely
@@ -99,6 +113,30 @@ const highPriorityRateLimiter = rateLimit({
   }
 });
 
+/**
+ * Rate limiting for batch notifications
+ * Separate from the single-send limiter so one group alert costs one request
+ */
+const batchNotificationRateLimiter = rateLimit({
+  windowMs: BATCH_NOTIFICATION_RATE_LIMIT_WINDOW_MS,
+  max: BATCH_NOTIFICATION_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  message: {
+    success: false,
+    message: 'Too many batch notification requests from this IP, please try again later.'
+  },
+  handler: (req, res, _, options) => {
+    logger.warn(`Rate limit exceeded for batch notifications: ${req.ip}`, {
+      endpoint: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
 /**
  * Request tracking middleware for monitoring and debugging
  */
@@ -157,6 +195,7 @@ router.use(requestTimeout);
  * Send a standard FCM notification with title and body
  * POST /api/notifications/send
  * Expects: { "uid" or "recipientUid": "firebase-uid", "title": "notification title", "body": "notification body", "data": { optional data object } }
+ * Optional: "sendAt" (ISO 8601, local times use the recipient's time zone) and "timeZone" to schedule delivery
  */
 router.post(
   '/send',
@@ -185,4 +224,203 @@ router.post(
   responseTrackingMiddleware  // Response time tracking
 );
 
+/**
+ * Send the same FCM notification to many users
+ * POST /api/notifications/send-batch
+ * Expects: { "recipientUids": ["firebase-uid", ...], "title": "optional title", "body": "notification body", "data": { optional data object } }
+ */
+router.post(
+  '/send-batch',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  batchNotificationRateLimiter,  // Apply batch rate limiting
+  validateSchema(schemas.sendBatchNotificationSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  sendBatchNotification,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Get notification history for the authenticated user
+ * GET /api/notifications/history?limit=20&before=ISO-timestamp
+ * Admins may pass ?uid= to look up another user
+ */
+router.get(
+  '/history',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.notificationHistoryQuerySchema, 'query'),  // Validate query string
+  requestTrackingMiddleware,  // Add request tracking
+  getNotificationHistory,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * List pending scheduled notifications created by the authenticated user
+ * GET /api/notifications/scheduled
+ */
+router.get(
+  '/scheduled',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  requestTrackingMiddleware,  // Add request tracking
+  listScheduledNotifications,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Cancel a pending scheduled notification
+ * DELETE /api/notifications/scheduled/:jobId
+ */
+router.delete(
+  '/scheduled/:jobId',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.scheduledJobParamsSchema, 'params'),  // Validate route params
+  requestTrackingMiddleware,  // Add request tracking
+  cancelScheduledNotification,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Send an FCM notification to a topic or topic condition (admin only)
+ * POST /api/notifications/send-topic
+ * Expects: { "topic": "announcements" } or { "condition": "'news' in topics && 'in' in topics" }, plus "title", "body", "data"
+ */
+router.post(
+  '/send-topic',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  batchNotificationRateLimiter,  // Apply batch rate limiting
+  validateSchema(schemas.sendTopicNotificationSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  sendTopicNotification,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Subscribe the user's devices to an FCM topic
+ * POST /api/notifications/topics/subscribe
+ * Expects: { "topic": "topic-name", "uid": "optional firebase-uid (admin only)" }
+ */
+router.post(
+  '/topics/subscribe',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.topicSubscriptionSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  subscribeToTopic,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Unsubscribe the user's devices from an FCM topic
+ * POST /api/notifications/topics/unsubscribe
+ * Expects: { "topic": "topic-name", "uid": "optional firebase-uid (admin only)" }
+ */
+router.post(
+  '/topics/unsubscribe',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.topicSubscriptionSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  unsubscribeFromTopic,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Get the authenticated user's notification preferences
+ * GET /api/notifications/preferences
+ */
+router.get(
+  '/preferences',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  requestTrackingMiddleware,  // Add request tracking
+  getPreferences,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Update the authenticated user's notification preferences
+ * PUT /api/notifications/preferences
+ * Expects any of: { "mutedSenders": ["uid"], "mutedCategories": ["chat"],
+ *   "quietHours": { "enabled": true, "start": "22:00", "end": "07:00", "timeZone": "Asia/Kolkata", "allowCalls": true } }
+ */
+router.put(
+  '/preferences',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.updateNotificationPreferencesSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  updatePreferences,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Reset the authenticated user's notification preferences to the defaults
+ * DELETE /api/notifications/preferences
+ */
+router.delete(
+  '/preferences',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  requestTrackingMiddleware,  // Add request tracking
+  resetPreferences,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Register or refresh an FCM device for the authenticated user
+ * POST /api/notifications/devices
+ * Expects: { "deviceId": "stable-device-id", "token": "fcm-token", "platform": "android" | "ios" | "web" }
+ */
+router.post(
+  '/devices',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.registerDeviceSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  registerDevice,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * List the FCM devices registered for the authenticated user
+ * GET /api/notifications/devices
+ */
+router.get(
+  '/devices',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  requestTrackingMiddleware,  // Add request tracking
+  listDevices,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Remove an FCM device from the authenticated user's registry
+ * DELETE /api/notifications/devices/:deviceId
+ */
+router.delete(
+  '/devices/:deviceId',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  notificationRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.deviceIdParamsSchema, 'params'),  // Validate route params
+  requestTrackingMiddleware,  // Add request tracking
+  unregisterDevice,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
 module.exports = router;
\ No newline at end of file
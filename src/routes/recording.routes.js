@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { setRecordingConsent, startRecording, getRecording, stopRecording } = require('../controllers/recording.controller');
+const securityMiddleware = require('../middlewares/security.middleware');
+const firebaseAuthMiddleware = require('../middlewares/firebase-auth.middleware');
+const apiKeyAuth = require('../middlewares/api-key-auth');
+const logger = require('../utils/logger');
+const { validateSchema, schemas } = require('../middlewares/validate-schema');
+const { SECURITY_CONFIG } = require('../config/constants');
+
+// Constants for rate limiting configurations
+const RECORDING_CONTROL_RATE_LIMIT = 30;         // 30 recording starts/stops per hour
+const RECORDING_CONTROL_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const RECORDING_STATUS_RATE_LIMIT = 200;         // 200 consent/status requests per hour
+const RECORDING_STATUS_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Request timeout middleware
+ */
+const requestTimeout = (req, res, next) => {
+  const timeoutMs = SECURITY_CONFIG.REQUEST_TIMEOUT_MS;
+
+  const timeoutId = setTimeout(() => {
+    const path = req.originalUrl || req.url;
+    logger.warn(`Request timeout after ${timeoutMs}ms for ${path}`, {
+      path,
+      method: req.method,
+      ip: req.ip
+    });
+
+    if (!res.headersSent) {
+      res.status(408).json({
+        success: false,
+        message: 'Request timeout'
+      });
+    }
+  }, timeoutMs);
+
+  res.on('finish', () => {
+    clearTimeout(timeoutId);
+  });
+
+  res.on('close', () => {
+    clearTimeout(timeoutId);
+  });
+
+  next();
+};
+
+/**
+ * Rate limiting for starting and stopping recordings
+ */
+const recordingControlRateLimiter = rateLimit({
+  windowMs: RECORDING_CONTROL_RATE_LIMIT_WINDOW_MS,
+  max: RECORDING_CONTROL_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  message: {
+    success: false,
+    message: 'Too many recording requests from this IP, please try again later.'
+  },
+  handler: (req, res, _, options) => {
+    logger.warn(`Rate limit exceeded for recording control: ${req.ip}`, {
+      endpoint: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
+/**
+ * Rate limiting for consent changes and status lookups
+ */
+const recordingStatusRateLimiter = rateLimit({
+  windowMs: RECORDING_STATUS_RATE_LIMIT_WINDOW_MS,
+  max: RECORDING_STATUS_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  message: {
+    success: false,
+    message: 'Too many recording status requests from this IP, please try again later.'
+  },
+  handler: (req, res, _, options) => {
+    logger.warn(`Rate limit exceeded for recording status: ${req.ip}`, {
+      endpoint: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
+/**
+ * Request tracking middleware
+ */
+const requestTrackingMiddleware = (req, res, next) => {
+  req.startTime = Date.now();
+  req.requestId = req.headers['x-request-id'] ||
+                 `recording-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  logger.info(`Recording request started`, {
+    requestId: req.requestId,
+    path: req.originalUrl,
+    method: req.method,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  next();
+};
+
+/**
+ * Response time tracking middleware
+ */
+const responseTrackingMiddleware = (req, res, next) => {
+  const responseTime = Date.now() - req.startTime;
+
+  logger.info(`Recording request completed`, {
+    requestId: req.requestId,
+    path: req.originalUrl,
+    method: req.method,
+    responseTime,
+    statusCode: res.statusCode
+  });
+
+  if (responseTime > 3000) {
+    logger.warn(`Slow recording request detected`, {
+      requestId: req.requestId,
+      path: req.originalUrl,
+      method: req.method,
+      responseTime
+    });
+  }
+
+  next();
+};
+
+// Apply middlewares to all routes
+router.use(securityMiddleware);
+router.use(requestTimeout);
+
+/**
+ * Get the recording state and consents of a channel
+ * GET /api/recordings/:channelId
+ */
+router.get(
+  '/:channelId',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  recordingStatusRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  getRecording,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Opt in to or out of recording a channel (withdrawing stops a running recording)
+ * PUT /api/recordings/:channelId/consent
+ * Expects: { "consented": true }
+ */
+router.put(
+  '/:channelId/consent',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  recordingStatusRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  validateSchema(schemas.recordingConsentSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  setRecordingConsent,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Start recording a channel once every member has consented
+ * POST /api/recordings/:channelId/start
+ * Expects: { "mode": "mix" | "individual" } (optional, defaults to mix)
+ */
+router.post(
+  '/:channelId/start',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  recordingControlRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  validateSchema(schemas.startRecordingSchema),  // Validate request body
+  requestTrackingMiddleware,  // Add request tracking
+  startRecording,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+/**
+ * Stop recording a channel
+ * POST /api/recordings/:channelId/stop
+ */
+router.post(
+  '/:channelId/stop',
+  apiKeyAuth,  // Verify the API key
+  firebaseAuthMiddleware,  // Verify Firebase authentication
+  recordingControlRateLimiter,  // Apply rate limiting
+  validateSchema(schemas.agoraChannelParamsSchema, 'params'),  // Validate route parameters
+  requestTrackingMiddleware,  // Add request tracking
+  stopRecording,  // Controller function
+  responseTrackingMiddleware  // Response time tracking
+);
+
+module.exports = router;
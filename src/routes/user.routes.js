@@ -7,13 +7,11 @@ const firebaseAuthMiddleware = require('../middlewares/firebase-auth.middleware'
 const apiKeyAuth = require('../middlewares/api-key-auth');
 const logger = require('../utils/logger');
 const { validateSchema, schemas } = require('../middlewares/validate-schema');
-const { SECURITY_CONFIG, RATE_LIMITING, DEVELOPMENT_CONFIG } = require('../config/constants');
+const { SECURITY_CONFIG, DEVELOPMENT_CONFIG } = require('../config/constants');
 
 // Constants for configurations
 const DEFAULT_USER_RATE_LIMIT = 10;             // 10 requests per hour
 const USER_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
-const DEFAULT_EMAIL_RATE_LIMIT = 5;
-const EMAIL_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
 const DEFAULT_IP_DEBUG_RATE_LIMIT = 5;
 const IP_DEBUG_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
 
@@ -84,24 +82,6 @@ const userRateLimiter = rateLimit({
   skip: (req) => process.env.NODE_ENV !== 'production' && !DEVELOPMENT_CONFIG.ENABLE_RATE_LIMIT_IN_DEV
 });
 
-/**
- * Rate limiting for email endpoints
- */
-const emailLimiter = rateLimit({
-  windowMs: EMAIL_RATE_LIMIT_WINDOW_MS, // Directly use constant
-  max: DEFAULT_EMAIL_RATE_LIMIT, // Directly use constant
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    success: false,
-    message: 'Too many requests for email services from this IP, please try again after 15 minutes.'
-  },
-  handler: (req, res, _, options) => {
-    logger.warn(`Rate limit exceeded for email service: ${req.ip}`);
-    res.status(options.statusCode).send(options.message);
-  }
-});
-
 /**
  * Rate limiting for IP Debug endpoint
  */
@@ -0,0 +1,490 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const channelMembership = require('./channel-membership.service');
+const callService = require('./call.service');
+const agentTranscripts = require('./ai-agent-transcript.service');
+const { AGORA_WEBHOOK_CONFIG, AGORA_AI_CONFIG } = require('../config/constants');
+
+// Raw notifications keyed by noticeId, so Agora's retries are recorded once
+const EVENTS_COLLECTION = 'agora_webhook_events';
+// Live state of each channel, keyed by channel name
+const ACTIVITY_COLLECTION = 'agora_channel_activity';
+// One document per finished channel session with its real duration
+const SESSIONS_COLLECTION = 'agora_channel_sessions';
+
+// RTC event types sent by Agora Notifications (NCS)
+const EVENT_TYPES = {
+  101: 'channel_create',
+  102: 'channel_destroy',
+  103: 'broadcaster_join',
+  104: 'broadcaster_leave',
+  105: 'audience_join',
+  106: 'audience_leave',
+  111: 'role_to_broadcaster',
+  112: 'role_to_audience'
+};
+
+const webhookStats = {
+  received: 0,
+  duplicates: 0,
+  rejectedSignatures: 0,
+  failures: 0,
+  abandonedChannels: 0,
+  lastEventAt: null
+};
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+/**
+ * Compare two hex digests without leaking timing information
+ * @param {string} expected - Digest computed by us
+ * @param {string} received - Digest from the request header
+ * @returns {boolean} - Whether they match
+ */
+const safeEqual = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(String(received).toLowerCase(), 'utf8');
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Verify the signature Agora attaches to a notification
+ * Agora-Signature-V2 is an HMAC-SHA256 of the raw body; Agora-Signature is the
+ * older HMAC-SHA1. Both use the secret configured for the NCS project.
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers (lower-cased by Node)
+ * @returns {boolean} - Whether the notification is authentic
+ */
+const verifySignature = (rawBody, headers) => {
+  const secret = process.env.AGORA_NCS_SECRET;
+  if (!secret || !rawBody) {
+    return false;
+  }
+
+  const signatureV2 = headers['agora-signature-v2'];
+  if (signatureV2) {
+    return safeEqual(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'), signatureV2);
+  }
+
+  const signature = headers['agora-signature'];
+  if (signature) {
+    return safeEqual(crypto.createHmac('sha1', secret).update(rawBody).digest('hex'), signature);
+  }
+
+  return false;
+};
+
+/**
+ * Record that a notification failed signature verification
+ */
+const recordRejectedSignature = () => {
+  webhookStats.rejectedSignatures++;
+};
+
+/**
+ * Build a fresh activity record for a channel session
+ * @param {string} channelName - Agora channel name
+ * @param {number} startedAtMs - Session start in milliseconds since epoch
+ * @returns {Object} - Activity data
+ */
+const newActivity = (channelName, startedAtMs) => ({
+  channelName,
+  active: true,
+  sessionStartedAt: new Date(startedAtMs),
+  participants: {},
+  activeUids: [],
+  peakParticipants: 0,
+  connectedSince: null,
+  connectedSeconds: 0,
+  aloneSince: new Date(startedAtMs),
+  abandoned: false,
+  abandonedAt: null,
+  lastEventAt: new Date(startedAtMs)
+});
+
+/**
+ * Convert a stored date (Date or Firestore Timestamp) to milliseconds
+ * @param {Date|Timestamp} value - Stored date
+ * @returns {number} - Milliseconds since epoch
+ */
+const toMillis = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value)).getTime();
+
+/**
+ * Whole seconds between a stored date and an event time
+ * @param {Date|Timestamp} since - Start
+ * @param {number} eventMs - End in milliseconds since epoch
+ * @returns {number} - Elapsed seconds, never negative
+ */
+const secondsSince = (since, eventMs) => (since ? Math.max(0, Math.round((eventMs - toMillis(since)) / 1000)) : 0);
+
+/**
+ * Apply a join, leave or role change to a channel's activity
+ * Agora may deliver events out of order; clientSeq orders events per user
+ * @param {Object} activity - Current activity data (mutated)
+ * @param {string} eventName - Event name from EVENT_TYPES
+ * @param {Object} payload - Notification payload
+ * @param {number} eventMs - Event time in milliseconds since epoch
+ * @returns {boolean} - Whether the event changed the activity
+ */
+const applyUserEvent = (activity, eventName, payload, eventMs) => {
+  const agoraUid = String(payload.uid);
+  const previous = activity.participants[agoraUid] || {};
+
+  if (previous.clientSeq !== undefined && payload.clientSeq !== undefined && payload.clientSeq <= previous.clientSeq) {
+    return false;
+  }
+
+  const participant = {
+    ...previous,
+    clientSeq: payload.clientSeq !== undefined ? payload.clientSeq : previous.clientSeq || 0,
+    platform: payload.platform || previous.platform || null
+  };
+  const activeUids = new Set(activity.activeUids);
+  const wasConnected = activeUids.size >= 2;
+
+  if (eventName.endsWith('_join')) {
+    participant.role = eventName === 'broadcaster_join' ? 'broadcaster' : 'audience';
+    participant.joinedAt = new Date(eventMs);
+    participant.leftAt = null;
+    activeUids.add(agoraUid);
+  } else if (eventName.endsWith('_leave')) {
+    participant.leftAt = new Date(eventMs);
+    participant.leaveReason = payload.reason || null;
+    participant.totalSeconds = (previous.totalSeconds || 0) + (payload.duration || 0);
+    activeUids.delete(agoraUid);
+  } else {
+    participant.role = eventName === 'role_to_broadcaster' ? 'broadcaster' : 'audience';
+  }
+
+  activity.participants[agoraUid] = participant;
+  activity.activeUids = [...activeUids];
+  activity.peakParticipants = Math.max(activity.peakParticipants || 0, activity.activeUids.length);
+
+  // Connected time is when at least two people could talk to each other
+  const isConnected = activity.activeUids.length >= 2;
+  if (!wasConnected && isConnected) {
+    activity.connectedSince = new Date(eventMs);
+  } else if (wasConnected && !isConnected) {
+    activity.connectedSeconds = (activity.connectedSeconds || 0) + secondsSince(activity.connectedSince, eventMs);
+    activity.connectedSince = null;
+  }
+
+  // Track how long the channel has had at most one person in it
+  activity.aloneSince = activity.activeUids.length <= 1
+    ? activity.aloneSince || new Date(eventMs)
+    : null;
+  return true;
+};
+
+/**
+ * Map the Agora UIDs seen in a channel back to Firebase UIDs
+ * Agora UIDs are derived from Firebase UIDs, so channel members can be matched
+ * @param {string} channelName - Agora channel name
+ * @param {Array<string>} agoraUids - Agora UIDs seen in the channel
+ * @returns {Promise<Object>} - Firebase UID keyed by Agora UID (unknown UIDs omitted)
+ */
+const resolveParticipants = async (channelName, agoraUids) => {
+  const channel = await channelMembership.getChannel(channelName);
+  const byAgoraUid = {};
+  ((channel && channel.members) || []).forEach(memberUid => {
+    byAgoraUid[String(channelMembership.getAgoraUid(memberUid))] = memberUid;
+  });
+
+  return agoraUids.reduce((resolved, agoraUid) => {
+    if (byAgoraUid[agoraUid]) {
+      resolved[agoraUid] = byAgoraUid[agoraUid];
+    }
+    return resolved;
+  }, {});
+};
+
+/**
+ * Summarise a finished channel session with its real duration
+ * @param {Object} activity - Activity data at the time of destruction
+ * @param {number} endedAtMs - Channel destroy time in milliseconds since epoch
+ * @returns {Promise<Object>} - Session summary to store
+ */
+const buildChannelSession = async (activity, endedAtMs) => {
+  const startedAt = new Date(toMillis(activity.sessionStartedAt));
+  const agoraUids = Object.keys(activity.participants || {});
+  const firebaseUids = await resolveParticipants(activity.channelName, agoraUids);
+
+  return {
+    channelName: activity.channelName,
+    startedAt,
+    endedAt: new Date(endedAtMs),
+    durationSeconds: secondsSince(startedAt, endedAtMs),
+    connectedSeconds: (activity.connectedSeconds || 0) + secondsSince(activity.connectedSince, endedAtMs),
+    peakParticipants: activity.peakParticipants || 0,
+    participants: agoraUids.map(agoraUid => ({
+      agoraUid,
+      uid: firebaseUids[agoraUid] || null,
+      role: activity.participants[agoraUid].role || null,
+      totalSeconds: activity.participants[agoraUid].totalSeconds || 0
+    })),
+    abandoned: Boolean(activity.abandoned),
+    createdAt: new Date()
+  };
+};
+
+/**
+ * Close the answered calls of a stored channel session
+ * Clears the pending mark on the channel once done, so a retried destroy
+ * notification only gets here again while the calls are still open
+ * @param {string} channelName - Agora channel name
+ * @param {string} sessionId - Id of the stored channel session
+ * @returns {Promise<void>}
+ */
+const closeChannelSession = async (channelName, sessionId) => {
+  const firestore = getDuckbuckFirestore();
+  const sessionDoc = await firestore.collection(SESSIONS_COLLECTION).doc(sessionId).get();
+
+  if (sessionDoc.exists) {
+    const { endedAt, durationSeconds, connectedSeconds, peakParticipants } = sessionDoc.data();
+    logger.info(`Agora channel ${channelName} ended after ${durationSeconds}s`, { connectedSeconds, peakParticipants });
+
+    // Close answered calls on this channel with the talk time Agora measured
+    await callService.endCallsOnChannel(channelName, new Date(toMillis(endedAt)), connectedSeconds);
+  }
+
+  await firestore.collection(ACTIVITY_COLLECTION).doc(channelName).update({ pendingSessionId: null });
+};
+
+/**
+ * Apply an RTC event to the activity of its channel
+ * Closes the channel session when the channel is destroyed; the session is
+ * stored in the same transaction that marks the channel inactive
+ * @param {string} eventName - Event name from EVENT_TYPES
+ * @param {Object} payload - Notification payload
+ * @param {number} notifyMs - Delivery time in milliseconds since epoch
+ * @returns {Promise<void>}
+ */
+const applyChannelEvent = async (eventName, payload, notifyMs) => {
+  const firestore = getDuckbuckFirestore();
+  // Agora sends ts in seconds; fall back on the delivery time
+  const eventMs = payload.ts ? payload.ts * 1000 : notifyMs || Date.now();
+  const ref = firestore.collection(ACTIVITY_COLLECTION).doc(payload.channelName);
+
+  const finishedSessionId = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    let activity = doc.exists ? doc.data() : null;
+
+    if (eventName === 'channel_create') {
+      if (activity && activity.active) {
+        // Joins that arrived first already opened the session; only move its start back
+        if (eventMs < toMillis(activity.sessionStartedAt)) {
+          transaction.update(ref, { sessionStartedAt: new Date(eventMs) });
+        }
+        return null;
+      }
+      transaction.set(ref, newActivity(payload.channelName, eventMs));
+      return null;
+    }
+
+    if (eventName === 'channel_destroy') {
+      if (!activity) {
+        return null;
+      }
+      if (!activity.active) {
+        // A retry of a destroy whose calls could not be closed yet
+        return activity.pendingSessionId || null;
+      }
+
+      const summary = await buildChannelSession(activity, eventMs);
+      const sessionRef = firestore.collection(SESSIONS_COLLECTION)
+        .doc(`${activity.channelName}_${summary.startedAt.getTime()}`);
+
+      transaction.set(sessionRef, summary);
+      transaction.update(ref, {
+        active: false,
+        activeUids: [],
+        aloneSince: null,
+        endedAt: new Date(eventMs),
+        lastEventAt: new Date(eventMs),
+        pendingSessionId: sessionRef.id
+      });
+
+      return sessionRef.id;
+    }
+
+    // A join can arrive before the create event; start the session from it
+    if (!activity || !activity.active) {
+      activity = newActivity(payload.channelName, eventMs);
+    }
+
+    if (applyUserEvent(activity, eventName, payload, eventMs)) {
+      activity.lastEventAt = new Date(eventMs);
+      transaction.set(ref, activity);
+    }
+    return null;
+  });
+
+  if (finishedSessionId) {
+    await closeChannelSession(payload.channelName, finishedSessionId);
+  }
+};
+
+/**
+ * Record one Agora notification and update the channel it belongs to
+ * @param {Object} notification - { noticeId, productId, eventType, notifyMs, payload }
+ * @returns {Promise<Object>} - { duplicate, eventName }
+ */
+const handleNotification = async (notification) => {
+  const { noticeId, productId, eventType, notifyMs, payload = {} } = notification;
+  // Conversational AI events reuse RTC event type numbers under their own product id
+  const isAgentEvent = productId === AGORA_AI_CONFIG.TRANSCRIPTS.NCS_PRODUCT_ID;
+  const eventTypes = isAgentEvent ? agentTranscripts.AGENT_EVENT_TYPES : EVENT_TYPES;
+  const eventName = eventTypes[eventType] || `unknown_${eventType}`;
+  const firestore = getDuckbuckFirestore();
+
+  // Conversations are kept only in the transcript store so users can delete them
+  const { contents, ...storedPayload } = payload;
+
+  webhookStats.received++;
+  webhookStats.lastEventAt = new Date().toISOString();
+
+  // create() fails on an existing id, which makes Agora's retries idempotent
+  const eventRef = firestore.collection(EVENTS_COLLECTION).doc(String(noticeId));
+  try {
+    await eventRef.create({
+      productId: productId || null,
+      eventType,
+      eventName,
+      channelName: payload.channelName || payload.channel || null,
+      agoraUid: payload.uid !== undefined ? String(payload.uid) : null,
+      payload: isAgentEvent ? storedPayload : payload,
+      notifyMs: notifyMs || null,
+      receivedAt: new Date()
+    });
+  } catch (error) {
+    if (error.code === 6) { // ALREADY_EXISTS
+      webhookStats.duplicates++;
+      return { duplicate: true, eventName };
+    }
+    throw error;
+  }
+
+  try {
+    if (isAgentEvent) {
+      await agentTranscripts.handleAgentEvent(eventName, payload);
+    } else if (EVENT_TYPES[eventType] && payload.channelName) {
+      await applyChannelEvent(eventName, payload, notifyMs);
+    }
+  } catch (error) {
+    // Drop the marker so Agora's retry of this notification is processed again
+    await eventRef.delete().catch(deleteError => {
+      logger.error(`Failed to release Agora notification ${noticeId}: ${deleteError.message}`);
+    });
+    throw error;
+  }
+
+  return { duplicate: false, eventName };
+};
+
+/**
+ * Flag channels that were left with at most one participant for too long
+ * (e.g. the other side never joined) or that stopped sending events without
+ * a destroy notification
+ * @returns {Promise<number>} - Number of channels newly flagged
+ */
+const detectAbandonedChannels = async () => {
+  if (sweepInProgress) {
+    return 0;
+  }
+
+  sweepInProgress = true;
+  try {
+    const now = Date.now();
+    const collection = getDuckbuckFirestore().collection(ACTIVITY_COLLECTION);
+    // Only channels past a threshold are read, oldest first; flagging them takes
+    // them out of both queries, so each sweep moves on to the next ones
+    const overdue = (field, afterMs) => collection
+      .where('active', '==', true)
+      .where('abandoned', '==', false)
+      .where(field, '<=', new Date(now - afterMs))
+      .orderBy(field)
+      .limit(AGORA_WEBHOOK_CONFIG.SWEEP_BATCH_SIZE)
+      .get();
+
+    const [alone, stale] = await Promise.all([
+      overdue('aloneSince', AGORA_WEBHOOK_CONFIG.ABANDONED_AFTER_MS),
+      overdue('lastEventAt', AGORA_WEBHOOK_CONFIG.STALE_AFTER_MS)
+    ]);
+
+    const reasons = new Map();
+    stale.docs.forEach(doc => reasons.set(doc.id, { doc, reason: 'no_activity' }));
+    alone.docs.forEach(doc => reasons.set(doc.id, {
+      doc,
+      reason: (doc.data().activeUids || []).length === 0 ? 'empty' : 'single_participant'
+    }));
+
+    let flagged = 0;
+    for (const { doc, reason } of reasons.values()) {
+      await doc.ref.update({ abandoned: true, abandonedAt: new Date(), abandonedReason: reason });
+      flagged++;
+      logger.warn(`Agora channel ${doc.id} looks abandoned (${reason})`, {
+        activeParticipants: (doc.data().activeUids || []).length
+      });
+    }
+
+    webhookStats.abandonedChannels += flagged;
+    return flagged;
+  } catch (error) {
+    logger.error(`Abandoned channel detection failed: ${error.message}`);
+    return 0;
+  } finally {
+    sweepInProgress = false;
+  }
+};
+
+/**
+ * Start the abandoned channel sweep inside the server process
+ */
+const startAbandonedChannelMonitor = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(detectAbandonedChannels, AGORA_WEBHOOK_CONFIG.SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweep
+  sweepTimer.unref();
+  logger.info(`Abandoned Agora channel monitor started (every ${AGORA_WEBHOOK_CONFIG.SWEEP_INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop the abandoned channel sweep
+ */
+const stopAbandonedChannelMonitor = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+    logger.info('Abandoned Agora channel monitor stopped');
+  }
+};
+
+/**
+ * Get webhook counters for the health report
+ * @returns {Object} - Copy of the counters
+ */
+const getWebhookStats = () => ({ ...webhookStats });
+
+/**
+ * Count a notification that could not be processed
+ */
+const recordFailure = () => {
+  webhookStats.failures++;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  verifySignature,
+  recordRejectedSignature,
+  recordFailure,
+  handleNotification,
+  detectAbandonedChannels,
+  startAbandonedChannelMonitor,
+  stopAbandonedChannelMonitor,
+  getWebhookStats
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { AGORA_AI_CONFIG } = require('../config/constants');
+
+/**
+ * Map a user to a stable point in [0, 1) for an experiment
+ * Hashing the experiment name with the uid keeps a user in the same variant on
+ * every join while splitting users independently across experiments.
+ * @param {string} experimentName - Experiment name
+ * @param {string} uid - Firebase UID
+ * @returns {number} - Point in [0, 1)
+ */
+const hashToUnit = (experimentName, uid) => {
+  const digest = crypto.createHash('sha256').update(`${experimentName}:${uid}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+};
+
+/**
+ * Put a user into one of an experiment's variants
+ * Users outside the experiment's traffic share are not enrolled
+ * @param {Object} experiment - Experiment from AGORA_AI_CONFIG.EXPERIMENTS
+ * @param {string} uid - Firebase UID
+ * @returns {Object|null} - Variant, or null if the user is not enrolled
+ */
+const bucketUser = (experiment, uid) => {
+  const share = experiment.traffic / 100;
+  const point = hashToUnit(experiment.name, uid);
+  if (point >= share) {
+    return null;
+  }
+
+  // Spread the enrolled share over the variants by weight
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let target = (point / share) * totalWeight;
+  for (const variant of experiment.variants) {
+    if (target < variant.weight) {
+      return variant;
+    }
+    target -= variant.weight;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+};
+
+/**
+ * Work out the experiment variants and combined overrides for a new agent
+ * Experiments are applied in name order; when two override the same setting
+ * the later one wins, so running experiments should not overlap.
+ * An experiment is skipped when any of its variants overrides a setting that
+ * cannot take effect for this agent (e.g. a voice the user picked themselves),
+ * so the user is counted in neither the changed variant nor the control.
+ * @param {string} uid - Firebase UID of the owner
+ * @param {string} personaName - Persona the agent runs as
+ * @param {Function} canApply - (setting, value) => whether overriding the setting takes effect
+ * @returns {Object} - { assignments, overrides } where assignments maps experiment name to variant name
+ */
+const getExperimentOverrides = (uid, personaName, canApply = () => true) => {
+  const assignments = {};
+  const overrides = {};
+
+  for (const experiment of Object.values(AGORA_AI_CONFIG.EXPERIMENTS)) {
+    if (!experiment.enabled || (experiment.personas && !experiment.personas.includes(personaName))) {
+      continue;
+    }
+
+    const applies = experiment.variants.every(variant => Object.entries(variant.overrides)
+      .every(([setting, value]) => canApply(setting, value)));
+    if (!applies) {
+      continue;
+    }
+
+    const variant = bucketUser(experiment, uid);
+    if (!variant) {
+      continue;
+    }
+
+    assignments[experiment.name] = variant.name;
+    Object.assign(overrides, variant.overrides);
+  }
+
+  if (Object.keys(assignments).length > 0) {
+    logger.info(`User ${uid} assigned AI agent experiment variants`, { assignments });
+  }
+
+  return { assignments, overrides };
+};
+
+module.exports = {
+  bucketUser,
+  getExperimentOverrides
+};
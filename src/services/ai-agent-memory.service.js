@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { AGORA_AI_CONFIG } = require('../config/constants');
+
+// One document per user holding the facts they approved for the agent to remember
+const MEMORY_COLLECTION = 'ai_agent_memories';
+
+const { MEMORY } = AGORA_AI_CONFIG;
+
+const MEMORY_PROMPT_HEADER = 'Things the user has asked you to remember about them. Use them naturally and do not repeat them back verbatim:';
+
+/**
+ * Get the memory document reference of a user
+ * @param {string} uid - Firebase UID
+ * @returns {DocumentReference} - Firestore document
+ */
+const memoryRef = (uid) => getDuckbuckFirestore().collection(MEMORY_COLLECTION).doc(uid);
+
+/**
+ * Convert a stored fact into a plain fact object
+ * @param {Object} fact - Stored fact
+ * @returns {Object} - { id, text, createdAt, updatedAt } with Date fields
+ */
+const toFact = (fact) => {
+  const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+  return {
+    id: fact.id,
+    text: fact.text,
+    createdAt: toDate(fact.createdAt),
+    updatedAt: toDate(fact.updatedAt)
+  };
+};
+
+/**
+ * List the facts a user approved, oldest first
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<Array<Object>>} - Facts
+ */
+const getFacts = async (uid) => {
+  const doc = await memoryRef(uid).get();
+  return doc.exists ? (doc.data().facts || []).map(toFact) : [];
+};
+
+/**
+ * Change a user's facts inside a transaction
+ * @param {string} uid - Firebase UID
+ * @param {Function} change - Receives the current facts, returns { facts, result } or null to leave them unchanged
+ * @returns {Promise<*>} - The result returned by change
+ */
+const updateFacts = async (uid, change) => {
+  const firestore = getDuckbuckFirestore();
+  const ref = memoryRef(uid);
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const facts = doc.exists ? doc.data().facts || [] : [];
+
+    const outcome = change(facts);
+    if (outcome && outcome.facts) {
+      transaction.set(ref, { facts: outcome.facts, updatedAt: new Date() });
+    }
+    return outcome ? outcome.result : null;
+  });
+};
+
+/**
+ * Remember a new fact for a user
+ * @param {string} uid - Firebase UID
+ * @param {string} text - Fact as approved by the user
+ * @returns {Promise<Object>} - { fact, reason } where reason is 'limit_reached' when the user has too many facts
+ */
+const addFact = async (uid, text) => {
+  const result = await updateFacts(uid, (facts) => {
+    if (facts.length >= MEMORY.MAX_FACTS) {
+      return { result: { fact: null, reason: 'limit_reached' } };
+    }
+
+    const now = new Date();
+    const fact = { id: crypto.randomUUID(), text, createdAt: now, updatedAt: now };
+    return { facts: [...facts, fact], result: { fact: toFact(fact), reason: null } };
+  });
+
+  if (result.fact) {
+    logger.info(`AI agent memory fact ${result.fact.id} added for user ${uid}`);
+  }
+  return result;
+};
+
+/**
+ * Change the text of a remembered fact
+ * @param {string} uid - Firebase UID
+ * @param {string} factId - Fact id
+ * @param {string} text - New text
+ * @returns {Promise<Object|null>} - Updated fact, or null if not found
+ */
+const updateFact = async (uid, factId, text) => updateFacts(uid, (facts) => {
+  const index = facts.findIndex(fact => fact.id === factId);
+  if (index === -1) {
+    return null;
+  }
+
+  const updated = { ...facts[index], text, updatedAt: new Date() };
+  const next = [...facts];
+  next[index] = updated;
+  return { facts: next, result: toFact(updated) };
+});
+
+/**
+ * Forget one fact
+ * @param {string} uid - Firebase UID
+ * @param {string} factId - Fact id
+ * @returns {Promise<boolean>} - Whether the fact existed
+ */
+const deleteFact = async (uid, factId) => {
+  const deleted = await updateFacts(uid, (facts) => {
+    const next = facts.filter(fact => fact.id !== factId);
+    return next.length === facts.length ? { result: false } : { facts: next, result: true };
+  });
+
+  if (deleted) {
+    logger.info(`AI agent memory fact ${factId} deleted for user ${uid}`);
+  }
+  return Boolean(deleted);
+};
+
+/**
+ * Forget everything remembered about a user
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<number>} - Number of facts removed
+ */
+const clearFacts = async (uid) => {
+  const ref = memoryRef(uid);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return 0;
+  }
+
+  const count = (doc.data().facts || []).length;
+  await ref.delete();
+  logger.info(`AI agent memory cleared for user ${uid} (${count} facts)`);
+  return count;
+};
+
+/**
+ * Build the system message carrying a user's memory
+ * The most recently updated facts are kept until the character budget is spent
+ * @param {Array<Object>} facts - Facts from getFacts
+ * @param {number} budget - Maximum length of the message in characters
+ * @returns {string|null} - System message content, or null if nothing fits
+ */
+const buildMemoryPrompt = (facts, budget = MEMORY.PROMPT_BUDGET_CHARS) => {
+  const newestFirst = [...facts].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  const lines = [];
+  let length = MEMORY_PROMPT_HEADER.length;
+  for (const fact of newestFirst) {
+    const line = `- ${fact.text}`;
+    if (length + line.length + 1 > budget) {
+      continue;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+
+  return lines.length > 0 ? [MEMORY_PROMPT_HEADER, ...lines].join('\n') : null;
+};
+
+/**
+ * Get the system message carrying a user's memory for a new agent
+ * A failed read only costs the agent its memory, never the session.
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<string|null>} - System message content, or null if there is none
+ */
+const getMemoryPrompt = async (uid) => {
+  try {
+    return buildMemoryPrompt(await getFacts(uid));
+  } catch (error) {
+    logger.warn(`Failed to load AI agent memory of user ${uid}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  getFacts,
+  addFact,
+  updateFact,
+  deleteFact,
+  clearFacts,
+  buildMemoryPrompt,
+  getMemoryPrompt
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createPromptStore } = require('./prompt-store');
+const { AGORA_AI_CONFIG } = require('../config/constants');
+
+const { PROMPTS } = AGORA_AI_CONFIG;
+
+const promptStore = createPromptStore();
+
+// Active prompt version per persona, cached for a short time per instance
+const promptCache = new Map();
+
+/**
+ * Describe the prompt file a persona ships with as a version
+ * The id carries a hash of the text so sessions on different deploys can be told apart
+ * @param {Object} persona - Persona from AGORA_AI_CONFIG.PERSONAS
+ * @returns {Object} - { versionId, persona, version, content, source }
+ */
+const builtinVersion = (persona) => ({
+  versionId: `${persona.name}-builtin-${crypto.createHash('sha256').update(persona.systemMessage).digest('hex').slice(0, 8)}`,
+  persona: persona.name,
+  version: 0,
+  content: persona.systemMessage,
+  source: 'builtin'
+});
+
+/**
+ * Get the system prompt a new agent of a persona should use
+ * The published version wins over the prompt file. A failed read keeps the last
+ * known version (or the prompt file) so joins are never blocked by it.
+ * @param {Object} persona - Persona from AGORA_AI_CONFIG.PERSONAS
+ * @returns {Promise<Object>} - { versionId, persona, version, content, source }
+ */
+const getActivePrompt = async (persona) => {
+  const cached = promptCache.get(persona.name);
+  if (cached && Date.now() - cached.loadedAt < PROMPTS.CACHE_TTL_MS) {
+    return cached.prompt;
+  }
+
+  let prompt;
+  try {
+    const active = await promptStore.getActive(persona.name);
+    prompt = active ? { ...active, source: 'published' } : builtinVersion(persona);
+  } catch (error) {
+    logger.warn(`Failed to load prompt of persona ${persona.name}: ${error.message}`);
+    return cached ? cached.prompt : builtinVersion(persona);
+  }
+
+  if (cached && cached.prompt.versionId !== prompt.versionId) {
+    logger.info(`Persona ${persona.name} now uses prompt ${prompt.versionId}`);
+  }
+
+  promptCache.set(persona.name, { loadedAt: Date.now(), prompt });
+  return prompt;
+};
+
+/**
+ * Publish a new prompt version for a persona
+ * New agents on this instance use it at once; other instances within the cache TTL
+ * @param {Object} persona - Persona from AGORA_AI_CONFIG.PERSONAS
+ * @param {Object} details - { content, note, publishedBy }
+ * @returns {Promise<Object>} - Published version
+ */
+const publishPrompt = async (persona, details) => {
+  const version = await promptStore.publish(persona.name, details);
+  promptCache.delete(persona.name);
+
+  logger.info(`Prompt ${version.versionId} published for persona ${persona.name} by ${details.publishedBy || 'system'}`);
+  return version;
+};
+
+/**
+ * List a persona's prompt versions, newest first, with the active one
+ * @param {Object} persona - Persona from AGORA_AI_CONFIG.PERSONAS
+ * @param {number} limit - Maximum number of versions
+ * @returns {Promise<Object>} - { active, builtin, versions }
+ */
+const listPromptVersions = async (persona, limit) => {
+  const versions = await promptStore.listVersions(persona.name, limit);
+  const active = await promptStore.getActive(persona.name);
+
+  return {
+    active: active ? { ...active, source: 'published' } : builtinVersion(persona),
+    builtin: builtinVersion(persona),
+    versions
+  };
+};
+
+module.exports = {
+  getActivePrompt,
+  publishPrompt,
+  listPromptVersions
+};
@@ -0,0 +1,532 @@
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { AGORA_AI_CONFIG } = require('../config/constants');
+
+// One document per agent, keyed by the agent id Agora returned; the sweeps need
+// composite indexes on (status, cutoffAt) and (status, lastCheckedAt)
+const AGENT_SESSIONS_COLLECTION = 'ai_agent_sessions';
+// One lock per user and one per channel, held while an agent is starting or running
+const AGENT_LOCKS_COLLECTION = 'ai_agent_locks';
+
+const SESSION_STATUS = {
+  RUNNING: 'running',
+  STOPPED: 'stopped'
+};
+
+// Agora agent states after which the agent is no longer in the channel
+const AGORA_FINISHED_STATES = ['STOPPED', 'FAILED'];
+
+const { METERING, CONCURRENCY } = AGORA_AI_CONFIG;
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+/**
+ * Convert a stored session document into a plain session object
+ * @param {string} agentId - Agent id
+ * @param {Object} data - Stored session fields
+ * @returns {Object} - Session with Date fields
+ */
+const toSession = (agentId, data) => {
+  const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+  return {
+    ...data,
+    agentId,
+    startedAt: toDate(data.startedAt),
+    cutoffAt: toDate(data.cutoffAt),
+    lastCheckedAt: toDate(data.lastCheckedAt),
+    stoppedAt: toDate(data.stoppedAt),
+    transcriptDeletedAt: toDate(data.transcriptDeletedAt)
+  };
+};
+
+/**
+ * Get the agent sessions collection reference
+ * @returns {CollectionReference} - Firestore collection
+ */
+const sessionsCollection = () => getDuckbuckFirestore().collection(AGENT_SESSIONS_COLLECTION);
+
+/**
+ * Get the document reference of an agent session
+ * @param {string} agentId - Agent id
+ * @returns {DocumentReference} - Firestore document
+ */
+const getSessionRef = (agentId) => sessionsCollection().doc(agentId);
+
+/**
+ * Get the lock references guarding a user and a channel
+ * @param {string} uid - Firebase UID
+ * @param {string} channelName - Agora channel name
+ * @returns {Array<Object>} - [{ ref, reason }] for the user lock and the channel lock
+ */
+const lockRefs = (uid, channelName) => {
+  const locks = getDuckbuckFirestore().collection(AGENT_LOCKS_COLLECTION);
+  return [
+    { ref: locks.doc(`user_${uid}`), reason: 'user_busy' },
+    { ref: locks.doc(`channel_${channelName}`), reason: 'channel_busy' }
+  ];
+};
+
+/**
+ * Call the Agora Conversational AI agent API for an existing agent
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /projects/{appId}/agents/{agentId}
+ * @param {string} agentId - Agent id
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Response>} - Successful fetch response
+ * @throws {Error} - With statusCode 408 on timeout, 500 on network errors and Agora's status (also as agoraStatus) on API errors
+ */
+const agentRequest = async (method, path, agentId, timeoutMs = 15000) => {
+  const url = `${AGORA_AI_CONFIG.API_BASE_URL}/projects/${AGORA_AI_CONFIG.APP_ID}/agents/${agentId}${path}`;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Basic ${AGORA_AI_CONFIG.BASIC_AUTH}`
+      },
+      signal: controller.signal
+    });
+  } catch (fetchError) {
+    const error = new Error(fetchError.name === 'AbortError'
+      ? `Agora agent ${method} ${path || '/'} timed out after ${timeoutMs}ms`
+      : `Network error contacting Agora agent API: ${fetchError.message}`);
+    error.statusCode = fetchError.name === 'AbortError' ? 408 : 500;
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    const error = new Error(`Agora agent ${method} ${path || '/'} failed with ${response.status}: ${errorData}`);
+    error.statusCode = response.status;
+    error.agoraStatus = response.status;
+    error.details = errorData;
+    throw error;
+  }
+
+  return response;
+};
+
+/**
+ * Ask Agora to remove an agent from its channel
+ * @param {string} agentId - Agent id
+ * @returns {Promise<void>}
+ */
+const leaveAgent = async (agentId) => {
+  await agentRequest('POST', '/leave', agentId);
+};
+
+/**
+ * Get an agent's state from Agora
+ * @param {string} agentId - Agent id
+ * @returns {Promise<Object>} - { agent_id, status, start_ts, stop_ts }
+ */
+const getAgentStatus = async (agentId) => {
+  const response = await agentRequest('GET', '', agentId);
+  return response.json();
+};
+
+/**
+ * Get the conversation an agent has had so far from Agora
+ * Only available while the agent is still in its channel
+ * @param {string} agentId - Agent id
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object>} - { agent_id, start_ts, status, contents } where contents is [{ role, content }]
+ */
+const getAgentHistory = async (agentId, timeoutMs) => {
+  const response = await agentRequest('GET', '/history', agentId, timeoutMs);
+  return response.json();
+};
+
+/**
+ * Reserve the user's and the channel's agent slot before starting an agent
+ * Runs in a transaction so two joins racing for the same user or channel
+ * cannot both start a billed agent. A lock is free once its agent's session
+ * stopped, or when a start never finished within the lock timeout.
+ * @param {string} uid - Firebase UID of the owner
+ * @param {string} channelName - Agora channel name
+ * @returns {Promise<Object>} - { reserved, reason, session } where reason is 'user_busy' or 'channel_busy'
+ *   and session is the running agent holding the slot, null while it is still starting
+ */
+const reserveAgentSlot = async (uid, channelName) => {
+  const firestore = getDuckbuckFirestore();
+  const locks = lockRefs(uid, channelName);
+
+  return firestore.runTransaction(async (transaction) => {
+    const now = new Date();
+    const held = [];
+
+    for (const lock of locks) {
+      const doc = await transaction.get(lock.ref);
+      if (doc.exists) {
+        held.push({ ...lock, data: doc.data() });
+      }
+    }
+
+    for (const lock of held) {
+      if (lock.data.agentId) {
+        const sessionDoc = await transaction.get(sessionsCollection().doc(lock.data.agentId));
+        if (sessionDoc.exists && sessionDoc.data().status === SESSION_STATUS.RUNNING) {
+          return { reserved: false, reason: lock.reason, session: toSession(sessionDoc.id, sessionDoc.data()) };
+        }
+        continue;
+      }
+
+      const createdAt = lock.data.createdAt && typeof lock.data.createdAt.toDate === 'function'
+        ? lock.data.createdAt.toDate()
+        : lock.data.createdAt;
+      if (createdAt && now.getTime() - createdAt.getTime() < CONCURRENCY.START_LOCK_TIMEOUT_MS) {
+        return { reserved: false, reason: lock.reason, session: null };
+      }
+    }
+
+    for (const lock of locks) {
+      transaction.set(lock.ref, { uid, channelName, agentId: null, createdAt: now });
+    }
+    return { reserved: true, reason: null, session: null };
+  });
+};
+
+/**
+ * Free a user's and a channel's agent slot
+ * Only locks still held by the given agent (or by an unfinished start) are removed
+ * @param {string} uid - Firebase UID of the owner
+ * @param {string} channelName - Agora channel name
+ * @param {string} agentId - Agent holding the slot, null for a start that failed
+ * @returns {Promise<void>}
+ */
+const releaseAgentSlot = async (uid, channelName, agentId = null) => {
+  const firestore = getDuckbuckFirestore();
+  const locks = lockRefs(uid, channelName);
+
+  await firestore.runTransaction(async (transaction) => {
+    const docs = [];
+    for (const lock of locks) {
+      docs.push(await transaction.get(lock.ref));
+    }
+
+    docs.forEach((doc, index) => {
+      if (doc.exists && doc.data().uid === uid && (doc.data().agentId || null) === agentId) {
+        transaction.delete(locks[index].ref);
+      }
+    });
+  });
+};
+
+/**
+ * Persist a newly started agent session
+ * The cutoff is when the owner's balance runs out if nothing else is deducted.
+ * The slots reserved for the start are handed to the agent.
+ * Experiment assignments are stored as a map so sessions can be queried per variant.
+ * @param {Object} session - { agentId, agentName, uid, channelName, persona, promptVersion, llmProvider, ttsVendor, ttsVoice, experiments, remainingSeconds }
+ * @returns {Promise<Object>} - Stored session
+ */
+const createSession = async ({ agentId, agentName, uid, channelName, persona, promptVersion, llmProvider, ttsVendor, ttsVoice, experiments = {}, remainingSeconds }) => {
+  const now = new Date();
+  const data = {
+    agentName,
+    uid,
+    channelName,
+    persona,
+    promptVersion,
+    llmProvider,
+    ttsVendor,
+    ttsVoice,
+    experiments,
+    status: SESSION_STATUS.RUNNING,
+    startedAt: now,
+    cutoffAt: new Date(now.getTime() + remainingSeconds * 1000),
+    lastCheckedAt: now,
+    stoppedAt: null,
+    usedSeconds: null,
+    stopReason: null
+  };
+
+  const batch = getDuckbuckFirestore().batch();
+  batch.set(sessionsCollection().doc(agentId), data);
+  for (const lock of lockRefs(uid, channelName)) {
+    batch.set(lock.ref, { uid, channelName, agentId, createdAt: now });
+  }
+  await batch.commit();
+
+  logger.info(`AI agent ${agentId} started for user ${uid} on channel ${channelName} with ${remainingSeconds}s remaining`);
+  return toSession(agentId, data);
+};
+
+/**
+ * Get an agent session
+ * @param {string} agentId - Agent id
+ * @returns {Promise<Object|null>} - Session, or null if not found
+ */
+const getSession = async (agentId) => {
+  const doc = await sessionsCollection().doc(agentId).get();
+  return doc.exists ? toSession(doc.id, doc.data()) : null;
+};
+
+/**
+ * List a user's agent sessions, newest first
+ * Needs a composite index on (uid, startedAt) and (uid, status, startedAt)
+ * @param {string} uid - Firebase UID of the owner
+ * @param {Object} options - { status, limit }
+ * @returns {Promise<Array<Object>>} - Sessions
+ */
+const listSessions = async (uid, { status, limit = 20 } = {}) => {
+  let query = sessionsCollection().where('uid', '==', uid);
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+
+  const snapshot = await query
+    .orderBy('startedAt', 'desc')
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(doc => toSession(doc.id, doc.data()));
+};
+
+/**
+ * Mark every session of a user as having had its transcript deleted
+ * Includes running sessions, so their history webhook is dropped when it arrives
+ * @param {string} uid - Firebase UID of the owner
+ * @param {Date} deletedAt - When the user deleted their transcripts
+ * @returns {Promise<number>} - Number of sessions marked
+ */
+const markTranscriptsDeleted = async (uid, deletedAt = new Date()) => {
+  const firestore = getDuckbuckFirestore();
+  let marked = 0;
+  let lastDoc = null;
+
+  // Firestore batches hold at most 500 writes
+  for (;;) {
+    let query = sessionsCollection().where('uid', '==', uid).orderBy('startedAt', 'desc').limit(500);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach(doc => batch.update(doc.ref, { transcriptDeletedAt: deletedAt }));
+    await batch.commit();
+
+    marked += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return marked;
+};
+
+/**
+ * Close a running session, deduct the time it used from its owner and free its slots
+ * Runs in a transaction so a session is only ever charged once, even when
+ * stopAgent and the sweep finish it at the same moment. Usage is capped at
+ * the cutoff and the balance never goes below zero.
+ * @param {string} agentId - Agent id
+ * @param {Object} details - { endedAt, reason }
+ * @returns {Promise<Object>} - { session, changed, remainingSeconds } where session is null if not found
+ */
+const finishSession = async (agentId, { endedAt = new Date(), reason = 'stopped' } = {}) => {
+  const firestore = getDuckbuckFirestore();
+  const sessionRef = sessionsCollection().doc(agentId);
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(sessionRef);
+    if (!doc.exists) {
+      return { session: null, changed: false, remainingSeconds: null };
+    }
+
+    const current = toSession(doc.id, doc.data());
+    if (current.status !== SESSION_STATUS.RUNNING) {
+      return { session: current, changed: false, remainingSeconds: null };
+    }
+
+    const userRef = firestore.collection('users').doc(current.uid);
+    const userDoc = await transaction.get(userRef);
+    const locks = lockRefs(current.uid, current.channelName);
+    const lockDocs = [];
+    for (const lock of locks) {
+      lockDocs.push(await transaction.get(lock.ref));
+    }
+
+    const billedUntil = Math.min(endedAt.getTime(), current.cutoffAt.getTime());
+    const usedSeconds = Math.max(0, Math.ceil((billedUntil - current.startedAt.getTime()) / 1000));
+    const balance = userDoc.exists ? userDoc.data().agentRemainingTime || 0 : 0;
+    const remainingSeconds = Math.max(0, balance - usedSeconds);
+
+    const update = {
+      status: SESSION_STATUS.STOPPED,
+      stoppedAt: endedAt,
+      usedSeconds,
+      stopReason: reason
+    };
+
+    transaction.update(sessionRef, update);
+    if (userDoc.exists) {
+      transaction.update(userRef, { agentRemainingTime: remainingSeconds });
+    }
+    // Free the user and the channel for the next agent
+    lockDocs.forEach((lockDoc, index) => {
+      if (lockDoc.exists && lockDoc.data().agentId === agentId) {
+        transaction.delete(locks[index].ref);
+      }
+    });
+
+    return { session: { ...current, ...update }, changed: true, remainingSeconds };
+  });
+
+  if (result.changed) {
+    logger.info(`AI agent ${agentId} of user ${result.session.uid} stopped (${reason}): ${result.session.usedSeconds}s used, ${result.remainingSeconds}s remaining`);
+  }
+
+  return result;
+};
+
+/**
+ * Stop agents whose owner's balance has run out
+ * An agent Agora fails to remove stays running and is retried on the next tick
+ * @returns {Promise<number>} - Number of agents stopped
+ */
+const enforceCutoffs = async () => {
+  const snapshot = await sessionsCollection()
+    .where('status', '==', SESSION_STATUS.RUNNING)
+    .where('cutoffAt', '<=', new Date())
+    .orderBy('cutoffAt', 'asc')
+    .limit(METERING.SWEEP_BATCH_SIZE)
+    .get();
+
+  let stoppedCount = 0;
+  for (const doc of snapshot.docs) {
+    try {
+      await leaveAgent(doc.id);
+    } catch (error) {
+      // 404 means the agent already left
+      if (error.agoraStatus !== 404) {
+        logger.warn(`Failed to stop AI agent ${doc.id} at its time cutoff: ${error.message}`);
+        continue;
+      }
+    }
+
+    const { changed } = await finishSession(doc.id, { reason: 'balance_exhausted' });
+    if (changed) {
+      stoppedCount += 1;
+    }
+  }
+  return stoppedCount;
+};
+
+/**
+ * Close sessions of agents Agora has already stopped, e.g. after their idle timeout
+ * @returns {Promise<number>} - Number of sessions closed
+ */
+const reconcileStoppedAgents = async () => {
+  const now = new Date();
+  const snapshot = await sessionsCollection()
+    .where('status', '==', SESSION_STATUS.RUNNING)
+    .where('lastCheckedAt', '<=', new Date(now.getTime() - METERING.STATUS_CHECK_INTERVAL_MS))
+    .orderBy('lastCheckedAt', 'asc')
+    .limit(METERING.SWEEP_BATCH_SIZE)
+    .get();
+
+  let closedCount = 0;
+  for (const doc of snapshot.docs) {
+    let agent;
+    try {
+      agent = await getAgentStatus(doc.id);
+    } catch (error) {
+      if (error.agoraStatus !== 404) {
+        logger.warn(`Failed to check status of AI agent ${doc.id}: ${error.message}`);
+        continue;
+      }
+      agent = { status: 'STOPPED' };
+    }
+
+    if (!AGORA_FINISHED_STATES.includes(agent.status)) {
+      await doc.ref.update({ lastCheckedAt: now });
+      continue;
+    }
+
+    const { changed } = await finishSession(doc.id, {
+      endedAt: agent.stop_ts ? new Date(agent.stop_ts * 1000) : now,
+      reason: agent.status === 'FAILED' ? 'failed' : 'idle_timeout'
+    });
+    if (changed) {
+      closedCount += 1;
+    }
+  }
+  return closedCount;
+};
+
+/**
+ * Run one metering pass
+ * Skips the tick if the previous one is still running
+ * @returns {Promise<Object>} - { cutoff, reconciled } counts
+ */
+const sweepSessions = async () => {
+  if (sweepInProgress) {
+    return { cutoff: 0, reconciled: 0 };
+  }
+
+  sweepInProgress = true;
+  try {
+    const cutoff = await enforceCutoffs();
+    const reconciled = await reconcileStoppedAgents();
+    return { cutoff, reconciled };
+  } catch (error) {
+    logger.error(`AI agent metering sweep failed: ${error.message}`);
+    return { cutoff: 0, reconciled: 0 };
+  } finally {
+    sweepInProgress = false;
+  }
+};
+
+/**
+ * Start the AI agent metering sweep inside the server process
+ */
+const startMeteringMonitor = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(sweepSessions, METERING.SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweep
+  sweepTimer.unref();
+  logger.info(`AI agent metering monitor started (every ${METERING.SWEEP_INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop the AI agent metering sweep
+ */
+const stopMeteringMonitor = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+    logger.info('AI agent metering monitor stopped');
+  }
+};
+
+module.exports = {
+  SESSION_STATUS,
+  leaveAgent,
+  getAgentStatus,
+  getAgentHistory,
+  reserveAgentSlot,
+  releaseAgentSlot,
+  createSession,
+  getSession,
+  getSessionRef,
+  markTranscriptsDeleted,
+  listSessions,
+  finishSession,
+  sweepSessions,
+  startMeteringMonitor,
+  stopMeteringMonitor
+};
@@ -0,0 +1,234 @@
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const agentSessions = require('./ai-agent-session.service');
+const { AGORA_AI_CONFIG } = require('../config/constants');
+
+// One document per agent session, keyed by agent id; deleting a user's
+// transcripts needs an index on uid
+const TRANSCRIPTS_COLLECTION = 'ai_agent_transcripts';
+
+// Conversational AI event types sent by Agora Notifications (NCS)
+const AGENT_EVENT_TYPES = {
+  101: 'agent_joined',
+  102: 'agent_left',
+  103: 'agent_history',
+  110: 'agent_error',
+  111: 'agent_metrics'
+};
+
+// Roles kept in a transcript; tool calls and system prompts are left out
+const TRANSCRIPT_ROLES = ['user', 'assistant'];
+
+const { TRANSCRIPTS } = AGORA_AI_CONFIG;
+
+/**
+ * Get the transcripts collection reference
+ * @returns {CollectionReference} - Firestore collection
+ */
+const transcriptsCollection = () => getDuckbuckFirestore().collection(TRANSCRIPTS_COLLECTION);
+
+/**
+ * Turn Agora's conversation history into transcript entries
+ * Only the most recent entries that fit the byte budget are kept and long messages are cut
+ * @param {Array<Object>} contents - [{ role, content }] as sent by Agora
+ * @returns {Array<Object>} - [{ role, content }]
+ */
+const toEntries = (contents) => {
+  const entries = (Array.isArray(contents) ? contents : [])
+    .filter(item => item && TRANSCRIPT_ROLES.includes(item.role) && typeof item.content === 'string' && item.content.trim())
+    .map(item => ({
+      role: item.role,
+      content: item.content.slice(0, TRANSCRIPTS.MAX_CONTENT_LENGTH)
+    }))
+    .slice(-TRANSCRIPTS.MAX_ENTRIES);
+
+  // Walk back from the newest entry until the budget is spent
+  let bytes = 0;
+  let first = entries.length;
+  while (first > 0) {
+    bytes += Buffer.byteLength(entries[first - 1].content, 'utf8');
+    if (bytes > TRANSCRIPTS.MAX_BYTES) {
+      break;
+    }
+    first--;
+  }
+  return entries.slice(first);
+};
+
+/**
+ * Store the transcript of an agent session
+ * Agora's history is cumulative, so a shorter copy never replaces a longer one
+ * (e.g. the webhook arriving after the history fetched on stop, or a retry).
+ * Once the user deleted the transcript, late copies are dropped.
+ * @param {string} agentId - Agent id
+ * @param {Array<Object>} contents - [{ role, content }] as sent by Agora
+ * @param {string} source - 'webhook' or 'history_api'
+ * @returns {Promise<Object|null>} - { stored, entryCount }, or null if the agent is not one of ours
+ */
+const saveTranscript = async (agentId, contents, source) => {
+  const session = await agentSessions.getSession(agentId);
+  if (!session) {
+    logger.warn(`Ignoring transcript of unknown AI agent ${agentId}`);
+    return null;
+  }
+
+  const entries = toEntries(contents);
+  // Agora's history only grows; its length tells copies apart even when the caps trim them alike
+  const historyLength = Array.isArray(contents) ? contents.length : 0;
+  const ref = transcriptsCollection().doc(agentId);
+
+  const stored = await getDuckbuckFirestore().runTransaction(async (transaction) => {
+    const [doc, sessionDoc] = await Promise.all([
+      transaction.get(ref),
+      transaction.get(agentSessions.getSessionRef(agentId))
+    ]);
+    if (sessionDoc.exists && sessionDoc.data().transcriptDeletedAt) {
+      return false;
+    }
+    if (doc.exists) {
+      const stored = doc.data();
+      if ((stored.historyLength !== undefined ? stored.historyLength : stored.entryCount || 0) >= historyLength) {
+        return false;
+      }
+    }
+
+    transaction.set(ref, {
+      uid: session.uid,
+      channelName: session.channelName,
+      persona: session.persona || null,
+      entries,
+      entryCount: entries.length,
+      historyLength,
+      source,
+      sessionStartedAt: session.startedAt,
+      capturedAt: new Date()
+    });
+    return true;
+  });
+
+  if (stored) {
+    logger.info(`Stored transcript of AI agent ${agentId} (${entries.length} entries from ${source})`);
+  }
+
+  return { stored, entryCount: entries.length };
+};
+
+/**
+ * Fetch an agent's conversation from Agora and store it
+ * Used just before an agent is removed, in case the webhook never arrives.
+ * Failures are logged; stopping the agent must not depend on it.
+ * @param {string} agentId - Agent id
+ * @param {number} timeoutMs - Timeout of the history request
+ * @returns {Promise<Object|null>} - Result of saveTranscript, or null if nothing was stored
+ */
+const captureAgentHistory = async (agentId, timeoutMs) => {
+  try {
+    const history = await agentSessions.getAgentHistory(agentId, timeoutMs);
+    return await saveTranscript(agentId, history.contents, 'history_api');
+  } catch (error) {
+    logger.warn(`Failed to capture transcript of AI agent ${agentId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Handle a Conversational AI notification from Agora
+ * Only agent_history carries the conversation; other events are just recorded.
+ * @param {string} eventName - Event name from AGENT_EVENT_TYPES
+ * @param {Object} payload - Notification payload
+ * @returns {Promise<void>}
+ */
+const handleAgentEvent = async (eventName, payload) => {
+  if (eventName === 'agent_history' && payload.agent_id) {
+    await saveTranscript(payload.agent_id, payload.contents, 'webhook');
+  } else if (eventName === 'agent_error') {
+    logger.warn(`AI agent ${payload.agent_id} reported an error`, {
+      module: payload.module || null,
+      code: payload.code || null,
+      message: payload.message || null
+    });
+  }
+};
+
+/**
+ * Get the transcript of an agent session
+ * @param {string} agentId - Agent id
+ * @returns {Promise<Object|null>} - Transcript, or null if none was stored
+ */
+const getTranscript = async (agentId) => {
+  const doc = await transcriptsCollection().doc(agentId).get();
+  if (!doc.exists) {
+    return null;
+  }
+
+  const data = doc.data();
+  const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+  return {
+    ...data,
+    agentId: doc.id,
+    sessionStartedAt: toDate(data.sessionStartedAt),
+    capturedAt: toDate(data.capturedAt)
+  };
+};
+
+/**
+ * Delete the transcript of an agent session
+ * The session keeps when it happened, even if nothing was stored yet, so a late
+ * webhook cannot bring the transcript back
+ * @param {string} agentId - Agent id
+ * @returns {Promise<boolean>} - Whether a stored transcript was deleted
+ */
+const deleteTranscript = async (agentId) => {
+  const firestore = getDuckbuckFirestore();
+  const ref = transcriptsCollection().doc(agentId);
+  const doc = await ref.get();
+
+  const batch = firestore.batch();
+  batch.set(agentSessions.getSessionRef(agentId), { transcriptDeletedAt: new Date() }, { merge: true });
+  batch.delete(ref);
+  await batch.commit();
+
+  if (doc.exists) {
+    logger.info(`Deleted transcript of AI agent ${agentId}`);
+  }
+  return doc.exists;
+};
+
+/**
+ * Delete every transcript of a user
+ * Every session is marked first, so copies still on their way are dropped
+ * @param {string} uid - Firebase UID of the owner
+ * @returns {Promise<number>} - Number of transcripts deleted
+ */
+const deleteUserTranscripts = async (uid) => {
+  const firestore = getDuckbuckFirestore();
+  await agentSessions.markTranscriptsDeleted(uid);
+
+  let deleted = 0;
+
+  // Firestore batches hold at most 500 writes
+  for (;;) {
+    const snapshot = await transcriptsCollection().where('uid', '==', uid).limit(500).get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+
+  logger.info(`Deleted ${deleted} AI agent transcripts of user ${uid}`);
+  return deleted;
+};
+
+module.exports = {
+  AGENT_EVENT_TYPES,
+  saveTranscript,
+  captureAgentHistory,
+  handleAgentEvent,
+  getTranscript,
+  deleteTranscript,
+  deleteUserTranscripts
+};
@@ -0,0 +1,307 @@
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const deviceRegistry = require('./device-registry.service');
+const notificationService = require('./notification.service');
+const notificationHistory = require('./notification-history.service');
+const { CALL_CONFIG } = require('../config/constants');
+
+// One document per call invite; the timeout sweep needs a composite index on (status, expiresAt)
+const CALLS_COLLECTION = 'call_sessions';
+
+const CALL_STATUS = {
+  RINGING: 'ringing',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+  MISSED: 'missed',
+  ENDED: 'ended'
+};
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+/**
+ * Convert a stored call document into a plain call object
+ * @param {string} id - Call id
+ * @param {Object} data - Stored call fields
+ * @returns {Object} - Call with Date fields
+ */
+const toCall = (id, data) => {
+  const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+  return {
+    ...data,
+    id,
+    createdAt: toDate(data.createdAt),
+    expiresAt: toDate(data.expiresAt),
+    endedAt: toDate(data.endedAt),
+    answeredAt: toDate(data.answeredAt)
+  };
+};
+
+/**
+ * Get the calls collection reference
+ * @returns {CollectionReference} - Firestore collection
+ */
+const callsCollection = () => getDuckbuckFirestore().collection(CALLS_COLLECTION);
+
+/**
+ * Persist a new call invite
+ * Invites are ringing, unless the callee's preferences suppressed them; those
+ * are stored as missed right away and never ring
+ * @param {Object} invite - { callerUid, calleeUid, channelId, callName, callerPhoto, suppressedReason }
+ * @returns {Promise<Object>} - Stored call
+ */
+const createCall = async ({ callerUid, calleeUid, channelId, callName, callerPhoto, suppressedReason = null }) => {
+  const ref = callsCollection().doc();
+  const now = new Date();
+  const data = {
+    callerUid,
+    calleeUid,
+    channelId,
+    callName: callName || null,
+    callerPhoto: callerPhoto || null,
+    status: suppressedReason ? CALL_STATUS.MISSED : CALL_STATUS.RINGING,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + CALL_CONFIG.RING_TIMEOUT_MS),
+    answeredAt: null,
+    endedAt: suppressedReason ? now : null,
+    endedBy: null,
+    suppressedReason
+  };
+
+  await ref.set(data);
+  logger.info(`Call ${ref.id} created from ${callerUid} to ${calleeUid} on channel ${channelId}`);
+  return toCall(ref.id, data);
+};
+
+/**
+ * Get a call by id
+ * @param {string} callId - Call id
+ * @returns {Promise<Object|null>} - Call, or null if not found
+ */
+const getCall = async (callId) => {
+  const doc = await callsCollection().doc(callId).get();
+  return doc.exists ? toCall(doc.id, doc.data()) : null;
+};
+
+/**
+ * Move a ringing call to its next state
+ * Runs in a transaction so caller and callee can never both win a race
+ * (e.g. accept and cancel at the same moment). A ringing call whose timeout
+ * has passed is marked missed instead of taking the requested state.
+ * @param {string} callId - Call id
+ * @param {string} status - Target status
+ * @param {string} actorUid - Uid of the user making the change, null for the system
+ * @returns {Promise<Object>} - { call, changed } where call is null if not found
+ */
+const transitionCall = async (callId, status, actorUid = null) => {
+  const firestore = getDuckbuckFirestore();
+  const ref = callsCollection().doc(callId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      return { call: null, changed: false };
+    }
+
+    const current = toCall(doc.id, doc.data());
+    if (current.status !== CALL_STATUS.RINGING) {
+      return { call: current, changed: false };
+    }
+
+    const now = new Date();
+    const expired = current.expiresAt && current.expiresAt <= now;
+    const nextStatus = expired ? CALL_STATUS.MISSED : status;
+    const update = {
+      status: nextStatus,
+      endedBy: expired ? null : actorUid
+    };
+
+    if (nextStatus === CALL_STATUS.ACCEPTED) {
+      update.answeredAt = now;
+    } else {
+      update.endedAt = now;
+    }
+
+    transaction.update(ref, update);
+    return { call: { ...current, ...update }, changed: true };
+  });
+};
+
+/**
+ * Mark answered calls on a channel as ended once Agora reports the channel destroyed
+ * @param {string} channelId - Agora channel id
+ * @param {Date} endedAt - When the channel was destroyed
+ * @param {number} durationSeconds - Time both sides were connected, measured by Agora
+ * @returns {Promise<number>} - Number of calls ended
+ */
+const endCallsOnChannel = async (channelId, endedAt, durationSeconds) => {
+  const snapshot = await callsCollection()
+    .where('channelId', '==', channelId)
+    .where('status', '==', CALL_STATUS.ACCEPTED)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    await doc.ref.update({
+      status: CALL_STATUS.ENDED,
+      endedAt,
+      durationSeconds
+    });
+    logger.info(`Call ${doc.id} ended after ${durationSeconds}s on channel ${channelId}`);
+  }
+
+  return snapshot.docs.length;
+};
+
+/**
+ * Send a call status event to every device of the given users
+ * Both sides receive the same event so ringing stops everywhere at once
+ * @param {Object} call - Call after the transition
+ * @param {Array<string>} uids - Users to notify
+ * @returns {Promise<void>}
+ */
+const sendCallStatus = async (call, uids) => {
+  const devicesByUid = await deviceRegistry.getDevicesForUsers(uids);
+  const message = notificationService.buildDataOnlyMessage({
+    type: 'call_status',
+    call_id: call.id,
+    status: call.status,
+    agora_channelid: call.channelId,
+    caller_uid: call.callerUid,
+    callee_uid: call.calleeUid,
+    timestamp: Date.now().toString()
+  });
+
+  const result = await notificationService.sendToManyUsers(devicesByUid, message);
+  await notificationHistory.recordDeliveries(result.recipients.map(recipient => notificationHistory.buildEntry({
+    recipientUid: recipient.uid,
+    senderUid: call.endedBy || null,
+    channel: 'call',
+    message,
+    data: { type: 'call_status' },
+    deliveries: recipient.deliveries
+  })));
+};
+
+/**
+ * Tell the callee they missed a call with a visible notification
+ * @param {Object} call - Missed call
+ * @returns {Promise<void>}
+ */
+const sendMissedCallNotification = async (call) => {
+  const devices = await deviceRegistry.getDevicesForUser(call.calleeUid);
+  const data = {
+    type: 'missed_call',
+    call_id: call.id,
+    caller_uid: call.callerUid,
+    call_name: call.callName || '',
+    caller_photo: call.callerPhoto || ''
+  };
+  const message = notificationService.buildNotificationMessage({
+    title: 'Missed call',
+    body: call.callName ? `Missed call from ${call.callName}` : 'You missed a call',
+    data
+  });
+
+  const result = await notificationService.sendToUserDevices(call.calleeUid, devices, message);
+  await notificationHistory.recordDelivery({
+    recipientUid: call.calleeUid,
+    senderUid: call.callerUid,
+    channel: 'call',
+    message,
+    data,
+    deliveries: result.deliveries
+  });
+};
+
+/**
+ * Notify both sides after a call changed state
+ * Notification failures are logged; the stored call state stays authoritative
+ * @param {Object} call - Call after the transition
+ * @returns {Promise<void>}
+ */
+const notifyCallTransition = async (call) => {
+  try {
+    await sendCallStatus(call, [call.callerUid, call.calleeUid]);
+    if (call.status === CALL_STATUS.MISSED) {
+      await sendMissedCallNotification(call);
+    }
+  } catch (error) {
+    logger.error(`Failed to notify participants of call ${call.id} (${call.status}): ${error.message}`);
+  }
+};
+
+/**
+ * Mark every ringing call past its timeout as missed
+ * Skips the tick if the previous one is still running
+ * @returns {Promise<number>} - Number of calls marked missed
+ */
+const sweepExpiredCalls = async () => {
+  if (sweepInProgress) {
+    return 0;
+  }
+
+  sweepInProgress = true;
+  try {
+    const snapshot = await callsCollection()
+      .where('status', '==', CALL_STATUS.RINGING)
+      .where('expiresAt', '<=', new Date())
+      .orderBy('expiresAt', 'asc')
+      .limit(CALL_CONFIG.SWEEP_BATCH_SIZE)
+      .get();
+
+    let missedCount = 0;
+    for (const doc of snapshot.docs) {
+      const { call, changed } = await transitionCall(doc.id, CALL_STATUS.MISSED);
+      // Another instance (or a late accept) may have handled it first
+      if (changed && call.status === CALL_STATUS.MISSED) {
+        missedCount += 1;
+        logger.info(`Call ${call.id} timed out unanswered`);
+        await notifyCallTransition(call);
+      }
+    }
+    return missedCount;
+  } catch (error) {
+    logger.error(`Call timeout sweep failed: ${error.message}`);
+    return 0;
+  } finally {
+    sweepInProgress = false;
+  }
+};
+
+/**
+ * Start the missed-call sweep inside the server process
+ */
+const startTimeoutMonitor = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(sweepExpiredCalls, CALL_CONFIG.SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweep
+  sweepTimer.unref();
+  logger.info(`Call timeout monitor started (every ${CALL_CONFIG.SWEEP_INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop the missed-call sweep
+ */
+const stopTimeoutMonitor = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+    logger.info('Call timeout monitor stopped');
+  }
+};
+
+module.exports = {
+  CALL_STATUS,
+  createCall,
+  getCall,
+  transitionCall,
+  endCallsOnChannel,
+  notifyCallTransition,
+  sweepExpiredCalls,
+  startTimeoutMonitor,
+  stopTimeoutMonitor
+};
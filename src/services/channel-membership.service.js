@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { FieldValue } = require('@google-cloud/firestore');
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { AGORA_TOKEN_CONFIG } = require('../config/constants');
+
+// One document per Agora channel, keyed by channel id
+const CHANNELS_COLLECTION = 'agora_channels';
+
+/**
+ * Derive the Agora UID of a Firebase user
+ * The same user always gets the same UID, so participants can be identified
+ * in a channel. Agora UIDs are unsigned 32-bit integers; 0 is reserved.
+ * @param {string} firebaseUid - Firebase UID
+ * @returns {number} - Agora UID between 1 and 2^32 - 1
+ */
+const getAgoraUid = (firebaseUid) => {
+  const digest = crypto.createHash('sha256').update(firebaseUid).digest();
+  return (digest.readUInt32BE(0) % 0xFFFFFFFF) + 1;
+};
+
+/**
+ * Check whether a user may join a channel
+ * @param {Object} channel - Stored channel data
+ * @param {string} uid - Firebase UID
+ * @returns {boolean} - Whether the user owns or was invited to the channel
+ */
+const isMember = (channel, uid) => channel.ownerUid === uid || (channel.members || []).includes(uid);
+
+/**
+ * Check whether a user may publish audio/video in a channel
+ * In listen-only channels only the host and promoted speakers may publish
+ * @param {Object} channel - Stored channel data
+ * @param {string} uid - Firebase UID
+ * @returns {boolean} - Whether a publisher token may be issued
+ */
+const canPublish = (channel, uid) => !channel.listenOnly ||
+  channel.ownerUid === uid ||
+  (channel.speakers || []).includes(uid);
+
+/**
+ * Get the call type of a channel, which decides its token lifetime
+ * Channels created before call types were recorded fall back on their mode
+ * @param {Object} channel - Stored channel data
+ * @returns {string} - Key of AGORA_TOKEN_CONFIG.LIFETIME_SECONDS
+ */
+const getCallType = (channel) => {
+  if (channel && channel.callType) {
+    return channel.callType;
+  }
+  return channel && channel.listenOnly ? 'room' : AGORA_TOKEN_CONFIG.DEFAULT_CALL_TYPE;
+};
+
+/**
+ * Build a new channel record
+ * @param {string} ownerUid - Firebase UID of the creator (the host)
+ * @param {Array<string>} members - Invited Firebase UIDs
+ * @param {Object} options - { listenOnly, callType } where listenOnly makes members join as audience
+ * @returns {Object} - Channel data ready to persist
+ */
+const newChannel = (ownerUid, members = [], { listenOnly = false, callType = null } = {}) => {
+  const now = new Date();
+  return {
+    ownerUid,
+    members: [...new Set([ownerUid, ...members])],
+    listenOnly,
+    callType: callType || getCallType({ listenOnly }),
+    speakers: [ownerUid],
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Get the document reference of a channel, for reads inside other services' transactions
+ * @param {string} channelId - Agora channel id
+ * @returns {DocumentReference} - Firestore document
+ */
+const getChannelRef = (channelId) => getDuckbuckFirestore().collection(CHANNELS_COLLECTION).doc(channelId);
+
+/**
+ * Get a channel record
+ * @param {string} channelId - Agora channel id
+ * @returns {Promise<Object|null>} - Channel, or null if it was never created
+ */
+const getChannel = async (channelId) => {
+  const doc = await getChannelRef(channelId).get();
+  return doc.exists ? { channelId, ...doc.data() } : null;
+};
+
+/**
+ * Check that a user may get a token for a channel
+ * A channel nobody has used yet is created and owned by the requesting user
+ * @param {string} channelId - Agora channel id
+ * @param {string} uid - Firebase UID of the requester
+ * @param {Object} options - { listenOnly, callType } applied only when the channel is created
+ * @returns {Promise<Object>} - { allowed, created, channel }
+ */
+const authorizeChannelAccess = async (channelId, uid, options = {}) => {
+  const firestore = getDuckbuckFirestore();
+  const ref = firestore.collection(CHANNELS_COLLECTION).doc(channelId);
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+
+    if (!doc.exists) {
+      const channel = newChannel(uid, [], options);
+      transaction.set(ref, channel);
+      return { allowed: true, created: true, channel: { channelId, ...channel } };
+    }
+
+    const channel = { channelId, ...doc.data() };
+    return { allowed: isMember(channel, uid), created: false, channel };
+  });
+
+  if (result.created) {
+    logger.info(`Agora channel ${channelId} created by user ${uid}`);
+  }
+
+  return result;
+};
+
+/**
+ * Invite users to a channel
+ * The inviter must already be a member; a new channel is owned by the inviter
+ * @param {string} channelId - Agora channel id
+ * @param {string} inviterUid - Firebase UID of the inviting user
+ * @param {Array<string>} inviteeUids - Firebase UIDs to add
+ * @returns {Promise<Object>} - { allowed, channel }
+ */
+const inviteToChannel = async (channelId, inviterUid, inviteeUids) => {
+  const firestore = getDuckbuckFirestore();
+  const ref = firestore.collection(CHANNELS_COLLECTION).doc(channelId);
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+
+    if (!doc.exists) {
+      const channel = newChannel(inviterUid, inviteeUids);
+      transaction.set(ref, channel);
+      return { allowed: true, channel: { channelId, ...channel } };
+    }
+
+    const channel = { channelId, ...doc.data() };
+    if (!isMember(channel, inviterUid)) {
+      return { allowed: false, channel };
+    }
+
+    transaction.update(ref, {
+      members: FieldValue.arrayUnion(...inviteeUids),
+      updatedAt: new Date()
+    });
+
+    return {
+      allowed: true,
+      channel: { ...channel, members: [...new Set([...(channel.members || []), ...inviteeUids])] }
+    };
+  });
+
+  if (result.allowed) {
+    logger.info(`User ${inviterUid} invited ${inviteeUids.length} user(s) to Agora channel ${channelId}`);
+  }
+
+  return result;
+};
+
+/**
+ * Remove a member from a channel
+ * The owner cannot be removed
+ * @param {string} channelId - Agora channel id
+ * @param {string} uid - Firebase UID to remove
+ * @returns {Promise<Object>} - { removed, reason } where reason is set when not removed
+ */
+const removeFromChannel = async (channelId, uid) => {
+  const firestore = getDuckbuckFirestore();
+  const ref = getChannelRef(channelId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      return { removed: false, reason: 'not_found' };
+    }
+    if (doc.data().ownerUid === uid) {
+      return { removed: false, reason: 'owner' };
+    }
+
+    transaction.update(ref, {
+      members: FieldValue.arrayRemove(uid),
+      speakers: FieldValue.arrayRemove(uid),
+      updatedAt: new Date()
+    });
+    return { removed: true, reason: null };
+  });
+};
+
+/**
+ * Grant or revoke a member's permission to publish in a channel
+ * @param {string} channelId - Agora channel id
+ * @param {string} uid - Firebase UID of the member
+ * @param {boolean} allowed - Whether the member may speak
+ * @returns {Promise<Object>} - { updated, reason, channel } where reason is set when not updated
+ */
+const setSpeaker = async (channelId, uid, allowed) => {
+  const firestore = getDuckbuckFirestore();
+  const ref = firestore.collection(CHANNELS_COLLECTION).doc(channelId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      return { updated: false, reason: 'not_found', channel: null };
+    }
+
+    const channel = { channelId, ...doc.data() };
+    if (!isMember(channel, uid)) {
+      return { updated: false, reason: 'not_member', channel };
+    }
+
+    transaction.update(ref, {
+      speakers: allowed ? FieldValue.arrayUnion(uid) : FieldValue.arrayRemove(uid),
+      updatedAt: new Date()
+    });
+
+    const speakers = (channel.speakers || []).filter(speakerUid => speakerUid !== uid);
+    return {
+      updated: true,
+      reason: null,
+      channel: { ...channel, speakers: allowed ? [...speakers, uid] : speakers }
+    };
+  });
+};
+
+module.exports = {
+  getAgoraUid,
+  isMember,
+  canPublish,
+  getCallType,
+  getChannelRef,
+  getChannel,
+  authorizeChannelAccess,
+  inviteToChannel,
+  removeFromChannel,
+  setSpeaker
+};
@@ -0,0 +1,455 @@
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const channelMembership = require('./channel-membership.service');
+const deviceRegistry = require('./device-registry.service');
+const notificationService = require('./notification.service');
+const { AGORA_AI_CONFIG, AGORA_RECORDING_CONFIG } = require('../config/constants');
+
+// One document per Agora channel holding participant consent and the active recording
+const RECORDINGS_COLLECTION = 'agora_recordings';
+// One document per finished recording
+const RECORDING_SESSIONS_COLLECTION = 'agora_recording_sessions';
+
+const RECORDING_STATUS = {
+  IDLE: 'idle',
+  STARTING: 'starting',
+  RECORDING: 'recording',
+  STOPPING: 'stopping'
+};
+
+/**
+ * Get the recording document reference of a channel
+ * @param {string} channelId - Agora channel id
+ * @returns {DocumentReference} - Firestore document
+ */
+const recordingRef = (channelId) => getDuckbuckFirestore().collection(RECORDINGS_COLLECTION).doc(channelId);
+
+/**
+ * Convert a stored recording document into a plain recording object
+ * @param {string} channelId - Agora channel id
+ * @param {Object} data - Stored fields, undefined if nothing was stored yet
+ * @returns {Object} - Recording state with Date fields
+ */
+const toRecording = (channelId, data = {}) => {
+  const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+  return {
+    channelId,
+    status: data.status || RECORDING_STATUS.IDLE,
+    consents: data.consents || {},
+    mode: data.mode || null,
+    resourceId: data.resourceId || null,
+    sid: data.sid || null,
+    startedBy: data.startedBy || null,
+    startedAt: toDate(data.startedAt),
+    updatedAt: toDate(data.updatedAt)
+  };
+};
+
+/**
+ * Call the Agora cloud recording REST API
+ * Authenticates with the customer credentials shared with the AI agent API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /cloud_recording
+ * @param {Object} body - JSON body, omitted for GET
+ * @returns {Promise<Object>} - Parsed response
+ * @throws {Error} - With statusCode 504 on timeout, 502 on network or API errors and agoraStatus set when Agora answered
+ */
+const agoraRequest = async (method, path, body) => {
+  const url = `${AGORA_RECORDING_CONFIG.API_BASE_URL}/${AGORA_AI_CONFIG.APP_ID}/cloud_recording${path}`;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), AGORA_RECORDING_CONFIG.REQUEST_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Basic ${AGORA_AI_CONFIG.BASIC_AUTH}`
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+  } catch (fetchError) {
+    const error = new Error(fetchError.name === 'AbortError'
+      ? `Agora cloud recording ${method} ${path} timed out`
+      : `Network error contacting Agora cloud recording: ${fetchError.message}`);
+    error.statusCode = fetchError.name === 'AbortError' ? 504 : 502;
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    const error = new Error(`Agora cloud recording ${method} ${path} failed with ${response.status}: ${errorData}`);
+    error.statusCode = 502;
+    error.agoraStatus = response.status;
+    throw error;
+  }
+
+  return response.json();
+};
+
+/**
+ * Get the recording state of a channel
+ * @param {string} channelId - Agora channel id
+ * @returns {Promise<Object>} - Recording state; channels never recorded are idle with no consents
+ */
+const getRecording = async (channelId) => {
+  const doc = await recordingRef(channelId).get();
+  return toRecording(channelId, doc.exists ? doc.data() : undefined);
+};
+
+/**
+ * List the channel members who have not opted in to recording
+ * @param {Object} channel - Stored channel data
+ * @param {Object} consents - Consent map of the channel, keyed by Firebase UID
+ * @returns {Array<string>} - Firebase UIDs without consent
+ */
+const getMissingConsents = (channel, consents) => {
+  const participants = [...new Set([channel.ownerUid, ...(channel.members || [])])];
+  return participants.filter(uid => !(consents[uid] && consents[uid].consented));
+};
+
+/**
+ * Tell every channel member that recording started or stopped
+ * Failures are logged; the recording state stays authoritative
+ * @param {Object} channel - Channel record
+ * @param {string} type - 'recording_started' or 'recording_stopped'
+ * @param {string} actorUid - Firebase UID of the member who made the change
+ * @returns {Promise<void>}
+ */
+const notifyMembers = async (channel, type, actorUid) => {
+  try {
+    const uids = [...new Set([channel.ownerUid, ...(channel.members || [])])];
+    const devicesByUid = await deviceRegistry.getDevicesForUsers(uids);
+    await notificationService.sendToManyUsers(devicesByUid, notificationService.buildDataOnlyMessage({
+      type,
+      agora_channelid: channel.channelId,
+      actor_uid: actorUid,
+      timestamp: Date.now().toString()
+    }));
+  } catch (error) {
+    logger.warn(`Failed to notify members of channel ${channel.channelId} of ${type}: ${error.message}`);
+  }
+};
+
+/**
+ * Record whether a participant agrees to the channel being recorded
+ * @param {string} channelId - Agora channel id
+ * @param {string} uid - Firebase UID of the participant
+ * @param {boolean} consented - Whether the participant opts in
+ * @returns {Promise<Object>} - Recording state after the change
+ */
+const setConsent = async (channelId, uid, consented) => {
+  const firestore = getDuckbuckFirestore();
+  const ref = recordingRef(channelId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const current = toRecording(channelId, doc.exists ? doc.data() : undefined);
+    const now = new Date();
+    const consents = { ...current.consents, [uid]: { consented, updatedAt: now } };
+
+    transaction.set(ref, { consents, updatedAt: now }, { merge: true });
+    return { ...current, consents, updatedAt: now };
+  });
+};
+
+/**
+ * Mark a channel as finished recording and keep the session for reference
+ * @param {Object} recording - Recording state before it stopped
+ * @param {Object} details - { stoppedBy, fileList, reason }
+ * @returns {Promise<Object>} - Stored recording session
+ */
+const finishRecording = async (recording, { stoppedBy = null, fileList = [], reason = 'stopped' } = {}) => {
+  const stoppedAt = new Date();
+  const session = {
+    channelId: recording.channelId,
+    mode: recording.mode,
+    resourceId: recording.resourceId,
+    sid: recording.sid,
+    startedBy: recording.startedBy,
+    startedAt: recording.startedAt,
+    stoppedBy,
+    stoppedAt,
+    durationSeconds: recording.startedAt
+      ? Math.round((stoppedAt.getTime() - recording.startedAt.getTime()) / 1000)
+      : 0,
+    reason,
+    fileList
+  };
+
+  await getDuckbuckFirestore().collection(RECORDING_SESSIONS_COLLECTION).add(session);
+  await recordingRef(recording.channelId).set({
+    status: RECORDING_STATUS.IDLE,
+    resourceId: null,
+    sid: null,
+    startedBy: null,
+    startedAt: null,
+    updatedAt: stoppedAt
+  }, { merge: true });
+
+  logger.info(`Cloud recording ${recording.sid} on channel ${recording.channelId} finished (${reason}) after ${session.durationSeconds}s`);
+  return session;
+};
+
+/**
+ * Ask Agora to stop a recorder
+ * @param {Object} recording - Recording state with resourceId, sid and mode
+ * @returns {Promise<Array<Object>>} - Files Agora uploaded; empty if the recorder had already left
+ */
+const stopRecorder = async (recording) => {
+  try {
+    const response = await agoraRequest('POST', `/resourceid/${recording.resourceId}/sid/${recording.sid}/mode/${recording.mode}/stop`, {
+      cname: recording.channelId,
+      uid: AGORA_RECORDING_CONFIG.RECORDER_UID,
+      clientRequest: {}
+    });
+    return (response.serverResponse && response.serverResponse.fileList) || [];
+  } catch (error) {
+    // Agora answers 404 when the recorder already left on its own
+    if (error.agoraStatus !== 404) {
+      throw error;
+    }
+    return [];
+  }
+};
+
+/**
+ * Start recording a channel
+ * Every member of the channel must have opted in. The channel is claimed in a
+ * transaction first, so concurrent requests cannot start two recordings.
+ * Consents are checked again once Agora started, since a member may have
+ * withdrawn or joined while acquire/start were running; the recorder is
+ * stopped at once if anyone is missing.
+ * @param {Object} channel - Stored channel data
+ * @param {string} startedBy - Firebase UID of the member starting the recording
+ * @param {string} recorderToken - RTC token for the recorder UID
+ * @param {string} mode - 'mix' or 'individual'
+ * @returns {Promise<Object>} - { started, reason, missingConsents, recording } where reason is set when not started
+ */
+const startRecording = async (channel, startedBy, recorderToken, mode = AGORA_RECORDING_CONFIG.DEFAULT_MODE) => {
+  const firestore = getDuckbuckFirestore();
+  const { channelId } = channel;
+  const ref = recordingRef(channelId);
+
+  const claim = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const current = toRecording(channelId, doc.exists ? doc.data() : undefined);
+
+    // A start whose process died never releases its claim; it expires instead
+    const claimExpired = current.status === RECORDING_STATUS.STARTING && current.updatedAt &&
+      Date.now() - current.updatedAt.getTime() >= AGORA_RECORDING_CONFIG.START_LOCK_TIMEOUT_MS;
+    if (current.status !== RECORDING_STATUS.IDLE && !claimExpired) {
+      return { started: false, reason: 'already_recording', missingConsents: [], recording: current };
+    }
+
+    const missingConsents = getMissingConsents(channel, current.consents);
+    if (missingConsents.length > 0) {
+      return { started: false, reason: 'consent_missing', missingConsents, recording: current };
+    }
+
+    const update = { status: RECORDING_STATUS.STARTING, mode, startedBy, updatedAt: new Date() };
+    transaction.set(ref, update, { merge: true });
+    return { started: true, reason: null, missingConsents: [], recording: { ...current, ...update } };
+  });
+
+  if (!claim.started) {
+    return claim;
+  }
+
+  const recorderUid = AGORA_RECORDING_CONFIG.RECORDER_UID;
+  const { STORAGE } = AGORA_RECORDING_CONFIG;
+  let resourceId = null;
+  let sid = null;
+
+  try {
+    ({ resourceId } = await agoraRequest('POST', '/acquire', {
+      cname: channelId,
+      uid: recorderUid,
+      clientRequest: {
+        resourceExpiredHour: AGORA_RECORDING_CONFIG.RESOURCE_EXPIRED_HOUR
+      }
+    }));
+
+    ({ sid } = await agoraRequest('POST', `/resourceid/${resourceId}/mode/${mode}/start`, {
+      cname: channelId,
+      uid: recorderUid,
+      clientRequest: {
+        token: recorderToken,
+        recordingConfig: {
+          channelType: 0,
+          streamTypes: 2,
+          maxIdleTime: AGORA_RECORDING_CONFIG.MAX_IDLE_SECONDS,
+          subscribeUidGroup: 0
+        },
+        storageConfig: {
+          vendor: STORAGE.VENDOR,
+          region: STORAGE.REGION,
+          bucket: STORAGE.BUCKET,
+          accessKey: STORAGE.ACCESS_KEY,
+          secretKey: STORAGE.SECRET_KEY,
+          fileNamePrefix: [...STORAGE.FILE_NAME_PREFIX, channelId]
+        }
+      }
+    }));
+
+    const confirmed = await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const channelDoc = await transaction.get(channelMembership.getChannelRef(channelId));
+      const current = toRecording(channelId, doc.exists ? doc.data() : undefined);
+      const latestChannel = channelDoc.exists ? { channelId, ...channelDoc.data() } : channel;
+      const missingConsents = getMissingConsents(latestChannel, current.consents);
+      const now = new Date();
+
+      // Nothing else moves a STARTING recording, so only the consents can have changed
+      const update = missingConsents.length > 0
+        ? { status: RECORDING_STATUS.STOPPING, resourceId, sid, startedAt: now, updatedAt: now }
+        : { status: RECORDING_STATUS.RECORDING, resourceId, sid, startedAt: now, updatedAt: now };
+      transaction.set(ref, update, { merge: true });
+      return { missingConsents, recording: { ...current, ...update } };
+    });
+
+    if (confirmed.missingConsents.length > 0) {
+      logger.warn(`Cloud recording ${sid} on channel ${channelId} lost consent while starting, stopping it`);
+      const fileList = await stopRecorder(confirmed.recording);
+      await finishRecording(confirmed.recording, { stoppedBy: null, fileList, reason: 'consent_missing' });
+      return {
+        started: false,
+        reason: 'consent_missing',
+        missingConsents: confirmed.missingConsents,
+        recording: await getRecording(channelId)
+      };
+    }
+
+    logger.info(`Cloud recording ${sid} started on channel ${channelId} by user ${startedBy}`);
+    return { ...claim, recording: confirmed.recording };
+  } catch (error) {
+    if (sid) {
+      // Agora is already recording; never leave a recorder running that nothing points at
+      try {
+        await stopRecorder({ ...claim.recording, resourceId, sid });
+      } catch (stopError) {
+        logger.error(`Failed to stop cloud recording ${sid} on channel ${channelId} after its start failed: ${stopError.message}`);
+        // Keep it as recording so members can stop it, and consent checks still apply
+        const now = new Date();
+        await ref.set({ status: RECORDING_STATUS.RECORDING, resourceId, sid, startedAt: now, updatedAt: now }, { merge: true });
+        throw error;
+      }
+    }
+
+    // Release the claim so the channel can be recorded again
+    await ref.set({ status: RECORDING_STATUS.IDLE, resourceId: null, sid: null, updatedAt: new Date() }, { merge: true });
+    throw error;
+  }
+};
+
+/**
+ * Ask Agora for the live status of a channel's recording
+ * A recording Agora no longer knows about (e.g. stopped after the channel
+ * stayed empty) is marked finished.
+ * @param {string} channelId - Agora channel id
+ * @returns {Promise<Object>} - { recording, serverResponse } where serverResponse is null when not recording
+ */
+const queryRecording = async (channelId) => {
+  const recording = await getRecording(channelId);
+  if (recording.status !== RECORDING_STATUS.RECORDING) {
+    return { recording, serverResponse: null };
+  }
+
+  try {
+    const response = await agoraRequest('GET', `/resourceid/${recording.resourceId}/sid/${recording.sid}/mode/${recording.mode}/query`);
+    return { recording, serverResponse: response.serverResponse || null };
+  } catch (error) {
+    if (error.agoraStatus !== 404) {
+      throw error;
+    }
+
+    await finishRecording(recording, { reason: 'ended_by_agora' });
+    return { recording: await getRecording(channelId), serverResponse: null };
+  }
+};
+
+/**
+ * Stop a channel's recording
+ * @param {string} channelId - Agora channel id
+ * @param {string} stoppedBy - Firebase UID of the member stopping it
+ * @param {string} reason - Why the recording stopped, kept on the session
+ * @returns {Promise<Object>} - { stopped, session, recording } where session is null when nothing was recording
+ */
+const stopRecording = async (channelId, stoppedBy, reason = 'stopped') => {
+  const firestore = getDuckbuckFirestore();
+  const ref = recordingRef(channelId);
+
+  const claim = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const current = toRecording(channelId, doc.exists ? doc.data() : undefined);
+
+    if (current.status !== RECORDING_STATUS.RECORDING) {
+      return { stopping: false, recording: current };
+    }
+
+    transaction.update(ref, { status: RECORDING_STATUS.STOPPING, updatedAt: new Date() });
+    return { stopping: true, recording: current };
+  });
+
+  if (!claim.stopping) {
+    return { stopped: false, session: null, recording: claim.recording };
+  }
+
+  const { recording } = claim;
+  let fileList;
+
+  try {
+    fileList = await stopRecorder(recording);
+  } catch (error) {
+    // Anything but "already left" is retried by the client
+    await ref.update({ status: RECORDING_STATUS.RECORDING, updatedAt: new Date() });
+    throw error;
+  }
+
+  const session = await finishRecording(recording, { stoppedBy, fileList, reason });
+  return { stopped: true, session, recording: await getRecording(channelId) };
+};
+
+/**
+ * Stop a channel's recording if a member who has not consented was added to it
+ * Called after every invite; the member is not recorded for longer than the stop takes.
+ * @param {Object} channel - Channel record after the invite
+ * @param {string} actorUid - Firebase UID of the inviting member
+ * @returns {Promise<boolean>} - Whether a recording was stopped
+ */
+const enforceRecordingConsent = async (channel, actorUid) => {
+  const recording = await getRecording(channel.channelId);
+  if (recording.status !== RECORDING_STATUS.RECORDING) {
+    // A recording still starting re-checks consents before it goes live
+    return false;
+  }
+
+  const missingConsents = getMissingConsents(channel, recording.consents);
+  if (missingConsents.length === 0) {
+    return false;
+  }
+
+  logger.info(`Stopping recording of channel ${channel.channelId}: ${missingConsents.length} member(s) without consent added by user ${actorUid}`);
+  const { stopped } = await stopRecording(channel.channelId, actorUid, 'consent_missing');
+  if (stopped) {
+    await notifyMembers(channel, 'recording_stopped', actorUid);
+  }
+  return stopped;
+};
+
+module.exports = {
+  RECORDING_STATUS,
+  getRecording,
+  getMissingConsents,
+  notifyMembers,
+  enforceRecordingConsent,
+  setConsent,
+  startRecording,
+  queryRecording,
+  stopRecording
+};
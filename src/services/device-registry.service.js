@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const { FieldPath, FieldValue } = require('@google-cloud/firestore');
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { NOTIFICATION_CONFIG } = require('../config/constants');
+
+// Owner of each registered FCM token, keyed by a hash of the token
+const TOKEN_OWNERS_COLLECTION = 'fcm_token_owners';
+
+// Device ids reserved for tokens stored in the pre-registry user document fields
+const PRIMARY_DEVICE_ID = 'primary';
+const LEGACY_DEVICE_ID = 'legacy';
+
+// Process-wide counters for tokens removed after FCM reported them dead
+const pruneStats = {
+  prunedTokens: 0,
+  pruneFailures: 0,
+  lastPrunedAt: null
+};
+
+/**
+ * Build the list of registered devices from a user document
+ * Includes tokens from the legacy fcmTokenData/fcmToken fields so older
+ * app versions keep receiving pushes until they register a device
+ * @param {Object} userData - Firestore user document data
+ * @returns {Array<Object>} - Devices as { deviceId, token, platform, updatedAt }
+ */
+const extractDevices = (userData = {}) => {
+  const devices = [];
+  const seenTokens = new Set();
+
+  const addDevice = (deviceId, token, platform, updatedAt = null) => {
+    if (!token || seenTokens.has(token)) {
+      return;
+    }
+    seenTokens.add(token);
+    devices.push({
+      deviceId,
+      token,
+      platform: platform || 'unknown',
+      updatedAt
+    });
+  };
+
+  Object.entries(userData.fcmDevices || {}).forEach(([deviceId, device]) => {
+    if (device) {
+      addDevice(deviceId, device.token, device.platform, device.updatedAt || null);
+    }
+  });
+
+  // Fallback to the single-token structures written by older clients
+  if (userData.fcmTokenData) {
+    addDevice(PRIMARY_DEVICE_ID, userData.fcmTokenData.token, userData.fcmTokenData.platform);
+  }
+  addDevice(LEGACY_DEVICE_ID, userData.fcmToken, 'unknown');
+
+  return devices;
+};
+
+/**
+ * Get every registered device for a user from the duckbuck database
+ * @param {string} uid - Firebase UID of the user
+ * @returns {Promise<Array<Object>>} - Registered devices, empty if none or user missing
+ */
+const getDevicesForUser = async (uid) => {
+  const firestore = getDuckbuckFirestore();
+  const doc = await firestore.collection('users').doc(uid).get();
+
+  if (!doc.exists) {
+    logger.warn(`No user document found for ${uid} in duckbuck database`);
+    return [];
+  }
+
+  const devices = extractDevices(doc.data());
+  if (devices.length === 0) {
+    logger.warn(`No FCM devices registered for user ${uid} in duckbuck database`);
+  }
+
+  return devices;
+};
+
+/**
+ * Get registered devices for many users with a single batched read
+ * @param {Array<string>} uids - Firebase UIDs of the users
+ * @returns {Promise<Map<string, Array<Object>>>} - Devices keyed by uid, empty lists for missing users
+ */
+const getDevicesForUsers = async (uids) => {
+  const devicesByUid = new Map();
+  if (!uids || uids.length === 0) {
+    return devicesByUid;
+  }
+
+  const firestore = getDuckbuckFirestore();
+  const refs = uids.map(uid => firestore.collection('users').doc(uid));
+  const docs = await firestore.getAll(...refs);
+
+  docs.forEach((doc, index) => {
+    devicesByUid.set(uids[index], doc.exists ? extractDevices(doc.data()) : []);
+  });
+
+  return devicesByUid;
+};
+
+/**
+ * Get the index entry recording which user holds a token
+ * Tokens are hashed since they are longer than is comfortable for a document id
+ * @param {string} token - FCM registration token
+ * @returns {DocumentReference} - Firestore document
+ */
+const tokenOwnerRef = (token) => getDuckbuckFirestore()
+  .collection(TOKEN_OWNERS_COLLECTION)
+  .doc(crypto.createHash('sha256').update(token).digest('hex'));
+
+/**
+ * Register (or refresh) a device token for a user
+ * A token moving to a new deviceId replaces the old entry, and the
+ * least recently updated devices are evicted past the per-user limit.
+ * A token belongs to one user at a time: when another account signs in on
+ * the same device, the token is removed from the previous owner, found
+ * through the token index.
+ * @param {string} uid - Firebase UID of the user
+ * @param {Object} device - { deviceId, token, platform }
+ * @returns {Promise<Array<Object>|null>} - Updated device list, or null if the user does not exist
+ */
+const registerDevice = async (uid, { deviceId, token, platform }) => {
+  const firestore = getDuckbuckFirestore();
+  const userRef = firestore.collection('users').doc(uid);
+  const ownerRef = tokenOwnerRef(token);
+
+  return firestore.runTransaction(async (transaction) => {
+    const [doc, ownerDoc] = await Promise.all([transaction.get(userRef), transaction.get(ownerRef)]);
+    if (!doc.exists) {
+      return null;
+    }
+
+    // Every read has to happen before the first write
+    const previousUid = ownerDoc.exists ? ownerDoc.data().uid : null;
+    const previousRef = previousUid && previousUid !== uid ? firestore.collection('users').doc(previousUid) : null;
+    const previousDoc = previousRef ? await transaction.get(previousRef) : null;
+
+    const now = new Date().toISOString();
+    const existing = doc.data().fcmDevices || {};
+    const devices = {};
+
+    // Drop any other device entry holding the same token (app reinstall, id reset)
+    Object.entries(existing).forEach(([id, entry]) => {
+      if (id !== deviceId && entry && entry.token !== token) {
+        devices[id] = entry;
+      }
+    });
+
+    devices[deviceId] = {
+      token,
+      platform: platform || 'unknown',
+      registeredAt: (existing[deviceId] && existing[deviceId].registeredAt) || now,
+      updatedAt: now
+    };
+
+    // Evict the stalest devices beyond the per-user limit
+    const maxDevices = NOTIFICATION_CONFIG.MAX_DEVICES_PER_USER;
+    const ids = Object.keys(devices)
+      .sort((a, b) => (devices[b].updatedAt || '').localeCompare(devices[a].updatedAt || ''));
+    ids.slice(maxDevices).forEach(id => {
+      logger.info(`Evicting stale FCM device ${id} for user ${uid}`);
+      delete devices[id];
+    });
+
+    // The index can be stale (token since replaced), so only matching entries are removed
+    if (previousDoc && previousDoc.exists) {
+      const previousData = previousDoc.data();
+      const updates = {};
+
+      Object.entries(previousData.fcmDevices || {}).forEach(([id, entry]) => {
+        if (entry && entry.token === token) {
+          updates[`fcmDevices.${id}`] = FieldValue.delete();
+        }
+      });
+      if (previousData.fcmTokenData && previousData.fcmTokenData.token === token) {
+        updates.fcmTokenData = FieldValue.delete();
+      }
+      if (previousData.fcmToken === token) {
+        updates.fcmToken = FieldValue.delete();
+      }
+
+      if (Object.keys(updates).length > 0) {
+        transaction.update(previousRef, updates);
+        logger.info(`FCM token moved from user ${previousUid} to user ${uid}`);
+      }
+    }
+
+    transaction.update(userRef, { fcmDevices: devices });
+    transaction.set(ownerRef, { uid, deviceId, updatedAt: now });
+
+    return extractDevices({ ...doc.data(), fcmDevices: devices });
+  });
+};
+
+/**
+ * Remove a registered device for a user
+ * @param {string} uid - Firebase UID of the user
+ * @param {string} deviceId - Device identifier to remove
+ * @returns {Promise<Object|null>} - Removed device as { deviceId, token, platform, updatedAt }, or null if none
+ */
+const unregisterDevice = async (uid, deviceId) => {
+  const firestore = getDuckbuckFirestore();
+  const userRef = firestore.collection('users').doc(uid);
+  const doc = await userRef.get();
+
+  if (!doc.exists) {
+    return null;
+  }
+
+  const userData = doc.data();
+  const device = extractDevices(userData).find(entry => entry.deviceId === deviceId);
+
+  if (userData.fcmDevices && userData.fcmDevices[deviceId]) {
+    await userRef.update(new FieldPath('fcmDevices', deviceId), FieldValue.delete());
+    return device || null;
+  }
+
+  // Allow clearing the legacy single-token fields through the same endpoint
+  if (deviceId === PRIMARY_DEVICE_ID && userData.fcmTokenData) {
+    await userRef.update({ fcmTokenData: FieldValue.delete() });
+    return device || null;
+  }
+
+  if (deviceId === LEGACY_DEVICE_ID && userData.fcmToken) {
+    await userRef.update({ fcmToken: FieldValue.delete() });
+    return device || null;
+  }
+
+  return null;
+};
+
+/**
+ * Remove tokens FCM reported as unregistered or invalid from a user document
+ * Matches on the token value so a device re-registered since the send keeps its new token
+ * @param {string} uid - Firebase UID of the user
+ * @param {Array<string>} tokens - Dead FCM tokens
+ * @returns {Promise<Array<string>>} - Tokens actually removed, empty if none matched or the prune failed
+ */
+const pruneTokens = async (uid, tokens) => {
+  if (!tokens || tokens.length === 0) {
+    return [];
+  }
+
+  const firestore = getDuckbuckFirestore();
+  const userRef = firestore.collection('users').doc(uid);
+  const deadTokens = new Set(tokens);
+
+  try {
+    const prunedTokens = await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      if (!doc.exists) {
+        return [];
+      }
+
+      const userData = doc.data();
+      const updates = {};
+      const removed = new Set();
+
+      Object.entries(userData.fcmDevices || {}).forEach(([deviceId, device]) => {
+        if (device && deadTokens.has(device.token)) {
+          updates[`fcmDevices.${deviceId}`] = FieldValue.delete();
+          removed.add(device.token);
+        }
+      });
+
+      if (userData.fcmTokenData && deadTokens.has(userData.fcmTokenData.token)) {
+        updates.fcmTokenData = FieldValue.delete();
+        removed.add(userData.fcmTokenData.token);
+      }
+
+      if (userData.fcmToken && deadTokens.has(userData.fcmToken)) {
+        updates.fcmToken = FieldValue.delete();
+        removed.add(userData.fcmToken);
+      }
+
+      if (removed.size > 0) {
+        transaction.update(userRef, updates);
+      }
+
+      return [...removed];
+    });
+
+    if (prunedTokens.length > 0) {
+      pruneStats.prunedTokens += prunedTokens.length;
+      pruneStats.lastPrunedAt = new Date().toISOString();
+      logger.info(`Pruned ${prunedTokens.length} dead FCM token(s) for user ${uid}`);
+    }
+
+    return prunedTokens;
+  } catch (error) {
+    pruneStats.pruneFailures++;
+    logger.error(`Failed to prune dead FCM tokens for user ${uid}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Get the FCM topics a user is subscribed to
+ * @param {string} uid - Firebase UID of the user
+ * @returns {Promise<Array<string>>} - Topic names, empty if none or user missing
+ */
+const getTopicsForUser = async (uid) => {
+  const firestore = getDuckbuckFirestore();
+  const doc = await firestore.collection('users').doc(uid).get();
+
+  if (!doc.exists) {
+    return [];
+  }
+
+  return doc.data().fcmTopics || [];
+};
+
+/**
+ * Record or clear a topic subscription on the user document
+ * Lets devices registered later be subscribed to the same topics
+ * @param {string} uid - Firebase UID of the user
+ * @param {string} topic - FCM topic name
+ * @param {boolean} subscribed - Whether the user is now subscribed
+ * @returns {Promise<void>}
+ */
+const setTopicSubscription = async (uid, topic, subscribed) => {
+  const firestore = getDuckbuckFirestore();
+  // merge rather than update, which fails with NOT_FOUND on a missing user document
+  await firestore.collection('users').doc(uid).set({
+    fcmTopics: subscribed ? FieldValue.arrayUnion(topic) : FieldValue.arrayRemove(topic)
+  }, { merge: true });
+};
+
+/**
+ * Get counters for dead token pruning since process start
+ * @returns {Object} - { prunedTokens, pruneFailures, lastPrunedAt }
+ */
+const getPruneStats = () => ({ ...pruneStats });
+
+module.exports = {
+  extractDevices,
+  getDevicesForUser,
+  getDevicesForUsers,
+  registerDevice,
+  unregisterDevice,
+  pruneTokens,
+  getTopicsForUser,
+  setTopicSubscription,
+  getPruneStats
+};
@@ -4,6 +4,8 @@ const logger = require('../utils/logger');
 const checkDiskSpace = require('check-disk-space').default;
 const { networkInterfaces } = require('os');
 const { SECURITY_CONFIG } = require('../config/constants');
+const deviceRegistry = require('./device-registry.service');
+const agoraWebhookService = require('./agora-webhook.service');
 
 /**
  * Comprehensive health check service
@@ -51,7 +53,9 @@ class HealthService {
         database: dbStatus,
         firebase: firebaseStatus,
         resources: resourceUsage,
-        cloud: cloudInfo
+        cloud: cloudInfo,
+        notifications: this.getNotificationStats(),
+        agoraWebhooks: agoraWebhookService.getWebhookStats()
       };
     } catch (error) {
       logger.error('Error generating health report:', error);
@@ -204,6 +208,16 @@ class HealthService {
     }
   }
 
+  /**
+   * Get notification delivery maintenance counters
+   * @returns {Object} Notification statistics since process start
+   */
+  getNotificationStats() {
+    return {
+      tokenPruning: deviceRegistry.getPruneStats()
+    };
+  }
+
   /**
    * Get system resource usage
    * @returns {Object} Resource usage information
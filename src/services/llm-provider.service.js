@@ -0,0 +1,169 @@
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { AGORA_AI_CONFIG } = require('../config/constants');
+
+// One document per provider marked healthy or unhealthy, shared by every instance
+const PROVIDER_HEALTH_COLLECTION = 'ai_llm_provider_health';
+
+const { LLM } = AGORA_AI_CONFIG;
+
+let healthCache = { loadedAt: 0, marks: {} };
+
+/**
+ * Check whether a provider has everything needed to serve requests
+ * @param {string} name - Provider name
+ * @returns {boolean} - Whether the provider exists with a URL, model and (unless optional) API key
+ */
+const isConfigured = (name) => {
+  const provider = LLM.PROVIDERS[name];
+  return Boolean(provider && provider.URL && provider.MODEL && (provider.API_KEY || provider.API_KEY_OPTIONAL));
+};
+
+/**
+ * Get the settings of a provider
+ * @param {string} name - Provider name
+ * @returns {Object|null} - { name, url, apiKey, model, params }, or null if not configured
+ */
+const getProviderConfig = (name) => {
+  if (!isConfigured(name)) {
+    return null;
+  }
+
+  const provider = LLM.PROVIDERS[name];
+  return {
+    name,
+    url: provider.URL,
+    apiKey: provider.API_KEY || '',
+    model: provider.MODEL,
+    params: provider.PARAMS || {}
+  };
+};
+
+/**
+ * Load provider health marks, cached for a short time per instance
+ * A failed read keeps the last known marks so joins are never blocked by it
+ * @returns {Promise<Object>} - Health marks keyed by provider name
+ */
+const loadHealthMarks = async () => {
+  if (Date.now() - healthCache.loadedAt < LLM.HEALTH_CACHE_TTL_MS) {
+    return healthCache.marks;
+  }
+
+  try {
+    const snapshot = await getDuckbuckFirestore().collection(PROVIDER_HEALTH_COLLECTION).get();
+    const marks = {};
+    snapshot.docs.forEach(doc => {
+      marks[doc.id] = doc.data();
+    });
+    healthCache = { loadedAt: Date.now(), marks };
+  } catch (error) {
+    logger.warn(`Failed to load LLM provider health: ${error.message}`);
+  }
+
+  return healthCache.marks;
+};
+
+/**
+ * Check whether a health mark lets a provider serve requests
+ * Unhealthy marks with an expiry stop applying once it passes
+ * @param {Object} mark - Stored health mark, undefined if never marked
+ * @returns {boolean} - Whether the provider is healthy
+ */
+const isHealthy = (mark) => {
+  if (!mark || mark.healthy !== false) {
+    return true;
+  }
+
+  const until = mark.unhealthyUntil && typeof mark.unhealthyUntil.toDate === 'function'
+    ? mark.unhealthyUntil.toDate()
+    : mark.unhealthyUntil;
+  return Boolean(until && until <= new Date());
+};
+
+/**
+ * Choose the LLM provider for a new agent
+ * The primary provider is used while healthy, otherwise the fallback. When both
+ * are unhealthy the primary is used anyway, since an agent without an LLM is useless.
+ * @returns {Promise<Object|null>} - Provider config plus { fallback } flag, or null if none is configured
+ */
+const selectProvider = async () => {
+  const candidates = [...new Set([LLM.PRIMARY_PROVIDER, LLM.FALLBACK_PROVIDER])].filter(isConfigured);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const marks = await loadHealthMarks();
+  const healthy = candidates.find(name => isHealthy(marks[name]));
+
+  if (!healthy) {
+    logger.warn(`All LLM providers are marked unhealthy, using ${candidates[0]}`);
+  } else if (healthy !== LLM.PRIMARY_PROVIDER) {
+    logger.warn(`LLM provider ${LLM.PRIMARY_PROVIDER} unavailable, falling back to ${healthy}`);
+  }
+
+  const name = healthy || candidates[0];
+  return { ...getProviderConfig(name), fallback: name !== LLM.PRIMARY_PROVIDER };
+};
+
+/**
+ * Mark a provider healthy or unhealthy for every instance
+ * @param {string} name - Provider name
+ * @param {boolean} healthy - Whether the provider may serve requests
+ * @param {Object} details - { reason, durationMinutes, updatedBy } where durationMinutes ends an unhealthy mark automatically
+ * @returns {Promise<Object>} - Stored health mark
+ */
+const markProviderHealth = async (name, healthy, { reason = null, durationMinutes = null, updatedBy = null } = {}) => {
+  const now = new Date();
+  const mark = {
+    healthy,
+    reason: healthy ? null : reason,
+    unhealthyUntil: !healthy && durationMinutes ? new Date(now.getTime() + durationMinutes * 60 * 1000) : null,
+    updatedBy,
+    updatedAt: now
+  };
+
+  await getDuckbuckFirestore().collection(PROVIDER_HEALTH_COLLECTION).doc(name).set(mark);
+
+  // This instance sees the change at once; others within the cache TTL
+  healthCache = { loadedAt: 0, marks: {} };
+
+  logger.info(`LLM provider ${name} marked ${healthy ? 'healthy' : 'unhealthy'} by ${updatedBy || 'system'}${reason ? `: ${reason}` : ''}`);
+  return mark;
+};
+
+/**
+ * List every provider with its configuration state and health
+ * @returns {Promise<Array<Object>>} - Providers
+ */
+const listProviders = async () => {
+  const marks = await loadHealthMarks();
+
+  return Object.keys(LLM.PROVIDERS).map(name => {
+    const mark = marks[name] || {};
+    let role = null;
+    if (name === LLM.PRIMARY_PROVIDER) {
+      role = 'primary';
+    } else if (name === LLM.FALLBACK_PROVIDER) {
+      role = 'fallback';
+    }
+
+    return {
+      name,
+      role,
+      configured: isConfigured(name),
+      model: LLM.PROVIDERS[name].MODEL || null,
+      healthy: isHealthy(marks[name]),
+      reason: mark.reason || null,
+      unhealthyUntil: mark.unhealthyUntil && typeof mark.unhealthyUntil.toDate === 'function'
+        ? mark.unhealthyUntil.toDate()
+        : mark.unhealthyUntil || null
+    };
+  });
+};
+
+module.exports = {
+  getProviderConfig,
+  selectProvider,
+  markProviderHealth,
+  listProviders
+};
@@ -0,0 +1,135 @@
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { getDeliveryStatus } = require('./notification.service');
+
+// Firestore collection holding one document per recipient per send
+// Listing by recipient needs a composite index on (recipientUid, createdAt desc)
+const HISTORY_COLLECTION = 'notification_history';
+
+/**
+ * Build a history entry from a send result
+ * @param {Object} params - Send details
+ * @param {string} params.recipientUid - Recipient uid (or null for topic sends)
+ * @param {string} params.senderUid - Authenticated sender uid, null for system sends
+ * @param {string} params.channel - 'direct', 'data_only', 'batch', 'topic', 'scheduled' or 'call'
+ * @param {Object} params.message - FCM message that was sent
+ * @param {Object} params.data - Caller supplied data payload
+ * @param {Array<Object>} params.deliveries - Per-device deliveries
+ * @param {string} params.topic - Topic or condition for topic sends
+ * @param {string} params.suppressedReason - Preference decision reason when the send was suppressed
+ * @returns {Object} - History entry ready to persist
+ */
+const buildEntry = ({
+  recipientUid,
+  senderUid = null,
+  channel,
+  message,
+  data = {},
+  deliveries = [],
+  topic = null,
+  suppressedReason = null
+}) => {
+  const notification = message.notification || {};
+  const messageIds = deliveries
+    .filter(delivery => delivery.success && delivery.messageId)
+    .map(delivery => delivery.messageId);
+
+  let outcome = getDeliveryStatus(deliveries);
+  if (suppressedReason) {
+    outcome = 'suppressed';
+  } else if (topic) {
+    outcome = messageIds.length > 0 ? 'sent' : 'failed';
+  }
+
+  return {
+    recipientUid: recipientUid || null,
+    senderUid,
+    channel,
+    topic,
+    type: (data && data.type) || (message.data && message.data.type) || 'notification',
+    title: notification.title || null,
+    body: notification.body || null,
+    dataKeys: Object.keys(data || {}),
+    messageIds,
+    outcome,
+    suppressedReason,
+    deviceCount: deliveries.length,
+    successCount: deliveries.filter(delivery => delivery.success).length,
+    errors: deliveries.filter(delivery => !delivery.success).map(delivery => delivery.error),
+    createdAt: new Date()
+  };
+};
+
+/**
+ * Persist history entries for a send
+ * History is best effort: failures are logged and never fail the send
+ * @param {Array<Object>} entries - Entries from buildEntry
+ * @returns {Promise<void>}
+ */
+const recordDeliveries = async (entries) => {
+  if (!entries || entries.length === 0) {
+    return;
+  }
+
+  try {
+    const firestore = getDuckbuckFirestore();
+    const collection = firestore.collection(HISTORY_COLLECTION);
+
+    // Firestore batches are limited to 500 writes
+    for (let offset = 0; offset < entries.length; offset += 500) {
+      const batch = firestore.batch();
+      entries.slice(offset, offset + 500).forEach(entry => {
+        batch.set(collection.doc(), entry);
+      });
+      await batch.commit();
+    }
+  } catch (error) {
+    logger.error(`Failed to record notification history: ${error.message}`, {
+      entryCount: entries.length
+    });
+  }
+};
+
+/**
+ * Persist a single history entry
+ * @param {Object} params - Same parameters as buildEntry
+ * @returns {Promise<void>}
+ */
+const recordDelivery = (params) => recordDeliveries([buildEntry(params)]);
+
+/**
+ * Get the notification history of a user, newest first
+ * @param {string} uid - Recipient uid
+ * @param {Object} options - { limit, before } where before is an ISO timestamp cursor
+ * @returns {Promise<Array<Object>>} - History entries
+ */
+const getHistoryForUser = async (uid, { limit = 20, before = null } = {}) => {
+  let query = getDuckbuckFirestore()
+    .collection(HISTORY_COLLECTION)
+    .where('recipientUid', '==', uid)
+    .orderBy('createdAt', 'desc');
+
+  if (before) {
+    query = query.where('createdAt', '<', new Date(before));
+  }
+
+  const snapshot = await query.limit(limit).get();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      createdAt: data.createdAt && typeof data.createdAt.toDate === 'function'
+        ? data.createdAt.toDate().toISOString()
+        : data.createdAt
+    };
+  });
+};
+
+module.exports = {
+  buildEntry,
+  recordDelivery,
+  recordDeliveries,
+  getHistoryForUser
+};
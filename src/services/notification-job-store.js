@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const { FieldValue } = require('@google-cloud/firestore');
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  SUPPRESSED: 'suppressed'
+};
+
+/**
+ * Convert a stored job document into a plain job object
+ * Firestore returns Timestamps; callers always work with Date instances
+ * @param {string} id - Job id
+ * @param {Object} data - Stored job fields
+ * @returns {Object} - Job object
+ */
+const toJob = (id, data) => {
+  const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+  return {
+    ...data,
+    id,
+    sendAt: toDate(data.sendAt),
+    claimedAt: toDate(data.claimedAt),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt)
+  };
+};
+
+/**
+ * Scheduled notification jobs persisted in the duckbuck Firestore database
+ * Queries on (status, sendAt), (status, claimedAt) and (createdBy, status, sendAt)
+ * need composite indexes
+ */
+class FirestoreJobStore {
+  constructor(collectionName = 'scheduled_notifications') {
+    this.collectionName = collectionName;
+  }
+
+  /**
+   * Get the jobs collection reference
+   * @returns {CollectionReference} - Firestore collection
+   */
+  collection() {
+    return getDuckbuckFirestore().collection(this.collectionName);
+  }
+
+  /**
+   * Persist a new pending job
+   * @param {Object} job - { uid, createdBy, payload, sendAt, timeZone }
+   * @returns {Promise<Object>} - Stored job
+   */
+  async create(job) {
+    const ref = this.collection().doc();
+    const now = new Date();
+    const data = {
+      ...job,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    await ref.set(data);
+    return toJob(ref.id, data);
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} - Job, or null if not found
+   */
+  async get(id) {
+    const doc = await this.collection().doc(id).get();
+    return doc.exists ? toJob(doc.id, doc.data()) : null;
+  }
+
+  /**
+   * Cancel a job that has not been dispatched yet
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} - Whether the job was cancelled
+   */
+  async cancel(id) {
+    const firestore = getDuckbuckFirestore();
+    const ref = this.collection().doc(id);
+
+    return firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || doc.data().status !== JOB_STATUS.PENDING) {
+        return false;
+      }
+      transaction.update(ref, { status: JOB_STATUS.CANCELLED, updatedAt: new Date() });
+      return true;
+    });
+  }
+
+  /**
+   * List pending jobs created by a user, soonest first
+   * @param {string} createdBy - Firebase UID of the creator
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array<Object>>} - Pending jobs
+   */
+  async listPending(createdBy, limit = 50) {
+    const snapshot = await this.collection()
+      .where('createdBy', '==', createdBy)
+      .where('status', '==', JOB_STATUS.PENDING)
+      .orderBy('sendAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => toJob(doc.id, doc.data()));
+  }
+
+  /**
+   * Claim due jobs for dispatch
+   * Each job is moved to processing in its own transaction so concurrent
+   * instances never dispatch the same job twice
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number of jobs to claim
+   * @returns {Promise<Array<Object>>} - Claimed jobs
+   */
+  async claimDue(now, limit) {
+    const firestore = getDuckbuckFirestore();
+    const snapshot = await this.collection()
+      .where('status', '==', JOB_STATUS.PENDING)
+      .where('sendAt', '<=', now)
+      .orderBy('sendAt', 'asc')
+      .limit(limit)
+      .get();
+
+    const claimed = [];
+    for (const candidate of snapshot.docs) {
+      try {
+        const job = await firestore.runTransaction(async (transaction) => {
+          const doc = await transaction.get(candidate.ref);
+          if (!doc.exists || doc.data().status !== JOB_STATUS.PENDING) {
+            return null;
+          }
+          const claimedAt = new Date();
+          transaction.update(candidate.ref, {
+            status: JOB_STATUS.PROCESSING,
+            attempts: FieldValue.increment(1),
+            claimedAt,
+            updatedAt: claimedAt
+          });
+          const data = doc.data();
+          return toJob(doc.id, { ...data, status: JOB_STATUS.PROCESSING, attempts: (data.attempts || 0) + 1, claimedAt });
+        });
+        if (job) {
+          claimed.push(job);
+        }
+      } catch (error) {
+        logger.error(`Failed to claim scheduled notification ${candidate.id}: ${error.message}`);
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Put back jobs whose dispatcher died after claiming them
+   * A job still processing after the lease is claimable again, unless it has
+   * used all its attempts, in which case it is marked failed
+   * @param {Date} now - Current time
+   * @param {number} leaseMs - How long a claim is held
+   * @param {number} maxAttempts - Attempts after which a job is given up
+   * @returns {Promise<number>} - Number of jobs released
+   */
+  async requeueStale(now, leaseMs, maxAttempts) {
+    const firestore = getDuckbuckFirestore();
+    const expiredBefore = new Date(now.getTime() - leaseMs);
+    const snapshot = await this.collection()
+      .where('status', '==', JOB_STATUS.PROCESSING)
+      .where('claimedAt', '<=', expiredBefore)
+      .get();
+
+    let released = 0;
+    for (const candidate of snapshot.docs) {
+      try {
+        const requeued = await firestore.runTransaction(async (transaction) => {
+          const doc = await transaction.get(candidate.ref);
+          if (!doc.exists || doc.data().status !== JOB_STATUS.PROCESSING ||
+            toJob(doc.id, doc.data()).claimedAt > expiredBefore) {
+            return false;
+          }
+          transaction.update(candidate.ref, (doc.data().attempts || 0) >= maxAttempts
+            ? { status: JOB_STATUS.FAILED, error: 'lease_expired', updatedAt: new Date() }
+            : { status: JOB_STATUS.PENDING, sendAt: now, updatedAt: new Date() });
+          return true;
+        });
+        if (requeued) {
+          released++;
+          logger.warn(`Scheduled notification ${candidate.id} was not finished within its lease, released it`);
+        }
+      } catch (error) {
+        logger.error(`Failed to release scheduled notification ${candidate.id}: ${error.message}`);
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Update a job after a dispatch attempt
+   * @param {string} id - Job id
+   * @param {Object} changes - Fields to update (status, result, error, sendAt)
+   * @returns {Promise<void>}
+   */
+  async update(id, changes) {
+    await this.collection().doc(id).update({ ...changes, updatedAt: new Date() });
+  }
+}
+
+/**
+ * In-memory stand-in for the Firestore job store
+ * Used in tests and local development without Firestore credentials
+ */
+class InMemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    const id = crypto.randomUUID();
+    const now = new Date();
+    const stored = {
+      ...job,
+      id,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(id, stored);
+    return { ...stored };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== JOB_STATUS.PENDING) {
+      return false;
+    }
+    job.status = JOB_STATUS.CANCELLED;
+    job.updatedAt = new Date();
+    return true;
+  }
+
+  async listPending(createdBy, limit = 50) {
+    return [...this.jobs.values()]
+      .filter(job => job.createdBy === createdBy && job.status === JOB_STATUS.PENDING)
+      .sort((a, b) => a.sendAt - b.sendAt)
+      .slice(0, limit)
+      .map(job => ({ ...job }));
+  }
+
+  async claimDue(now, limit) {
+    const due = [...this.jobs.values()]
+      .filter(job => job.status === JOB_STATUS.PENDING && job.sendAt <= now)
+      .sort((a, b) => a.sendAt - b.sendAt)
+      .slice(0, limit);
+
+    due.forEach(job => {
+      job.status = JOB_STATUS.PROCESSING;
+      job.attempts += 1;
+      job.claimedAt = new Date();
+      job.updatedAt = job.claimedAt;
+    });
+
+    return due.map(job => ({ ...job }));
+  }
+
+  async requeueStale(now, leaseMs, maxAttempts) {
+    const expiredBefore = new Date(now.getTime() - leaseMs);
+    const stale = [...this.jobs.values()]
+      .filter(job => job.status === JOB_STATUS.PROCESSING && job.claimedAt <= expiredBefore);
+
+    stale.forEach(job => {
+      if (job.attempts >= maxAttempts) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = 'lease_expired';
+      } else {
+        job.status = JOB_STATUS.PENDING;
+        job.sendAt = now;
+      }
+      job.updatedAt = new Date();
+    });
+
+    return stale.length;
+  }
+
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (job) {
+      Object.assign(job, changes, { updatedAt: new Date() });
+    }
+  }
+}
+
+/**
+ * Create the job store for the current environment
+ * NOTIFICATION_JOB_STORE=memory (or NODE_ENV=test) selects the in-memory store
+ * @returns {FirestoreJobStore|InMemoryJobStore} - Job store instance
+ */
+const createJobStore = () => {
+  if (process.env.NOTIFICATION_JOB_STORE === 'memory' || process.env.NODE_ENV === 'test') {
+    logger.info('Using in-memory store for scheduled notifications');
+    return new InMemoryJobStore();
+  }
+  return new FirestoreJobStore();
+};
+
+module.exports = {
+  JOB_STATUS,
+  FirestoreJobStore,
+  InMemoryJobStore,
+  createJobStore
+};
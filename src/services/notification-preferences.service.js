@@ -0,0 +1,226 @@
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { getZonedParts, isValidTimeZone } = require('../utils/timezone');
+const { NOTIFICATION_CONFIG } = require('../config/constants');
+
+// One document per user, keyed by uid
+const PREFERENCES_COLLECTION = 'notification_preferences';
+
+const DEFAULT_PREFERENCES = {
+  mutedSenders: [],
+  mutedCategories: [],
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    timeZone: 'UTC',
+    allowCalls: true
+  }
+};
+
+/**
+ * Merge stored preferences over the defaults
+ * @param {Object} stored - Stored preference document data
+ * @returns {Object} - Complete preferences
+ */
+const withDefaults = (stored = {}) => ({
+  mutedSenders: stored.mutedSenders || [],
+  mutedCategories: stored.mutedCategories || [],
+  quietHours: {
+    ...DEFAULT_PREFERENCES.quietHours,
+    ...(stored.quietHours || {})
+  },
+  updatedAt: stored.updatedAt && typeof stored.updatedAt.toDate === 'function'
+    ? stored.updatedAt.toDate().toISOString()
+    : stored.updatedAt || null
+});
+
+/**
+ * Derive the preference category of a notification from its data payload
+ * @param {Object} data - Caller supplied data payload
+ * @param {string} fallback - Category when the payload names none
+ * @returns {string} - Category name
+ */
+const getCategory = (data = {}, fallback = 'general') => (data && (data.category || data.type)) || fallback;
+
+/**
+ * Convert an "HH:mm" string to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether an instant falls inside a quiet hours window
+ * Windows may wrap past midnight (e.g. 22:00 - 07:00)
+ * @param {Object} quietHours - { enabled, start, end, timeZone }
+ * @param {Date} now - Instant to check
+ * @returns {boolean} - Whether quiet hours are in effect
+ */
+const isWithinQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours || !quietHours.enabled) {
+    return false;
+  }
+
+  const timeZone = isValidTimeZone(quietHours.timeZone) ? quietHours.timeZone : 'UTC';
+  const { hour, minute } = getZonedParts(now, timeZone);
+  const current = hour * 60 + minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start === end) {
+    return false;
+  }
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * Decide whether a notification may be delivered under a user's preferences
+ * @param {Object} preferences - Complete preferences
+ * @param {Object} context - { senderUid, category, now }
+ * @returns {Object} - { allowed, reason, category, bypassedQuietHours }
+ */
+const evaluateDelivery = (preferences, { senderUid = null, category = 'general', now = new Date() }) => {
+  const decision = { allowed: true, reason: 'allowed', category, bypassedQuietHours: false };
+
+  if (senderUid && preferences.mutedSenders.includes(senderUid)) {
+    return { ...decision, allowed: false, reason: 'muted_sender' };
+  }
+
+  if (preferences.mutedCategories.includes(category)) {
+    return { ...decision, allowed: false, reason: 'muted_category' };
+  }
+
+  if (isWithinQuietHours(preferences.quietHours, now)) {
+    const isCall = NOTIFICATION_CONFIG.QUIET_HOURS_BYPASS_CATEGORIES.includes(category);
+    if (isCall && preferences.quietHours.allowCalls) {
+      return { ...decision, bypassedQuietHours: true };
+    }
+    return { ...decision, allowed: false, reason: 'quiet_hours' };
+  }
+
+  return decision;
+};
+
+/**
+ * Get a user's notification preferences
+ * @param {string} uid - Firebase UID of the user
+ * @returns {Promise<Object>} - Complete preferences (defaults when none are stored)
+ */
+const getPreferences = async (uid) => {
+  const doc = await getDuckbuckFirestore().collection(PREFERENCES_COLLECTION).doc(uid).get();
+  return withDefaults(doc.exists ? doc.data() : {});
+};
+
+/**
+ * Get notification preferences for many users with a single batched read
+ * @param {Array<string>} uids - Firebase UIDs of the users
+ * @returns {Promise<Map<string, Object>>} - Preferences keyed by uid
+ */
+const getPreferencesForUsers = async (uids) => {
+  const preferencesByUid = new Map();
+  if (!uids || uids.length === 0) {
+    return preferencesByUid;
+  }
+
+  const firestore = getDuckbuckFirestore();
+  const refs = uids.map(uid => firestore.collection(PREFERENCES_COLLECTION).doc(uid));
+  const docs = await firestore.getAll(...refs);
+
+  docs.forEach((doc, index) => {
+    preferencesByUid.set(uids[index], withDefaults(doc.exists ? doc.data() : {}));
+  });
+
+  return preferencesByUid;
+};
+
+/**
+ * Update part of a user's notification preferences
+ * @param {string} uid - Firebase UID of the user
+ * @param {Object} changes - Any of mutedSenders, mutedCategories, quietHours
+ * @returns {Promise<Object>} - Updated preferences
+ */
+const updatePreferences = async (uid, changes) => {
+  const ref = getDuckbuckFirestore().collection(PREFERENCES_COLLECTION).doc(uid);
+  const update = { updatedAt: new Date() };
+
+  ['mutedSenders', 'mutedCategories', 'quietHours'].forEach(field => {
+    if (changes[field] !== undefined) {
+      update[field] = changes[field];
+    }
+  });
+
+  await ref.set(update, { merge: true });
+  return getPreferences(uid);
+};
+
+/**
+ * Reset a user's notification preferences to the defaults
+ * @param {string} uid - Firebase UID of the user
+ * @returns {Promise<void>}
+ */
+const resetPreferences = async (uid) => {
+  await getDuckbuckFirestore().collection(PREFERENCES_COLLECTION).doc(uid).delete();
+};
+
+/**
+ * Load a recipient's preferences and decide whether a notification may be delivered
+ * Fails open: if preferences cannot be read the notification is delivered
+ * @param {string} uid - Firebase UID of the recipient
+ * @param {Object} context - { senderUid, category, now }
+ * @returns {Promise<Object>} - Decision from evaluateDelivery
+ */
+const checkDelivery = async (uid, context) => {
+  try {
+    const preferences = await getPreferences(uid);
+    return evaluateDelivery(preferences, context);
+  } catch (error) {
+    logger.error(`Failed to evaluate notification preferences for user ${uid}: ${error.message}`);
+    return { allowed: true, reason: 'preferences_unavailable', category: context.category, bypassedQuietHours: false };
+  }
+};
+
+/**
+ * Decide delivery for many recipients with a single batched preferences read
+ * Fails open like checkDelivery
+ * @param {Array<string>} uids - Firebase UIDs of the recipients
+ * @param {Object} context - { senderUid, category, now }
+ * @returns {Promise<Map<string, Object>>} - Decisions keyed by uid
+ */
+const checkDeliveries = async (uids, context) => {
+  const decisions = new Map();
+
+  try {
+    const preferencesByUid = await getPreferencesForUsers(uids);
+    uids.forEach(uid => decisions.set(uid, evaluateDelivery(preferencesByUid.get(uid), context)));
+  } catch (error) {
+    logger.error(`Failed to evaluate notification preferences for ${uids.length} users: ${error.message}`);
+    uids.forEach(uid => decisions.set(uid, {
+      allowed: true,
+      reason: 'preferences_unavailable',
+      category: context.category,
+      bypassedQuietHours: false
+    }));
+  }
+
+  return decisions;
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  getCategory,
+  isWithinQuietHours,
+  evaluateDelivery,
+  getPreferences,
+  getPreferencesForUsers,
+  updatePreferences,
+  resetPreferences,
+  checkDelivery,
+  checkDeliveries
+};
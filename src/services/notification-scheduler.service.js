@@ -0,0 +1,207 @@
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { isValidTimeZone } = require('../utils/timezone');
+const deviceRegistry = require('./device-registry.service');
+const notificationService = require('./notification.service');
+const notificationHistory = require('./notification-history.service');
+const notificationPreferences = require('./notification-preferences.service');
+const { JOB_STATUS, createJobStore } = require('./notification-job-store');
+const { NOTIFICATION_CONFIG } = require('../config/constants');
+
+const SCHEDULER_CONFIG = NOTIFICATION_CONFIG.SCHEDULER;
+
+// Job store shared by the API handlers and the dispatcher loop
+const jobStore = createJobStore();
+
+let dispatchTimer = null;
+let dispatchInProgress = false;
+
+/**
+ * Look up the time zone stored on a user's profile
+ * @param {string} uid - Firebase UID of the user
+ * @returns {Promise<string>} - IANA time zone, UTC when unset or invalid
+ */
+const getUserTimeZone = async (uid) => {
+  try {
+    const doc = await getDuckbuckFirestore().collection('users').doc(uid).get();
+    const timeZone = doc.exists ? doc.data().timezone : null;
+    return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  } catch (error) {
+    logger.warn(`Could not read time zone for user ${uid}, defaulting to UTC: ${error.message}`);
+    return 'UTC';
+  }
+};
+
+/**
+ * Persist a notification to be delivered later
+ * @param {Object} job - { uid, createdBy, payload: { title, body, data }, sendAt, timeZone }
+ * @returns {Promise<Object>} - Stored job
+ */
+const scheduleNotification = async (job) => {
+  const stored = await jobStore.create(job);
+  logger.info(`Scheduled notification ${stored.id} for user ${job.uid} at ${job.sendAt.toISOString()}`, {
+    createdBy: job.createdBy,
+    timeZone: job.timeZone
+  });
+  return stored;
+};
+
+/**
+ * Get a scheduled notification job
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object|null>} - Job, or null if not found
+ */
+const getScheduledNotification = (jobId) => jobStore.get(jobId);
+
+/**
+ * Cancel a pending scheduled notification
+ * @param {string} jobId - Job id
+ * @returns {Promise<boolean>} - Whether the job was still pending and is now cancelled
+ */
+const cancelScheduledNotification = (jobId) => jobStore.cancel(jobId);
+
+/**
+ * List pending scheduled notifications created by a user
+ * @param {string} createdBy - Firebase UID of the creator
+ * @returns {Promise<Array<Object>>} - Pending jobs, soonest first
+ */
+const listPendingNotifications = (createdBy) => jobStore.listPending(createdBy, SCHEDULER_CONFIG.LIST_LIMIT);
+
+/**
+ * Deliver one claimed job and record the outcome
+ * Failed attempts are retried with a linear backoff up to MAX_ATTEMPTS
+ * @param {Object} job - Claimed job
+ * @returns {Promise<void>}
+ */
+const dispatchJob = async (job) => {
+  try {
+    const message = notificationService.buildNotificationMessage(job.payload);
+
+    // Preferences are checked at delivery time, when quiet hours actually apply
+    const decision = await notificationPreferences.checkDelivery(job.uid, {
+      senderUid: job.createdBy,
+      category: notificationPreferences.getCategory(job.payload.data)
+    });
+
+    if (!decision.allowed) {
+      await notificationHistory.recordDelivery({
+        recipientUid: job.uid,
+        senderUid: job.createdBy,
+        channel: 'scheduled',
+        message,
+        data: job.payload.data,
+        suppressedReason: decision.reason
+      });
+      await jobStore.update(job.id, { status: JOB_STATUS.SUPPRESSED, decision });
+      logger.info(`Scheduled notification ${job.id} suppressed by preferences: ${decision.reason}`);
+      return;
+    }
+
+    const devices = await deviceRegistry.getDevicesForUser(job.uid);
+    const result = await notificationService.sendToUserDevices(job.uid, devices, message);
+    await notificationHistory.recordDelivery({
+      recipientUid: job.uid,
+      senderUid: job.createdBy,
+      channel: 'scheduled',
+      message,
+      data: job.payload.data,
+      deliveries: result.deliveries
+    });
+
+    await jobStore.update(job.id, {
+      status: JOB_STATUS.SENT,
+      result: {
+        deviceCount: devices.length,
+        successCount: result.successCount,
+        failureCount: result.failureCount,
+        prunedCount: result.prunedCount
+      }
+    });
+
+    logger.info(`Scheduled notification ${job.id} dispatched to user ${job.uid}`, {
+      successCount: result.successCount,
+      failureCount: result.failureCount
+    });
+  } catch (error) {
+    const canRetry = job.attempts < SCHEDULER_CONFIG.MAX_ATTEMPTS;
+
+    logger.error(`Scheduled notification ${job.id} failed on attempt ${job.attempts}: ${error.message}`, {
+      uid: job.uid,
+      willRetry: canRetry
+    });
+
+    await jobStore.update(job.id, canRetry
+      ? {
+        status: JOB_STATUS.PENDING,
+        sendAt: new Date(Date.now() + SCHEDULER_CONFIG.RETRY_DELAY_MS * job.attempts),
+        error: error.code || error.message
+      }
+      : {
+        status: JOB_STATUS.FAILED,
+        error: error.code || error.message
+      });
+  }
+};
+
+/**
+ * Claim and deliver every job that is due
+ * Skips the tick if the previous one is still running
+ * @returns {Promise<number>} - Number of jobs dispatched
+ */
+const dispatchDueNotifications = async () => {
+  if (dispatchInProgress) {
+    return 0;
+  }
+
+  dispatchInProgress = true;
+  try {
+    const now = new Date();
+    await jobStore.requeueStale(now, SCHEDULER_CONFIG.CLAIM_LEASE_MS, SCHEDULER_CONFIG.MAX_ATTEMPTS);
+    const jobs = await jobStore.claimDue(now, SCHEDULER_CONFIG.BATCH_SIZE);
+    for (const job of jobs) {
+      await dispatchJob(job);
+    }
+    return jobs.length;
+  } catch (error) {
+    logger.error(`Scheduled notification dispatch failed: ${error.message}`);
+    return 0;
+  } finally {
+    dispatchInProgress = false;
+  }
+};
+
+/**
+ * Start the dispatcher loop inside the server process
+ */
+const startDispatcher = () => {
+  if (dispatchTimer || !SCHEDULER_CONFIG.ENABLED) {
+    return;
+  }
+
+  dispatchTimer = setInterval(dispatchDueNotifications, SCHEDULER_CONFIG.POLL_INTERVAL_MS);
+  // Don't keep the process alive just for the dispatcher
+  dispatchTimer.unref();
+  logger.info(`Scheduled notification dispatcher started (every ${SCHEDULER_CONFIG.POLL_INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop the dispatcher loop
+ */
+const stopDispatcher = () => {
+  if (dispatchTimer) {
+    clearInterval(dispatchTimer);
+    dispatchTimer = null;
+    logger.info('Scheduled notification dispatcher stopped');
+  }
+};
+
+module.exports = {
+  getUserTimeZone,
+  scheduleNotification,
+  getScheduledNotification,
+  cancelScheduledNotification,
+  listPendingNotifications,
+  dispatchDueNotifications,
+  startDispatcher,
+  stopDispatcher
+};
@@ -0,0 +1,327 @@
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const deviceRegistry = require('./device-registry.service');
+
+// FCM error codes meaning the target token will never be deliverable again
+const UNREGISTERED_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// Maximum number of tokens FCM accepts in one multicast request
+const FCM_MULTICAST_LIMIT = 500;
+
+/**
+ * Build the platform payload for a data-only notification
+ * Shared by regular notifications without a body and data-only sends
+ * @param {Object} data - Data payload to deliver
+ * @returns {Object} - FCM message without a target
+ */
+const buildDataOnlyMessage = (data) => ({
+  data,
+  android: {
+    priority: 'high',
+    ttl: 0, // Deliver immediately
+    directBootOk: true, // Deliver in direct boot mode if possible
+    data: {
+      ...data,
+      click_action: 'FLUTTER_NOTIFICATION_CLICK'
+    }
+  },
+  apns: {
+    headers: {
+      'apns-priority': '10', // High priority
+      'apns-push-type': 'background',
+      'apns-topic': process.env.APPLE_BUNDLE_ID || 'com.duckbuck.app' // App bundle ID
+    },
+    payload: {
+      aps: {
+        'content-available': 1, // Silent background notification
+        priority: 10
+      }
+    }
+  }
+});
+
+/**
+ * Build a regular FCM notification message with title and body
+ * Falls back to a high priority data-only message when no body is given
+ * @param {Object} payload - { title, body, data }
+ * @returns {Object} - FCM message without a target
+ */
+const buildNotificationMessage = ({ title, body, data = {} }) => {
+  const messageData = {
+    ...data,
+    timestamp: Date.now().toString()
+  };
+
+  // If no title/body, treat it like a data-only notification
+  if (!body) {
+    return buildDataOnlyMessage({
+      ...messageData,
+      type: 'data_only',
+      priority: 'high'
+    });
+  }
+
+  const message = {
+    notification: {
+      body: body.trim()
+    },
+    data: {
+      ...messageData,
+      type: 'notification'
+    },
+    android: {
+      priority: 'normal',
+      notification: {
+        priority: 'default',
+        channelId: 'default_channel',
+        clickAction: 'FLUTTER_NOTIFICATION_CLICK',
+        sound: 'default'
+      }
+    },
+    apns: {
+      headers: {
+        'apns-priority': '5'
+      },
+      payload: {
+        aps: {
+          priority: 5,
+          sound: 'default',
+          badge: 1
+        }
+      }
+    }
+  };
+
+  // Only add title if it's provided and not empty
+  if (title && title.trim() !== '') {
+    message.notification.title = title.trim();
+  }
+
+  return message;
+};
+
+/**
+ * Send one message to a list of devices using FCM multicast
+ * Splits the tokens into chunks within the FCM multicast limit
+ * @param {Array<Object>} devices - Devices from the device registry
+ * @param {Object} message - FCM message without a target
+ * @returns {Promise<Object>} - { successCount, failureCount, deliveries } with deliveries index-aligned to devices
+ */
+const sendToDevices = async (devices, message) => {
+  if (!devices || devices.length === 0) {
+    return { successCount: 0, failureCount: 0, deliveries: [] };
+  }
+
+  const deliveries = [];
+  let successCount = 0;
+  let failureCount = 0;
+
+  for (let offset = 0; offset < devices.length; offset += FCM_MULTICAST_LIMIT) {
+    const chunk = devices.slice(offset, offset + FCM_MULTICAST_LIMIT);
+
+    const response = await admin.messaging().sendEachForMulticast({
+      ...message,
+      tokens: chunk.map(device => device.token)
+    });
+
+    successCount += response.successCount;
+    failureCount += response.failureCount;
+
+    response.responses.forEach((result, index) => {
+      const device = chunk[index];
+      const delivery = {
+        deviceId: device.deviceId,
+        platform: device.platform,
+        success: result.success
+      };
+
+      if (result.success) {
+        delivery.messageId = result.messageId;
+      } else {
+        delivery.error = (result.error && result.error.code) || 'messaging/unknown-error';
+        logger.warn(`FCM delivery failed for device ${device.deviceId}: ${delivery.error}`);
+      }
+
+      deliveries.push(delivery);
+    });
+  }
+
+  return {
+    successCount,
+    failureCount,
+    deliveries
+  };
+};
+
+/**
+ * Prune the tokens of failed deliveries FCM reported as permanently dead
+ * Marks each of those deliveries with whether its token was actually removed
+ * @param {string} uid - Firebase UID of the device owner
+ * @param {Array<Object>} devices - Devices the message was sent to
+ * @param {Array<Object>} deliveries - Deliveries index-aligned to devices
+ * @returns {Promise<number>} - Number of tokens removed
+ */
+const pruneDeadTokens = async (uid, devices, deliveries) => {
+  const dead = deliveries
+    .map((delivery, index) => ({ delivery, token: devices[index].token }))
+    .filter(({ delivery }) => !delivery.success && UNREGISTERED_TOKEN_ERRORS.includes(delivery.error));
+
+  const prunedTokens = new Set(await deviceRegistry.pruneTokens(uid, dead.map(({ token }) => token)));
+  dead.forEach(({ delivery, token }) => {
+    delivery.pruned = prunedTokens.has(token);
+  });
+  return prunedTokens.size;
+};
+
+/**
+ * Summarise per-device deliveries into one outcome for a recipient
+ * @param {Array<Object>} deliveries - Deliveries for one recipient
+ * @returns {string} - 'sent', 'partial', 'failed' or 'no_devices'
+ */
+const getDeliveryStatus = (deliveries) => {
+  if (!deliveries || deliveries.length === 0) {
+    return 'no_devices';
+  }
+
+  const delivered = deliveries.filter(delivery => delivery.success).length;
+  if (delivered === deliveries.length) {
+    return 'sent';
+  }
+  return delivered > 0 ? 'partial' : 'failed';
+};
+
+/**
+ * Send one message to every device of a user and prune tokens FCM reports as dead
+ * @param {string} uid - Firebase UID of the recipient
+ * @param {Array<Object>} devices - Devices from the device registry
+ * @param {Object} message - FCM message without a target
+ * @returns {Promise<Object>} - { successCount, failureCount, prunedCount, deliveries }
+ */
+const sendToUserDevices = async (uid, devices, message) => {
+  const result = await sendToDevices(devices, message);
+  const prunedCount = await pruneDeadTokens(uid, devices, result.deliveries);
+
+  return {
+    ...result,
+    prunedCount
+  };
+};
+
+/**
+ * Send one message to every device of many users with shared multicast requests
+ * @param {Map<string, Array<Object>>} devicesByUid - Devices keyed by recipient uid
+ * @param {Object} message - FCM message without a target
+ * @returns {Promise<Object>} - { successCount, failureCount, prunedCount, recipients }
+ */
+const sendToManyUsers = async (devicesByUid, message) => {
+  // Flatten to one device list while remembering which recipient owns each entry
+  const devices = [];
+  const owners = [];
+  devicesByUid.forEach((userDevices, uid) => {
+    userDevices.forEach(device => {
+      devices.push(device);
+      owners.push(uid);
+    });
+  });
+
+  const result = await sendToDevices(devices, message);
+
+  const recipients = new Map();
+  devicesByUid.forEach((userDevices, uid) => {
+    recipients.set(uid, { uid, devices: [], deliveries: [] });
+  });
+
+  result.deliveries.forEach((delivery, index) => {
+    const recipient = recipients.get(owners[index]);
+    recipient.devices.push(devices[index]);
+    recipient.deliveries.push(delivery);
+  });
+
+  let prunedCount = 0;
+  const outcomes = [];
+
+  for (const recipient of recipients.values()) {
+    const pruned = await pruneDeadTokens(recipient.uid, recipient.devices, recipient.deliveries);
+    prunedCount += pruned;
+
+    const delivered = recipient.deliveries.filter(delivery => delivery.success).length;
+
+    outcomes.push({
+      uid: recipient.uid,
+      status: getDeliveryStatus(recipient.deliveries),
+      successCount: delivered,
+      failureCount: recipient.deliveries.length - delivered,
+      prunedCount: pruned,
+      deliveries: recipient.deliveries
+    });
+  }
+
+  return {
+    successCount: result.successCount,
+    failureCount: result.failureCount,
+    prunedCount,
+    recipients: outcomes
+  };
+};
+
+/**
+ * Subscribe or unsubscribe a user's devices to an FCM topic
+ * Tokens FCM reports as dead are pruned from the user document
+ * @param {string} uid - Firebase UID of the device owner
+ * @param {Array<Object>} devices - Devices from the device registry
+ * @param {string} topic - FCM topic name
+ * @param {boolean} subscribe - true to subscribe, false to unsubscribe
+ * @returns {Promise<Object>} - { successCount, failureCount, prunedCount }
+ */
+const updateTopicSubscription = async (uid, devices, topic, subscribe) => {
+  if (!devices || devices.length === 0) {
+    return { successCount: 0, failureCount: 0, prunedCount: 0 };
+  }
+
+  const tokens = devices.map(device => device.token);
+  const response = subscribe
+    ? await admin.messaging().subscribeToTopic(tokens, topic)
+    : await admin.messaging().unsubscribeFromTopic(tokens, topic);
+
+  const deadTokens = response.errors
+    .filter(({ error }) => error && UNREGISTERED_TOKEN_ERRORS.includes(error.code))
+    .map(({ index }) => tokens[index]);
+
+  response.errors.forEach(({ index, error }) => {
+    logger.warn(`FCM topic ${subscribe ? 'subscribe' : 'unsubscribe'} failed for device ${devices[index].deviceId}: ${error && error.code}`);
+  });
+
+  const prunedCount = (await deviceRegistry.pruneTokens(uid, deadTokens)).length;
+
+  return {
+    successCount: response.successCount,
+    failureCount: response.failureCount,
+    prunedCount
+  };
+};
+
+/**
+ * Send one message to an FCM topic or topic condition
+ * @param {Object} target - { topic } or { condition }
+ * @param {Object} message - FCM message without a target
+ * @returns {Promise<string>} - FCM message id
+ */
+const sendToTopic = async ({ topic, condition }, message) => {
+  const target = topic ? { topic } : { condition };
+  return admin.messaging().send({ ...message, ...target });
+};
+
+module.exports = {
+  UNREGISTERED_TOKEN_ERRORS,
+  getDeliveryStatus,
+  buildDataOnlyMessage,
+  buildNotificationMessage,
+  sendToDevices,
+  sendToUserDevices,
+  sendToManyUsers,
+  updateTopicSubscription,
+  sendToTopic
+};
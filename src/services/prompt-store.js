@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getDuckbuckFirestore } = require('../utils/firestore-client');
+const { AGORA_AI_CONFIG } = require('../config/constants');
+
+/**
+ * Build the id of a persona's nth prompt version
+ * @param {string} persona - Persona name
+ * @param {number} version - Version number, starting at 1
+ * @returns {string} - Version id, e.g. 'tutor-v3'
+ */
+const buildVersionId = (persona, version) => `${persona}-v${version}`;
+
+/**
+ * Convert a stored prompt version into a plain version object
+ * @param {Object} data - Stored version fields
+ * @returns {Object} - { versionId, persona, version, content, note, publishedBy, publishedAt }
+ */
+const toVersion = (data) => {
+  const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+  return {
+    versionId: data.versionId,
+    persona: data.persona,
+    version: data.version,
+    content: data.content,
+    note: data.note || null,
+    publishedBy: data.publishedBy || null,
+    publishedAt: toDate(data.publishedAt)
+  };
+};
+
+/**
+ * Persona prompt versions persisted in the duckbuck Firestore database
+ * Each persona has a head document holding its active version, so a join
+ * costs one read; every published version is also kept for the history.
+ * Listing versions needs a composite index on (persona, version)
+ */
+class FirestorePromptStore {
+  constructor(headCollection = 'ai_prompts', versionsCollection = 'ai_prompt_versions') {
+    this.headCollection = headCollection;
+    this.versionsCollection = versionsCollection;
+  }
+
+  /**
+   * Get the active prompt version of a persona
+   * @param {string} persona - Persona name
+   * @returns {Promise<Object|null>} - Active version, or null if none was published
+   */
+  async getActive(persona) {
+    const doc = await getDuckbuckFirestore().collection(this.headCollection).doc(persona).get();
+    return doc.exists ? toVersion(doc.data()) : null;
+  }
+
+  /**
+   * Publish a new prompt version and make it active
+   * Runs in a transaction so concurrent publishes get distinct version numbers
+   * @param {string} persona - Persona name
+   * @param {Object} details - { content, note, publishedBy }
+   * @returns {Promise<Object>} - Published version
+   */
+  async publish(persona, { content, note = null, publishedBy = null }) {
+    const firestore = getDuckbuckFirestore();
+    const headRef = firestore.collection(this.headCollection).doc(persona);
+
+    return firestore.runTransaction(async (transaction) => {
+      const head = await transaction.get(headRef);
+      const version = (head.exists ? head.data().version || 0 : 0) + 1;
+      const data = {
+        versionId: buildVersionId(persona, version),
+        persona,
+        version,
+        content,
+        note,
+        publishedBy,
+        publishedAt: new Date()
+      };
+
+      transaction.set(firestore.collection(this.versionsCollection).doc(data.versionId), data);
+      transaction.set(headRef, data);
+      return toVersion(data);
+    });
+  }
+
+  /**
+   * List the published prompt versions of a persona, newest first
+   * @param {string} persona - Persona name
+   * @param {number} limit - Maximum number of versions
+   * @returns {Promise<Array<Object>>} - Versions
+   */
+  async listVersions(persona, limit = 20) {
+    const snapshot = await getDuckbuckFirestore().collection(this.versionsCollection)
+      .where('persona', '==', persona)
+      .orderBy('version', 'desc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => toVersion(doc.data()));
+  }
+}
+
+/**
+ * File-backed stand-in for the Firestore prompt store
+ * Keeps one JSON file per persona in a local directory, for development
+ * without Firestore credentials. Editing a file takes effect like a publish.
+ */
+class FilePromptStore {
+  constructor(directory = AGORA_AI_CONFIG.PROMPTS.FILE_DIR) {
+    this.directory = directory;
+  }
+
+  filePath(persona) {
+    return path.join(this.directory, `${persona}.json`);
+  }
+
+  async read(persona) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(persona), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { persona, activeVersionId: null, versions: [] };
+      }
+      throw error;
+    }
+  }
+
+  async getActive(persona) {
+    const file = await this.read(persona);
+    const active = file.versions.find(version => version.versionId === file.activeVersionId);
+    return active ? toVersion({ ...active, publishedAt: new Date(active.publishedAt) }) : null;
+  }
+
+  async publish(persona, { content, note = null, publishedBy = null }) {
+    const file = await this.read(persona);
+    const version = file.versions.reduce((latest, entry) => Math.max(latest, entry.version), 0) + 1;
+    const data = {
+      versionId: buildVersionId(persona, version),
+      persona,
+      version,
+      content,
+      note,
+      publishedBy,
+      publishedAt: new Date()
+    };
+
+    file.versions.push(data);
+    file.activeVersionId = data.versionId;
+
+    // Write then rename so a crash never leaves a half-written file behind
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const tempPath = `${this.filePath(persona)}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(file, null, 2));
+    await fs.promises.rename(tempPath, this.filePath(persona));
+    return toVersion(data);
+  }
+
+  async listVersions(persona, limit = 20) {
+    const file = await this.read(persona);
+    return file.versions
+      .map(version => toVersion({ ...version, publishedAt: new Date(version.publishedAt) }))
+      .sort((a, b) => b.version - a.version)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Create the prompt store for the current environment
+ * AI_PROMPT_STORE=file selects the file store; production defaults to Firestore
+ * @returns {FirestorePromptStore|FilePromptStore} - Prompt store instance
+ */
+const createPromptStore = () => {
+  if (AGORA_AI_CONFIG.PROMPTS.STORE === 'file') {
+    logger.info(`Using file store for AI agent prompts in ${AGORA_AI_CONFIG.PROMPTS.FILE_DIR}`);
+    return new FilePromptStore();
+  }
+  return new FirestorePromptStore();
+};
+
+module.exports = {
+  FirestorePromptStore,
+  FilePromptStore,
+  createPromptStore
+};
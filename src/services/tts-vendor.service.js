@@ -0,0 +1,157 @@
+const logger = require('../utils/logger');
+const { AGORA_AI_CONFIG } = require('../config/constants');
+
+const { TTS } = AGORA_AI_CONFIG;
+
+/**
+ * Adapters turning vendor settings into the `tts` block Agora expects
+ * Each lists the settings it cannot work without; VOICE may also come from a persona or user
+ */
+const ADAPTERS = {
+  microsoft: {
+    required: ['API_KEY', 'REGION'],
+    build: (config, voice) => ({
+      vendor: 'microsoft',
+      params: {
+        key: config.API_KEY,
+        region: config.REGION,
+        voice_name: voice,
+        rate: config.RATE,
+        volume: config.VOLUME
+      }
+    })
+  },
+  elevenlabs: {
+    required: ['API_KEY', 'MODEL_ID'],
+    build: (config, voice) => ({
+      vendor: 'elevenlabs',
+      params: {
+        key: config.API_KEY,
+        model_id: config.MODEL_ID,
+        voice_id: voice,
+        sample_rate: config.SAMPLE_RATE
+      }
+    })
+  },
+  cartesia: {
+    required: ['API_KEY', 'MODEL_ID'],
+    build: (config, voice) => ({
+      vendor: 'cartesia',
+      params: {
+        api_key: config.API_KEY,
+        model_id: config.MODEL_ID,
+        voice: {
+          mode: 'id',
+          id: voice
+        },
+        output_format: {
+          container: 'raw',
+          sample_rate: config.SAMPLE_RATE
+        }
+      }
+    })
+  }
+};
+
+/**
+ * List the settings a vendor is missing
+ * @param {string} vendor - Vendor name
+ * @returns {Array<string>} - Missing setting names; ['adapter'] if the vendor is unknown
+ */
+const getMissingParams = (vendor) => {
+  const adapter = ADAPTERS[vendor];
+  if (!adapter) {
+    return ['adapter'];
+  }
+
+  const config = TTS.VENDORS[vendor] || {};
+  return adapter.required.filter(param => !config[param]);
+};
+
+/**
+ * Check whether a vendor can be used
+ * @param {string} vendor - Vendor name
+ * @returns {boolean} - Whether the vendor has an adapter and all required settings
+ */
+const isConfigured = (vendor) => getMissingParams(vendor).length === 0;
+
+/**
+ * Build the Agora `tts` block for an agent
+ * The user's preference wins over the persona, which wins over the default vendor.
+ * A voice only carries over when it belongs to the chosen vendor; a vendor that is
+ * not configured falls back to the default vendor and its voice.
+ * @param {Object} options - { persona, preference } where each may hold { vendor, voice }
+ * @returns {Object} - { vendor, voice, tts } with tts ready for the agent config
+ * @throws {Error} - If no usable vendor or voice is configured
+ */
+const buildTtsConfig = ({ persona = {}, preference = {} } = {}) => {
+  // A voice without a vendor belongs to the default vendor
+  const choices = [preference, persona]
+    .filter(choice => choice && (choice.vendor || choice.voice))
+    .map(choice => ({ vendor: choice.vendor || TTS.DEFAULT_VENDOR, voice: choice.voice || null }));
+  let choice = choices.find(candidate => isConfigured(candidate.vendor));
+
+  if (!choice) {
+    if (choices.length > 0) {
+      logger.warn(`TTS vendor ${choices[0].vendor} is not configured, using ${TTS.DEFAULT_VENDOR}`);
+    }
+    choice = { vendor: TTS.DEFAULT_VENDOR };
+  }
+
+  if (!isConfigured(choice.vendor)) {
+    throw new Error(`Default TTS vendor ${choice.vendor} is not configured`);
+  }
+
+  const config = TTS.VENDORS[choice.vendor];
+  const voice = choice.voice || config.VOICE;
+  if (!voice) {
+    throw new Error(`No voice configured for TTS vendor ${choice.vendor}`);
+  }
+
+  return {
+    vendor: choice.vendor,
+    voice,
+    tts: ADAPTERS[choice.vendor].build(config, voice)
+  };
+};
+
+/**
+ * Check the TTS configuration once at startup
+ * The default vendor needs all its settings and a default voice; personas
+ * naming a vendor that is not configured are reported since they will fall back.
+ * @param {Object} personas - Loaded personas keyed by name
+ * @returns {Object} - { valid, errors, warnings } where valid is false when agents cannot speak at all
+ */
+const validateVendorConfig = (personas = AGORA_AI_CONFIG.PERSONAS) => {
+  const errors = [];
+  const warnings = [];
+
+  const defaultMissing = getMissingParams(TTS.DEFAULT_VENDOR);
+  if (defaultMissing.length > 0) {
+    errors.push(`Default TTS vendor ${TTS.DEFAULT_VENDOR} is missing: ${defaultMissing.join(', ')}`);
+  } else if (!TTS.VENDORS[TTS.DEFAULT_VENDOR].VOICE) {
+    errors.push(`Default TTS vendor ${TTS.DEFAULT_VENDOR} has no default voice`);
+  }
+
+  for (const persona of Object.values(personas || {})) {
+    const vendor = persona.tts && persona.tts.vendor;
+    if (!vendor) {
+      continue;
+    }
+
+    const missing = getMissingParams(vendor);
+    if (missing.length > 0) {
+      warnings.push(`Persona ${persona.name} uses TTS vendor ${vendor}, which is missing: ${missing.join(', ')}`);
+    } else if (!persona.tts.voice && !TTS.VENDORS[vendor].VOICE) {
+      warnings.push(`Persona ${persona.name} uses TTS vendor ${vendor} without a voice`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+module.exports = {
+  isConfigured,
+  buildTtsConfig,
+  validateVendorConfig
+};
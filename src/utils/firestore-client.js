@@ -0,0 +1,53 @@
+const { Firestore } = require('@google-cloud/firestore');
+const logger = require('./logger');
+
+// Cached Firestore client instance for duckbuck database only
+let duckbuckFirestoreClient = null;
+
+/**
+ * Parse service account credentials from environment variable
+ * @returns {Object} - Parsed service account JSON
+ * @throws {Error} - If the environment variable is missing or malformed
+ */
+const getServiceAccount = () => {
+  try {
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
+    if (!serviceAccount || !serviceAccount.project_id) {
+      throw new Error('Invalid service account format');
+    }
+    return serviceAccount;
+  } catch (parseError) {
+    logger.error(`Failed to parse FIREBASE_SERVICE_ACCOUNT_JSON: ${parseError.message}`);
+    throw new Error('Server configuration error');
+  }
+};
+
+/**
+ * Get the cached Firestore client for the duckbuck database
+ * @returns {Firestore} - Firestore client bound to the duckbuck database
+ */
+const getDuckbuckFirestore = () => {
+  // Return cached instance if available
+  if (duckbuckFirestoreClient) {
+    return duckbuckFirestoreClient;
+  }
+
+  const serviceAccount = getServiceAccount();
+
+  // Create and cache new instance for duckbuck database only
+  duckbuckFirestoreClient = new Firestore({
+    projectId: serviceAccount.project_id,
+    credentials: {
+      client_email: serviceAccount.client_email,
+      private_key: serviceAccount.private_key
+    },
+    databaseId: 'duckbuck' // Always use duckbuck database
+  });
+
+  return duckbuckFirestoreClient;
+};
+
+module.exports = {
+  getServiceAccount,
+  getDuckbuckFirestore
+};
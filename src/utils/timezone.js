@@ -0,0 +1,113 @@
+/**
+ * Time zone helpers built on Intl so no tz database dependency is needed
+ */
+
+// Matches ISO 8601 date-times that carry an explicit UTC offset or Z suffix
+const ISO_OFFSET_REGEX = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ * @param {string} timeZone - Time zone name, e.g. "Asia/Kolkata"
+ * @returns {boolean} - Whether Intl recognises the time zone
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday } with weekday 0 = Sunday
+ */
+const getZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {number} timestamp - Instant in milliseconds since epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds (local minus UTC)
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (timestamp - (timestamp % 1000));
+};
+
+/**
+ * Resolve an ISO 8601 date-time to an instant
+ * Strings with an explicit offset are absolute; strings without one are
+ * read as wall-clock time in the given time zone (e.g. "9am in their timezone")
+ * @param {string} isoString - ISO 8601 date-time
+ * @param {string} timeZone - IANA time zone used when the string has no offset
+ * @returns {Date|null} - Resolved instant, or null if unparseable
+ */
+const resolveZonedDateTime = (isoString, timeZone = 'UTC') => {
+  if (!isoString || typeof isoString !== 'string') {
+    return null;
+  }
+
+  if (ISO_OFFSET_REGEX.test(isoString)) {
+    const date = new Date(isoString);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = isoString.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+  // Apply the zone offset, then re-check it at the resulting instant for DST transitions
+  let timestamp = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  const correctedOffset = getTimeZoneOffset(timestamp, timeZone);
+  timestamp = wallClock - correctedOffset;
+
+  return new Date(timestamp);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  resolveZonedDateTime
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { verifySignature } = require('../src/services/agora-webhook.service');
+
+const SECRET = 'ncs-test-secret';
+const body = Buffer.from(JSON.stringify({ noticeId: 'n1', productId: 1, eventType: 103, payload: { channelName: 'c1' } }));
+
+const sign = (algorithm, raw = body, secret = SECRET) => crypto.createHmac(algorithm, secret).update(raw).digest('hex');
+
+describe('verifySignature', () => {
+  const originalSecret = process.env.AGORA_NCS_SECRET;
+
+  beforeEach(() => {
+    process.env.AGORA_NCS_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) {
+      delete process.env.AGORA_NCS_SECRET;
+    } else {
+      process.env.AGORA_NCS_SECRET = originalSecret;
+    }
+  });
+
+  it('accepts a valid HMAC-SHA256 signature in any case', () => {
+    expect(verifySignature(body, { 'agora-signature-v2': sign('sha256') })).toBe(true);
+    expect(verifySignature(body, { 'agora-signature-v2': sign('sha256').toUpperCase() })).toBe(true);
+  });
+
+  it('accepts a valid legacy HMAC-SHA1 signature', () => {
+    expect(verifySignature(body, { 'agora-signature': sign('sha1') })).toBe(true);
+  });
+
+  it('prefers the v2 signature when both are sent', () => {
+    expect(verifySignature(body, { 'agora-signature-v2': 'bad', 'agora-signature': sign('sha1') })).toBe(false);
+  });
+
+  it('rejects signatures of another body or secret', () => {
+    expect(verifySignature(body, { 'agora-signature-v2': sign('sha256', Buffer.from('{}')) })).toBe(false);
+    expect(verifySignature(body, { 'agora-signature-v2': sign('sha256', body, 'other-secret') })).toBe(false);
+    expect(verifySignature(body, { 'agora-signature-v2': sign('sha256').slice(0, 10) })).toBe(false);
+  });
+
+  it('rejects notifications without a signature, body or configured secret', () => {
+    expect(verifySignature(body, {})).toBe(false);
+    expect(verifySignature(undefined, { 'agora-signature-v2': sign('sha256') })).toBe(false);
+
+    delete process.env.AGORA_NCS_SECRET;
+    expect(verifySignature(body, { 'agora-signature-v2': sign('sha256') })).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+const { AGORA_AI_CONFIG } = require('../src/config/constants');
+const { bucketUser, getExperimentOverrides } = require('../src/services/ai-agent-experiment.service');
+
+const experiment = (overrides = {}) => ({
+  name: 'greeting_test',
+  traffic: 100,
+  variants: [
+    { name: 'control', weight: 1, overrides: {} },
+    { name: 'short', weight: 1, overrides: { greeting: 'Hi!' } }
+  ],
+  ...overrides
+});
+
+const uids = Array.from({ length: 2000 }, (_, index) => `user-${index}`);
+
+describe('bucketUser', () => {
+  it('puts a user in the same variant every time', () => {
+    uids.slice(0, 50).forEach(uid => {
+      expect(bucketUser(experiment(), uid).name).toBe(bucketUser(experiment(), uid).name);
+    });
+  });
+
+  it('enrols nobody at 0% traffic and everybody at 100%', () => {
+    expect(uids.every(uid => bucketUser(experiment({ traffic: 0 }), uid) === null)).toBe(true);
+    expect(uids.every(uid => bucketUser(experiment(), uid) !== null)).toBe(true);
+  });
+
+  it('enrols roughly the traffic share', () => {
+    const enrolled = uids.filter(uid => bucketUser(experiment({ traffic: 25 }), uid)).length;
+    expect(enrolled / uids.length).toBeGreaterThan(0.2);
+    expect(enrolled / uids.length).toBeLessThan(0.3);
+  });
+
+  it('splits enrolled users by weight and never picks a zero-weight variant', () => {
+    const weighted = experiment({
+      variants: [
+        { name: 'control', weight: 3, overrides: {} },
+        { name: 'short', weight: 1, overrides: {} },
+        { name: 'off', weight: 0, overrides: {} }
+      ]
+    });
+
+    const counts = { control: 0, short: 0, off: 0 };
+    uids.forEach(uid => {
+      counts[bucketUser(weighted, uid).name]++;
+    });
+
+    expect(counts.off).toBe(0);
+    expect(counts.control / uids.length).toBeGreaterThan(0.7);
+    expect(counts.control / uids.length).toBeLessThan(0.8);
+  });
+
+  it('buckets users independently across experiments', () => {
+    const first = uids.map(uid => bucketUser(experiment({ name: 'first' }), uid).name);
+    const second = uids.map(uid => bucketUser(experiment({ name: 'second' }), uid).name);
+    const same = first.filter((name, index) => name === second[index]).length;
+
+    expect(same / uids.length).toBeGreaterThan(0.4);
+    expect(same / uids.length).toBeLessThan(0.6);
+  });
+});
+
+describe('getExperimentOverrides', () => {
+  const originalExperiments = AGORA_AI_CONFIG.EXPERIMENTS;
+
+  beforeEach(() => {
+    AGORA_AI_CONFIG.EXPERIMENTS = {
+      greeting_test: { ...experiment(), enabled: true, personas: null },
+      voice_test: {
+        ...experiment({ name: 'voice_test' }),
+        enabled: true,
+        personas: null,
+        variants: [
+          { name: 'control', weight: 1, overrides: {} },
+          { name: 'new_voice', weight: 1, overrides: { tts: { voice: 'nova' } } }
+        ]
+      }
+    };
+  });
+
+  afterAll(() => {
+    AGORA_AI_CONFIG.EXPERIMENTS = originalExperiments;
+  });
+
+  it('assigns every enabled experiment by default', () => {
+    expect(Object.keys(getExperimentOverrides('user-1', 'duckbuck').assignments).sort())
+      .toEqual(['greeting_test', 'voice_test']);
+  });
+
+  it('skips experiments with a setting that cannot apply, in every variant', () => {
+    const noVoice = (setting) => setting !== 'tts';
+
+    uids.slice(0, 50).forEach(uid => {
+      const { assignments, overrides } = getExperimentOverrides(uid, 'duckbuck', noVoice);
+      expect(assignments.voice_test).toBeUndefined();
+      expect(assignments.greeting_test).toBeDefined();
+      expect(overrides.tts).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { buildMemoryPrompt } = require('../src/services/ai-agent-memory.service');
+
+const fact = (text, updatedAt) => ({ id: text, text, createdAt: updatedAt, updatedAt: new Date(updatedAt) });
+
+describe('buildMemoryPrompt', () => {
+  it('returns null when there is nothing to remember', () => {
+    expect(buildMemoryPrompt([])).toBeNull();
+  });
+
+  it('lists the most recently updated facts first under the header', () => {
+    const prompt = buildMemoryPrompt([
+      fact('Lives in Pune', '2026-01-01T00:00:00Z'),
+      fact('Prefers Hindi', '2026-03-01T00:00:00Z')
+    ]);
+
+    const lines = prompt.split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toBe('- Prefers Hindi');
+    expect(lines[2]).toBe('- Lives in Pune');
+  });
+
+  it('keeps facts verbatim', () => {
+    const prompt = buildMemoryPrompt([fact('Likes <b>bold</b> & "quotes"', '2026-01-01T00:00:00Z')]);
+    expect(prompt).toContain('- Likes <b>bold</b> & "quotes"');
+  });
+
+  it('stays within the budget, skipping facts that do not fit', () => {
+    const header = buildMemoryPrompt([fact('x', '2026-01-01T00:00:00Z')]).split('\n')[0];
+    const budget = header.length + 20;
+
+    const prompt = buildMemoryPrompt([
+      fact('a fact that is far too long for the budget', '2026-03-01T00:00:00Z'),
+      fact('short one', '2026-02-01T00:00:00Z')
+    ], budget);
+
+    expect(prompt.length).toBeLessThanOrEqual(budget);
+    expect(prompt).toContain('- short one');
+    expect(prompt).not.toContain('far too long');
+  });
+
+  it('returns null when no fact fits the budget', () => {
+    expect(buildMemoryPrompt([fact('anything', '2026-01-01T00:00:00Z')], 10)).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+const { InMemoryJobStore, JOB_STATUS } = require('../src/services/notification-job-store');
+
+const LEASE_MS = 5 * 60000;
+
+const newJob = (sendAt) => ({
+  uid: 'recipient',
+  createdBy: 'sender',
+  payload: { title: 'Hello', body: 'World' },
+  sendAt,
+  timeZone: 'UTC'
+});
+
+describe('InMemoryJobStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new InMemoryJobStore();
+  });
+
+  it('claims only due pending jobs, soonest first', async () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    const later = await store.create(newJob(new Date('2026-01-01T11:00:00Z')));
+    const sooner = await store.create(newJob(new Date('2026-01-01T10:00:00Z')));
+    await store.create(newJob(new Date('2026-01-01T13:00:00Z')));
+
+    const claimed = await store.claimDue(now, 10);
+
+    expect(claimed.map(job => job.id)).toEqual([sooner.id, later.id]);
+    expect(claimed.every(job => job.status === JOB_STATUS.PROCESSING && job.attempts === 1)).toBe(true);
+    expect(await store.claimDue(now, 10)).toEqual([]);
+  });
+
+  it('does not cancel a job that was already claimed', async () => {
+    const job = await store.create(newJob(new Date('2026-01-01T10:00:00Z')));
+    await store.claimDue(new Date('2026-01-01T12:00:00Z'), 10);
+
+    expect(await store.cancel(job.id)).toBe(false);
+  });
+
+  it('releases jobs whose claim outlived the lease', async () => {
+    const job = await store.create(newJob(new Date('2026-01-01T10:00:00Z')));
+    await store.claimDue(new Date(), 10);
+
+    // Still inside the lease
+    expect(await store.requeueStale(new Date(), LEASE_MS, 3)).toBe(0);
+
+    const afterLease = new Date(Date.now() + LEASE_MS + 1000);
+    expect(await store.requeueStale(afterLease, LEASE_MS, 3)).toBe(1);
+    expect((await store.get(job.id)).status).toBe(JOB_STATUS.PENDING);
+
+    const [reclaimed] = await store.claimDue(afterLease, 10);
+    expect(reclaimed.id).toBe(job.id);
+    expect(reclaimed.attempts).toBe(2);
+  });
+
+  it('fails stale jobs that used all their attempts', async () => {
+    const job = await store.create(newJob(new Date('2026-01-01T10:00:00Z')));
+    await store.claimDue(new Date(), 10);
+
+    await store.requeueStale(new Date(Date.now() + LEASE_MS + 1000), LEASE_MS, 1);
+
+    const stored = await store.get(job.id);
+    expect(stored.status).toBe(JOB_STATUS.FAILED);
+    expect(stored.error).toBe('lease_expired');
+  });
+});
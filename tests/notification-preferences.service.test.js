@@ -0,0 +1,85 @@
+const {
+  DEFAULT_PREFERENCES,
+  isWithinQuietHours,
+  evaluateDelivery
+} = require('../src/services/notification-preferences.service');
+
+const quietHours = (overrides = {}) => ({
+  ...DEFAULT_PREFERENCES.quietHours,
+  enabled: true,
+  ...overrides
+});
+
+const preferences = (overrides = {}) => ({
+  mutedSenders: [],
+  mutedCategories: [],
+  quietHours: quietHours(),
+  ...overrides
+});
+
+describe('isWithinQuietHours', () => {
+  it('is off unless enabled', () => {
+    expect(isWithinQuietHours(quietHours({ enabled: false }), new Date('2026-03-01T23:00:00Z'))).toBe(false);
+  });
+
+  it('handles windows that wrap past midnight', () => {
+    const window = quietHours({ start: '22:00', end: '07:00' });
+
+    expect(isWithinQuietHours(window, new Date('2026-03-01T22:00:00Z'))).toBe(true);
+    expect(isWithinQuietHours(window, new Date('2026-03-01T03:00:00Z'))).toBe(true);
+    expect(isWithinQuietHours(window, new Date('2026-03-01T07:00:00Z'))).toBe(false);
+    expect(isWithinQuietHours(window, new Date('2026-03-01T12:00:00Z'))).toBe(false);
+  });
+
+  it('handles windows within one day', () => {
+    const window = quietHours({ start: '13:00', end: '15:00' });
+
+    expect(isWithinQuietHours(window, new Date('2026-03-01T14:00:00Z'))).toBe(true);
+    expect(isWithinQuietHours(window, new Date('2026-03-01T15:30:00Z'))).toBe(false);
+  });
+
+  it('uses the wall clock of the user time zone', () => {
+    const window = quietHours({ start: '22:00', end: '07:00', timeZone: 'Asia/Kolkata' });
+
+    // 17:00 UTC is 22:30 in Kolkata
+    expect(isWithinQuietHours(window, new Date('2026-03-01T17:00:00Z'))).toBe(true);
+    expect(isWithinQuietHours(window, new Date('2026-03-01T02:00:00Z'))).toBe(false);
+  });
+
+  it('treats an empty window as never quiet', () => {
+    expect(isWithinQuietHours(quietHours({ start: '22:00', end: '22:00' }), new Date('2026-03-01T22:00:00Z'))).toBe(false);
+  });
+});
+
+describe('evaluateDelivery', () => {
+  const night = new Date('2026-03-01T23:00:00Z');
+  const day = new Date('2026-03-01T12:00:00Z');
+
+  it('allows notifications outside quiet hours', () => {
+    expect(evaluateDelivery(preferences(), { category: 'general', now: day }))
+      .toEqual({ allowed: true, reason: 'allowed', category: 'general', bypassedQuietHours: false });
+  });
+
+  it('holds notifications back during quiet hours', () => {
+    const decision = evaluateDelivery(preferences(), { category: 'general', now: night });
+    expect(decision.allowed).toBe(false);
+    expect(decision.reason).toBe('quiet_hours');
+  });
+
+  it('lets calls through quiet hours only when the user allows it', () => {
+    const allowed = evaluateDelivery(preferences(), { category: 'call', now: night });
+    expect(allowed.allowed).toBe(true);
+    expect(allowed.bypassedQuietHours).toBe(true);
+
+    const blocked = evaluateDelivery(preferences({ quietHours: quietHours({ allowCalls: false }) }), { category: 'call', now: night });
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.reason).toBe('quiet_hours');
+  });
+
+  it('applies muted senders and categories before quiet hours', () => {
+    const muted = preferences({ mutedSenders: ['spammer'], mutedCategories: ['marketing'] });
+
+    expect(evaluateDelivery(muted, { senderUid: 'spammer', category: 'call', now: night }).reason).toBe('muted_sender');
+    expect(evaluateDelivery(muted, { category: 'marketing', now: day }).reason).toBe('muted_category');
+  });
+});
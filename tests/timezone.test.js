@@ -0,0 +1,36 @@
+const { resolveZonedDateTime } = require('../src/utils/timezone');
+
+describe('resolveZonedDateTime', () => {
+  it('keeps date-times with an explicit offset absolute', () => {
+    expect(resolveZonedDateTime('2026-03-01T09:00:00+05:30', 'America/New_York').toISOString())
+      .toBe('2026-03-01T03:30:00.000Z');
+    expect(resolveZonedDateTime('2026-03-01T09:00:00Z', 'Asia/Kolkata').toISOString())
+      .toBe('2026-03-01T09:00:00.000Z');
+  });
+
+  it('reads date-times without an offset as wall-clock time in the zone', () => {
+    expect(resolveZonedDateTime('2026-03-01T09:00', 'Asia/Kolkata').toISOString())
+      .toBe('2026-03-01T03:30:00.000Z');
+    expect(resolveZonedDateTime('2026-03-01', 'Asia/Kolkata').toISOString())
+      .toBe('2026-02-28T18:30:00.000Z');
+  });
+
+  it('defaults to UTC', () => {
+    expect(resolveZonedDateTime('2026-03-01T09:00:00').toISOString()).toBe('2026-03-01T09:00:00.000Z');
+  });
+
+  it('follows daylight saving time', () => {
+    expect(resolveZonedDateTime('2026-01-15T09:00', 'America/New_York').toISOString())
+      .toBe('2026-01-15T14:00:00.000Z');
+    expect(resolveZonedDateTime('2026-07-15T09:00', 'America/New_York').toISOString())
+      .toBe('2026-07-15T13:00:00.000Z');
+  });
+
+  it('rejects strings that are not date-times', () => {
+    expect(resolveZonedDateTime('')).toBeNull();
+    expect(resolveZonedDateTime(undefined)).toBeNull();
+    expect(resolveZonedDateTime('tomorrow at 9')).toBeNull();
+    expect(resolveZonedDateTime('2026-03-01T09:00junk', 'Asia/Kolkata')).toBeNull();
+    expect(resolveZonedDateTime('2026-03-01T09:00:00 and more', 'Asia/Kolkata')).toBeNull();
+  });
+});
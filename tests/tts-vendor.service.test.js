@@ -0,0 +1,69 @@
+// Vendor settings are read from the environment when the constants load
+Object.assign(process.env, {
+  AI_TTS_VENDOR: 'microsoft',
+  AZURE_TTS_API_KEY: 'azure-key',
+  AZURE_TTS_REGION: 'centralindia',
+  AZURE_TTS_VOICE_NAME: 'hi-IN-MadhurNeural',
+  ELEVENLABS_API_KEY: 'eleven-key',
+  ELEVENLABS_VOICE_ID: 'eleven-default'
+});
+delete process.env.CARTESIA_API_KEY;
+
+const { buildTtsConfig } = require('../src/services/tts-vendor.service');
+
+describe('buildTtsConfig', () => {
+  it('uses the default vendor and voice when nothing is chosen', () => {
+    const { vendor, voice, tts } = buildTtsConfig();
+
+    expect(vendor).toBe('microsoft');
+    expect(voice).toBe('hi-IN-MadhurNeural');
+    expect(tts).toEqual({
+      vendor: 'microsoft',
+      params: {
+        key: 'azure-key',
+        region: 'centralindia',
+        voice_name: 'hi-IN-MadhurNeural',
+        rate: 1,
+        volume: 70
+      }
+    });
+  });
+
+  it('prefers the user over the persona', () => {
+    const result = buildTtsConfig({
+      persona: { vendor: 'microsoft', voice: 'en-IN-NeerjaNeural' },
+      preference: { vendor: 'elevenlabs', voice: 'user-voice' }
+    });
+
+    expect(result.vendor).toBe('elevenlabs');
+    expect(result.voice).toBe('user-voice');
+    expect(result.tts.params.voice_id).toBe('user-voice');
+  });
+
+  it('uses the vendor default voice when a choice names only a vendor', () => {
+    const result = buildTtsConfig({ persona: { vendor: 'elevenlabs' } });
+
+    expect(result.vendor).toBe('elevenlabs');
+    expect(result.voice).toBe('eleven-default');
+  });
+
+  it('reads a voice without a vendor as a voice of the default vendor', () => {
+    const result = buildTtsConfig({ preference: { voice: 'en-IN-NeerjaNeural' } });
+
+    expect(result.vendor).toBe('microsoft');
+    expect(result.voice).toBe('en-IN-NeerjaNeural');
+  });
+
+  it('skips a vendor that is not configured without carrying its voice over', () => {
+    const result = buildTtsConfig({
+      preference: { vendor: 'cartesia', voice: 'cartesia-voice' },
+      persona: { vendor: 'elevenlabs', voice: 'persona-voice' }
+    });
+    expect(result.vendor).toBe('elevenlabs');
+    expect(result.voice).toBe('persona-voice');
+
+    const fallback = buildTtsConfig({ preference: { vendor: 'cartesia', voice: 'cartesia-voice' } });
+    expect(fallback.vendor).toBe('microsoft');
+    expect(fallback.voice).toBe('hi-IN-MadhurNeural');
+  });
+});